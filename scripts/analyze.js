@@ -0,0 +1,149 @@
+/**
+ * analyze - Precompute track analysis as sidecar JSON files
+ *
+ * Walks an audio folder (public/assets/audio by default), decodes every
+ * track with ffmpeg and writes TrackAnalyzer's result — loudness, BPM, beat
+ * grid, sections, mood timeline and band envelopes — next to it as
+ * <name>.analysis.json. PlaylistManager loads these instead of decoding the
+ * track in the browser, and falls back to that when a sidecar is missing.
+ *
+ *   npm run analyze                  # only tracks changed since their sidecar
+ *   npm run analyze -- --force       # everything
+ *   npm run analyze -- path/to/dir   # another folder
+ *
+ * Needs ffmpeg and ffprobe on the PATH.
+ */
+
+import { spawn } from 'node:child_process';
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+import { analyzeSamples, sidecarPath, ANALYSIS_RATE, ANALYSIS_VERSION } from '../src/audio/TrackAnalyzer.js';
+
+const DEFAULT_DIR = 'public/assets/audio';
+const AUDIO_EXTENSIONS = /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm)$/i;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const dir = args.find(arg => !arg.startsWith('--')) || DEFAULT_DIR;
+
+  const files = await findAudio(dir);
+  if (files.length === 0) {
+    console.log(`No audio files in ${dir}`);
+    return;
+  }
+
+  let written = 0, failed = 0;
+  for (const file of files) {
+    const name = relative(dir, file);
+    const target = sidecarPath(file);
+    if (!force && await isCurrent(file, target)) {
+      console.log(`  up to date  ${name}`);
+      continue;
+    }
+    try {
+      const started = Date.now();
+      const { mono, channels } = await decode(file);
+      const analysis = analyzeSamples(mono, ANALYSIS_RATE, channels);
+      await writeFile(target, JSON.stringify({ version: ANALYSIS_VERSION, ...analysis }));
+      const seconds = ((Date.now() - started) / 1000).toFixed(1);
+      console.log(`  analyzed    ${name}  ${analysis.bpm} BPM, ${analysis.loudness} LUFS (${seconds}s)`);
+      written++;
+    } catch (error) {
+      console.error(`  failed      ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  console.log(`${written} written, ${files.length - written - failed} up to date, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+/**
+ * Audio files under `dir`, recursively, in name order.
+ */
+async function findAudio(dir) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await findAudio(path));
+    else if (AUDIO_EXTENSIONS.test(entry.name)) files.push(path);
+  }
+  return files;
+}
+
+/**
+ * True when the sidecar is newer than the audio and in the current format.
+ */
+async function isCurrent(file, target) {
+  try {
+    const [audio, sidecar] = await Promise.all([stat(file), stat(target)]);
+    if (sidecar.mtimeMs < audio.mtimeMs) return false;
+    return JSON.parse(await readFile(target, 'utf8')).version === ANALYSIS_VERSION;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Decode to ANALYSIS_RATE float samples, as TrackAnalyzer does in the
+ * browser: one or two channels (surround folds down to stereo) plus their
+ * mono mix.
+ * @returns {Promise<{ mono: Float32Array, channels: Float32Array[] }>}
+ */
+async function decode(file) {
+  const probe = await run('ffprobe', ['-v', 'error', '-select_streams', 'a:0',
+    '-show_entries', 'stream=channels', '-of', 'csv=p=0', file]);
+  const channelCount = Math.min(2, parseInt(probe.toString(), 10) || 2);
+
+  const raw = await run('ffmpeg', ['-v', 'error', '-i', file, '-map', 'a:0',
+    '-f', 'f32le', '-ac', String(channelCount), '-ar', String(ANALYSIS_RATE), 'pipe:1']);
+  // Copy into an aligned buffer — Node's chunks needn't be 4-byte aligned
+  const interleaved = new Float32Array(Math.floor(raw.byteLength / 4));
+  new Uint8Array(interleaved.buffer).set(raw.subarray(0, interleaved.length * 4));
+
+  const length = Math.floor(interleaved.length / channelCount);
+  if (channelCount === 1) return { mono: interleaved, channels: [interleaved] };
+
+  const left = new Float32Array(length);
+  const right = new Float32Array(length);
+  const mono = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    left[i] = interleaved[2 * i];
+    right[i] = interleaved[2 * i + 1];
+    mono[i] = (left[i] + right[i]) / 2;
+  }
+  return { mono, channels: [left, right] };
+}
+
+/**
+ * Run a command and collect its stdout.
+ * @returns {Promise<Buffer>}
+ */
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const out = [];
+    const err = [];
+    child.stdout.on('data', chunk => out.push(chunk));
+    child.stderr.on('data', chunk => err.push(chunk));
+    child.on('error', error => {
+      reject(error.code === 'ENOENT' ? new Error(`${command} not found — install ffmpeg`) : error);
+    });
+    child.on('close', code => {
+      if (code === 0) resolve(Buffer.concat(out));
+      else reject(new Error(`${command} exited with ${code}: ${Buffer.concat(err).toString().trim()}`));
+    });
+  });
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,291 @@
+/**
+ * dmx-bridge - Connect the browser's DMX universes to the lighting network
+ *
+ * Browsers can't use UDP, so the chapel talks to this bridge over a WebSocket
+ * and the bridge speaks Art-Net or sACN (E1.31). Each WebSocket message is
+ * one universe: a little-endian uint16 universe number followed by 512
+ * channel values.
+ *
+ * By default the bridge sends: DmxOutput's universes go out to the rig. The
+ * latest state of every universe is resent each second so receivers don't
+ * time out while the show holds still; when the last client leaves the
+ * bridge stops sending and the rig falls back to whatever its receivers do
+ * on signal loss.
+ *
+ * With --receive it listens instead: the universes a lighting desk sends
+ * are forwarded to DmxInput, which drives the virtual fixtures
+ * (previsualizer). It answers ArtPoll for the universes it takes, so desks
+ * that only send to discovered nodes find it, and joins their sACN multicast
+ * groups. Between sACN sources the highest priority wins.
+ *
+ *   npm run dmx-bridge                                  # Art-Net out, broadcast
+ *   npm run dmx-bridge -- --protocol sacn               # sACN out, multicast
+ *   npm run dmx-bridge -- --host 2.0.0.10               # unicast to one node
+ *   npm run dmx-bridge -- --receive                     # Art-Net in from a desk, universes 1-4
+ *   npm run dmx-bridge -- --receive --protocol sacn --universes 1,2,10-12
+ *   npm run dmx-bridge -- --listen 0.0.0.0 --port 6455  # accept a headset on the LAN
+ *   npm run dmx-bridge -- --origin https://chapel.example.com
+ *
+ * The WebSocket address must match "bridge" in public/dmx-patch.json. Only
+ * pages served from the chapel's own dev and preview servers may connect
+ * (any other page open in the browser could otherwise drive the rig);
+ * --origin replaces that list with a comma-separated one, or "*" for any.
+ */
+
+import { createSocket } from 'node:dgram';
+import { randomBytes } from 'node:crypto';
+import { networkInterfaces } from 'node:os';
+import { createWebSocketServer } from './lib/websocket.js';
+import {
+  artDmxPacket, sacnPacket, parseArtDmx, parseSacn, isArtPoll, artPollReplies,
+  isSacnUniverse, sacnMulticastAddress, ARTNET_PORT, SACN_PORT, DMX_CHANNELS,
+} from './lib/dmx-packets.js';
+
+const FRAME_BYTES = 2 + DMX_CHANNELS;    // as BridgeSocket sends and expects them
+const DEFAULT_PORT = 6455;
+const DEFAULT_LISTEN = '127.0.0.1';
+const DEFAULT_UNIVERSES = '1-4';         // taken from the desk with --receive
+const DEFAULT_ORIGINS = [                // vite dev (vite.config.js) and vite preview
+  'http://localhost:3000', 'http://127.0.0.1:3000',
+  'http://localhost:4173', 'http://127.0.0.1:4173',
+];
+const ARTNET_BROADCAST = '255.255.255.255';
+const KEEP_ALIVE = 1000;                 // ms between resends of an unchanged universe
+const SACN_SOURCE_TIMEOUT = 2500;        // ms before a silent higher-priority source is dropped
+const SOURCE_NAME = 'Static Chapel';
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const udp = createSocket({ type: 'udp4', reuseAddr: true });
+  const clients = new Set();
+  const bridge = options.receive ? receiveFromNetwork(options, udp, clients) : sendToNetwork(options, udp);
+
+  const server = createWebSocketServer((client, request) => {
+    clients.add(client);
+    console.log(`  connected    ${request.socket.remoteAddress} (${plural(clients.size, 'client')})`);
+    bridge.connected(client);
+    client.on('close', () => {
+      clients.delete(client);
+      console.log(`  disconnected (${plural(clients.size, 'client')})`);
+      if (clients.size === 0) bridge.idle();
+    });
+  }, {
+    allowOrigin: options.origins.includes('*') ? null : (origin) => options.origins.includes(origin),
+  });
+  server.on('refused', (origin) => console.warn(`  refused      ${origin} (not an allowed origin, see --origin)`));
+  server.on('error', (error) => {
+    console.error(`Can't listen on ${options.listen}:${options.port}: ${error.message}`);
+    process.exit(1);
+  });
+  udp.on('error', (error) => {
+    console.error(`UDP: ${error.message}`);
+    process.exit(1);
+  });
+
+  bridge.bind(() => {
+    server.listen(options.port, options.listen, () => {
+      console.log(`DMX bridge: ws://${options.listen}:${options.port} ${bridge.description}`);
+    });
+  });
+}
+
+// ===========================================================================
+//  SEND (DmxOutput -> rig)
+// ===========================================================================
+
+function sendToNetwork(options, udp) {
+  const cid = randomBytes(16);            // sACN component id for this run
+  const universes = new Map();            // universe -> { data, sequence, sentAt }
+  const skipped = new Set();              // universes sACN can't carry, warned once
+  const sacn = options.protocol === 'sacn';
+
+  const send = (universe, state) => {
+    let packet, host, port;
+    if (sacn) {
+      state.sequence = (state.sequence + 1) & 0xff;
+      packet = sacnPacket(universe, state.data, state.sequence, { cid, name: SOURCE_NAME });
+      host = options.host || sacnMulticastAddress(universe);
+      port = SACN_PORT;
+    } else {
+      state.sequence = state.sequence % 255 + 1;   // 1-255; 0 would turn reordering off
+      packet = artDmxPacket(universe, state.data, state.sequence);
+      host = options.host || ARTNET_BROADCAST;
+      port = ARTNET_PORT;
+    }
+    state.sentAt = Date.now();
+    udp.send(packet, port, host, (error) => {
+      if (error) console.error(`  send failed  universe ${universe} to ${host}: ${error.message}`);
+    });
+  };
+
+  const receive = (message, isBinary) => {
+    if (!isBinary || message.length !== FRAME_BYTES) return;
+    const universe = message.readUInt16LE(0);
+    if (sacn && !isSacnUniverse(universe)) {
+      if (!skipped.has(universe)) console.warn(`  skipped      universe ${universe} (sACN universes are 1-63999)`);
+      skipped.add(universe);
+      return;
+    }
+    let state = universes.get(universe);
+    if (!state) {
+      state = { data: new Uint8Array(DMX_CHANNELS), sequence: 0, sentAt: 0 };
+      universes.set(universe, state);
+      console.log(`  sending      universe ${universe}`);
+    }
+    state.data.set(message.subarray(2));
+    send(universe, state);
+  };
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [universe, state] of universes) {
+      if (now - state.sentAt >= KEEP_ALIVE) send(universe, state);
+    }
+  }, KEEP_ALIVE / 4);
+
+  const target = options.host || (sacn ? 'multicast' : ARTNET_BROADCAST);
+  return {
+    description: `-> ${sacn ? 'sACN' : 'Art-Net'} (${target})`,
+    bind(ready) {
+      udp.bind(() => {
+        if (!sacn) udp.setBroadcast(true);
+        ready();
+      });
+    },
+    connected(client) {
+      client.on('message', receive);
+    },
+    idle() {
+      universes.clear();
+    },
+  };
+}
+
+// ===========================================================================
+//  RECEIVE (desk -> DmxInput)
+// ===========================================================================
+
+function receiveFromNetwork(options, udp, clients) {
+  const sacn = options.protocol === 'sacn';
+  const wanted = new Set(options.universes);
+  const latest = new Map();               // universe -> frame last forwarded
+  const sources = new Map();              // universe -> { priority, at } of the sACN source followed
+  const ip = options.host || localAddress();
+
+  const forward = (universe, data) => {
+    if (!wanted.has(universe)) return;
+    let frame = latest.get(universe);
+    if (!frame) {
+      frame = Buffer.alloc(FRAME_BYTES);
+      frame.writeUInt16LE(universe, 0);
+      latest.set(universe, frame);
+      console.log(`  receiving    universe ${universe}`);
+    }
+    frame.fill(0, 2);
+    data.copy(frame, 2);
+    for (const client of clients) client.send(frame);
+  };
+
+  udp.on('message', (packet, remote) => {
+    if (sacn) {
+      const dmx = parseSacn(packet);
+      if (!dmx) return;
+      const now = Date.now();
+      const source = sources.get(dmx.universe);
+      if (source && dmx.priority < source.priority && now - source.at < SACN_SOURCE_TIMEOUT) return;
+      sources.set(dmx.universe, { priority: dmx.priority, at: now });
+      forward(dmx.universe, dmx.data);
+    } else if (isArtPoll(packet)) {
+      for (const reply of artPollReplies(options.universes, { ip, name: SOURCE_NAME })) {
+        udp.send(reply, ARTNET_PORT, remote.address);
+      }
+    } else {
+      const dmx = parseArtDmx(packet);
+      if (dmx) forward(dmx.universe, dmx.data);
+    }
+  });
+
+  return {
+    description: `<- ${sacn ? 'sACN' : 'Art-Net'} (universes ${options.universes.join(', ')}${sacn ? '' : `, announced as ${ip}`})`,
+    bind(ready) {
+      udp.bind(sacn ? SACN_PORT : ARTNET_PORT, () => {
+        if (sacn) {
+          for (const universe of options.universes) {
+            udp.addMembership(sacnMulticastAddress(universe), options.host || undefined);
+          }
+        }
+        ready();
+      });
+    },
+    connected(client) {
+      for (const frame of latest.values()) client.send(frame);
+    },
+    idle() {},
+  };
+}
+
+/**
+ * The first external IPv4 address, for ArtPollReply.
+ */
+function localAddress() {
+  for (const addresses of Object.values(networkInterfaces())) {
+    const found = addresses.find(a => a.family === 'IPv4' && !a.internal);
+    if (found) return found.address;
+  }
+  return '127.0.0.1';
+}
+
+/**
+ * --receive, --protocol artnet|sacn, --host <ip>, --universes <list>,
+ * --port <n>, --listen <ip>, --origin <list>
+ */
+function parseArgs(args) {
+  const value = (flag) => {
+    const i = args.indexOf(flag);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+  };
+
+  const protocol = (value('--protocol') || 'artnet').toLowerCase();
+  if (protocol !== 'artnet' && protocol !== 'sacn') fail(`Unknown protocol "${protocol}" (artnet or sacn)`);
+  const port = parseInt(value('--port') || DEFAULT_PORT, 10);
+  if (!(port > 0 && port < 65536)) fail(`Bad port "${value('--port')}"`);
+  const universes = parseUniverses(value('--universes') || DEFAULT_UNIVERSES);
+  if (!universes) fail(`Bad universe list "${value('--universes')}" (like 1,2,10-12)`);
+  if (protocol === 'sacn' && !universes.every(isSacnUniverse)) fail('sACN universes are 1-63999');
+
+  return {
+    receive: args.includes('--receive'),
+    protocol,
+    host: value('--host') || null,
+    universes,
+    port,
+    listen: value('--listen') || DEFAULT_LISTEN,
+    origins: value('--origin') ? value('--origin').split(',').map(o => o.trim().replace(/\/$/, '')) : DEFAULT_ORIGINS,
+  };
+}
+
+/**
+ * "1,2,10-12" -> [1, 2, 10, 11, 12], or null if malformed.
+ */
+function parseUniverses(list) {
+  const universes = new Set();
+  for (const part of list.split(',')) {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+    if (!match) return null;
+    const from = Number(match[1]);
+    const to = match[2] !== undefined ? Number(match[2]) : from;
+    if (to < from || to > 32767) return null;
+    for (let u = from; u <= to; u++) universes.add(u);
+  }
+  return [...universes].sort((a, b) => a - b);
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+main();
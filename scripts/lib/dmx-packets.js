@@ -0,0 +1,185 @@
+/**
+ * dmx-packets - Art-Net and sACN (E1.31) DMX packets
+ *
+ * Builds one universe's 512 channels into an ArtDmx or E1.31 data packet,
+ * reads them back out of a desk's packets, and answers ArtPoll so desks that
+ * only send to discovered nodes find the bridge. Universe numbers go on the
+ * wire as given: Art-Net's 15-bit port address (0-32767), sACN's 1-63999.
+ */
+
+export const ARTNET_PORT = 6454;
+export const SACN_PORT = 5568;
+export const DMX_CHANNELS = 512;
+
+const ARTNET_ID = Buffer.from('Art-Net\0', 'latin1');
+const ARTNET_OP_POLL = 0x2000;
+const ARTNET_OP_POLL_REPLY = 0x2100;
+const ARTNET_OP_DMX = 0x5000;
+const ARTNET_PROTOCOL = 14;
+const ARTNET_HEADER = 18;
+const ARTNET_POLL_REPLY_LENGTH = 239;
+const ARTNET_OEM_UNKNOWN = 0x00ff;
+
+const ACN_ID = Buffer.from('ASC-E1.17\0\0\0', 'latin1');
+const SACN_LENGTH = 126 + DMX_CHANNELS;
+const SACN_PRIORITY = 100;   // the E1.31 default
+const SACN_MAX_UNIVERSE = 63999;
+const SACN_OPTION_TERMINATED = 0x40;   // source is going away; its data is void
+
+/**
+ * ArtDmx packet for one universe.
+ * @param {number} universe - port address, 0-32767
+ * @param {Uint8Array} data - 512 channel values
+ * @param {number} sequence - 1-255, 0 turns receiver reordering off
+ */
+export function artDmxPacket(universe, data, sequence) {
+  const packet = Buffer.alloc(ARTNET_HEADER + DMX_CHANNELS);
+  ARTNET_ID.copy(packet, 0);
+  packet.writeUInt16LE(ARTNET_OP_DMX, 8);
+  packet.writeUInt16BE(ARTNET_PROTOCOL, 10);
+  packet[12] = sequence;
+  packet[13] = 0;                          // physical input port
+  packet[14] = universe & 0xff;            // SubUni
+  packet[15] = (universe >> 8) & 0x7f;     // Net
+  packet.writeUInt16BE(DMX_CHANNELS, 16);
+  packet.set(data.subarray(0, DMX_CHANNELS), ARTNET_HEADER);
+  return packet;
+}
+
+/**
+ * E1.31 data packet for one universe.
+ * @param {number} universe - 1-63999
+ * @param {Uint8Array} data - 512 channel values
+ * @param {number} sequence - 0-255, per universe
+ * @param {Object} source
+ * @param {Buffer} source.cid - 16-byte component id, fixed for the sender's lifetime
+ * @param {string} source.name - shown by receivers, up to 63 bytes
+ */
+export function sacnPacket(universe, data, sequence, { cid, name }) {
+  const packet = Buffer.alloc(SACN_LENGTH);
+
+  // Root layer
+  packet.writeUInt16BE(0x0010, 0);         // preamble size
+  packet.writeUInt16BE(0x0000, 2);         // postamble size
+  ACN_ID.copy(packet, 4);
+  packet.writeUInt16BE(0x7000 | (SACN_LENGTH - 16), 16);
+  packet.writeUInt32BE(0x00000004, 18);    // VECTOR_ROOT_E131_DATA
+  cid.copy(packet, 22, 0, 16);
+
+  // Framing layer
+  packet.writeUInt16BE(0x7000 | (SACN_LENGTH - 38), 38);
+  packet.writeUInt32BE(0x00000002, 40);    // VECTOR_E131_DATA_PACKET
+  packet.write(name.slice(0, 63), 44, 63, 'utf8');
+  packet[108] = SACN_PRIORITY;
+  packet.writeUInt16BE(0, 109);            // no synchronization universe
+  packet[111] = sequence;
+  packet[112] = 0;                         // options
+  packet.writeUInt16BE(universe, 113);
+
+  // DMP layer
+  packet.writeUInt16BE(0x7000 | (SACN_LENGTH - 115), 115);
+  packet[117] = 0x02;                      // VECTOR_DMP_SET_PROPERTY
+  packet[118] = 0xa1;                      // address and data type
+  packet.writeUInt16BE(0x0000, 119);       // first property address
+  packet.writeUInt16BE(0x0001, 121);       // address increment
+  packet.writeUInt16BE(DMX_CHANNELS + 1, 123);
+  packet[125] = 0;                         // DMX start code
+  packet.set(data.subarray(0, DMX_CHANNELS), 126);
+  return packet;
+}
+
+/**
+ * The universe and channels of an ArtDmx packet, or null for anything else.
+ * @returns {{ universe: number, data: Buffer }|null}
+ */
+export function parseArtDmx(packet) {
+  if (!isArtNet(packet, ARTNET_OP_DMX) || packet.length < ARTNET_HEADER) return null;
+  const length = Math.min(packet.readUInt16BE(16), DMX_CHANNELS, packet.length - ARTNET_HEADER);
+  return {
+    universe: packet[14] | (packet[15] & 0x7f) << 8,
+    data: packet.subarray(ARTNET_HEADER, ARTNET_HEADER + length),
+  };
+}
+
+export function isArtPoll(packet) {
+  return isArtNet(packet, ARTNET_OP_POLL);
+}
+
+/**
+ * ArtPollReply packets announcing output ports for `universes`: one per
+ * run of up to four universes sharing a Net and Sub-Net.
+ * @param {number[]} universes
+ * @param {Object} node
+ * @param {string} node.ip - the address desks should send to
+ * @param {string} node.name - short name, up to 17 bytes
+ * @returns {Buffer[]}
+ */
+export function artPollReplies(universes, { ip, name }) {
+  const groups = [];
+  for (const universe of [...universes].sort((a, b) => a - b)) {
+    const group = groups[groups.length - 1];
+    if (group && group.length < 4 && group[0] >> 4 === universe >> 4) group.push(universe);
+    else groups.push([universe]);
+  }
+
+  return groups.map((group, index) => {
+    const packet = Buffer.alloc(ARTNET_POLL_REPLY_LENGTH);
+    ARTNET_ID.copy(packet, 0);
+    packet.writeUInt16LE(ARTNET_OP_POLL_REPLY, 8);
+    ip.split('.').forEach((octet, i) => { packet[10 + i] = Number(octet); });
+    packet.writeUInt16LE(ARTNET_PORT, 14);
+    packet[18] = (group[0] >> 8) & 0x7f;       // NetSwitch
+    packet[19] = (group[0] >> 4) & 0x0f;       // SubSwitch
+    packet.writeUInt16BE(ARTNET_OEM_UNKNOWN, 20);
+    packet[23] = 0xd0;                         // indicators normal, addresses set locally
+    packet.write(name.slice(0, 17), 26, 17, 'latin1');
+    packet.write(name.slice(0, 63), 44, 63, 'latin1');
+    packet.writeUInt16BE(group.length, 172);
+    group.forEach((universe, port) => {
+      packet[174 + port] = 0x80;               // port outputs DMX from the network
+      packet[182 + port] = 0x80;               // data being output
+      packet[190 + port] = universe & 0x0f;    // SwOut
+    });
+    packet[200] = 0x00;                        // StNode
+    ip.split('.').forEach((octet, i) => { packet[207 + i] = Number(octet); });
+    packet[211] = index + 1;                   // BindIndex
+    packet[212] = 0x08;                        // 15-bit port addresses
+    return packet;
+  });
+}
+
+/**
+ * The universe and channels of an E1.31 data packet, or null for anything
+ * else (including non-zero start codes and terminated streams).
+ * @returns {{ universe: number, data: Buffer, priority: number }|null}
+ */
+export function parseSacn(packet) {
+  if (packet.length < 126 || !packet.subarray(4, 16).equals(ACN_ID)) return null;
+  if (packet.readUInt32BE(18) !== 0x00000004 || packet.readUInt32BE(40) !== 0x00000002) return null;
+  if (packet[117] !== 0x02 || packet[125] !== 0) return null;
+  if (packet[112] & SACN_OPTION_TERMINATED) return null;
+  const length = Math.min(packet.readUInt16BE(123) - 1, DMX_CHANNELS, packet.length - 126);
+  return {
+    universe: packet.readUInt16BE(113),
+    data: packet.subarray(126, 126 + Math.max(0, length)),
+    priority: packet[108],
+  };
+}
+
+/**
+ * Whether sACN can carry this universe.
+ */
+export function isSacnUniverse(universe) {
+  return universe >= 1 && universe <= SACN_MAX_UNIVERSE;
+}
+
+/**
+ * The multicast group receivers join for an sACN universe.
+ */
+export function sacnMulticastAddress(universe) {
+  return `239.255.${(universe >> 8) & 0xff}.${universe & 0xff}`;
+}
+
+function isArtNet(packet, opcode) {
+  return packet.length >= 12 && packet.subarray(0, 8).equals(ARTNET_ID) && packet.readUInt16LE(8) === opcode;
+}
@@ -0,0 +1,208 @@
+/**
+ * websocket - Just enough of a WebSocket server (RFC 6455) for the DMX bridge
+ *
+ * Handles the upgrade handshake, masked client frames of any length,
+ * fragmented messages, ping and close, and sends unmasked binary frames.
+ * No extensions or subprotocols. Node ships a WebSocket client but no server,
+ * and the bridge shouldn't need an npm install of its own.
+ *
+ * WebSockets aren't covered by CORS: any page open in the browser could
+ * connect to a local server, so browser upgrades are refused (403) unless
+ * their Origin is allowed. Clients that send no Origin aren't browsers.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024;   // bytes per message; the bridge's frames are 514
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+/**
+ * An HTTP server that accepts WebSocket upgrades on any path.
+ * @param {(connection: WebSocketConnection, request: http.IncomingMessage) => void} onConnection
+ * @param {Object} [options]
+ * @param {(origin: string) => boolean} [options.allowOrigin] - browser origins to accept; all without it
+ * @returns {http.Server} not yet listening; emits 'refused' (origin) for rejected upgrades
+ */
+export function createWebSocketServer(onConnection, { allowOrigin = null } = {}) {
+  const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+    response.end('WebSocket only\n');
+  });
+
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const origin = request.headers.origin;
+    if (origin !== undefined && allowOrigin && !allowOrigin(origin)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      server.emit('refused', origin);
+      return;
+    }
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    onConnection(new WebSocketConnection(socket), request);
+  });
+
+  return server;
+}
+
+/**
+ * One client. Emits 'message' (Buffer, isBinary) and 'close'.
+ */
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.open = true;
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];       // payloads of a message still arriving
+    this._fragmentOp = 0;
+
+    socket.on('data', chunk => this._receive(chunk));
+    socket.on('close', () => this._closed());
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Send one binary message.
+   * @param {Buffer|Uint8Array} data
+   */
+  send(data) {
+    this._sendFrame(OP_BINARY, Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+  }
+
+  close(code = 1000) {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this._sendFrame(OP_CLOSE, payload);
+    this.socket.end();
+    this._closed();
+  }
+
+  // =========================================================================
+  //  FRAMING
+  // =========================================================================
+
+  _receive(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+    while (this.open) {
+      const frame = this._parseFrame();
+      if (!frame) return;
+      this._handleFrame(frame);
+    }
+  }
+
+  /**
+   * Take one complete frame off the buffer, or null until more arrives.
+   */
+  _parseFrame() {
+    const buf = this._buffer;
+    if (buf.length < 2) return null;
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      const long = buf.readBigUInt64BE(2);
+      length = long > BigInt(MAX_PAYLOAD) ? Infinity : Number(long);
+      offset = 10;
+    }
+    if (!masked) return this._fail(1002);   // clients must mask
+    if (length > MAX_PAYLOAD) return this._fail(1009);
+    if (buf.length < offset + 4 + length) return null;
+
+    const mask = buf.subarray(offset, offset + 4);
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    this._buffer = buf.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  _handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OP_TEXT:
+      case OP_BINARY:
+      case OP_CONTINUATION: {
+        if (opcode !== OP_CONTINUATION) {
+          this._fragments = [];
+          this._fragmentOp = opcode;
+        }
+        this._fragments.push(payload);
+        const size = this._fragments.reduce((sum, part) => sum + part.length, 0);
+        if (size > MAX_PAYLOAD) return this._fail(1009);
+        if (!fin) return;
+        const message = Buffer.concat(this._fragments);
+        this._fragments = [];
+        this.emit('message', message, this._fragmentOp === OP_BINARY);
+        return;
+      }
+      case OP_PING:
+        this._sendFrame(OP_PONG, payload);
+        return;
+      case OP_PONG:
+        return;
+      case OP_CLOSE:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        return;
+      default:
+        this._fail(1002);
+    }
+  }
+
+  _sendFrame(opcode, payload) {
+    if (!this.open) return;
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header.writeUInt16BE(payload.length, 2);
+      header[1] = 126;
+    } else {
+      header = Buffer.alloc(10);
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+      header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  _fail(code) {
+    this.close(code);
+    return null;
+  }
+
+  _closed() {
+    if (!this.open) return;
+    this.open = false;
+    this._buffer = Buffer.alloc(0);
+    this.emit('close');
+  }
+}
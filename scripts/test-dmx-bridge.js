@@ -0,0 +1,409 @@
+/**
+ * test-dmx-bridge - Packet-capture test of the DMX bridge
+ *
+ * Starts scripts/dmx-bridge.js on localhost and checks what it puts on the
+ * wire, byte by byte against Art-Net 4 and E1.31:
+ *
+ *   - send: a universe sent over the WebSocket comes out as ArtDmx on 6454
+ *     and as an E1.31 data packet on 5568 (header, universe, sequence, channels)
+ *   - receive: ArtDmx and E1.31 packets from a "desk" come back over the
+ *     WebSocket as universe frames; ArtPoll gets an ArtPollReply
+ *   - origin: browser pages from other origins are refused
+ *
+ *   npm test
+ *
+ * Needs UDP ports 6454 and 5568 free on 127.0.0.1 (no other Art-Net or sACN
+ * software running). The ArtPoll check also needs 127.0.0.2 (Linux has it;
+ * it is skipped elsewhere).
+ */
+
+import { spawn } from 'node:child_process';
+import { createSocket } from 'node:dgram';
+import { request } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import assert from 'node:assert/strict';
+
+const BRIDGE = fileURLToPath(new URL('./dmx-bridge.js', import.meta.url));
+const WS_PORT = 16455;                 // away from a bridge that may be running on 6455
+const ARTNET_PORT = 6454;
+const SACN_PORT = 5568;
+const UNIVERSE = 0x123;                // Net 1, Sub-Net 2, Universe 3: checks every part of the port address
+const TIMEOUT = 5000;                  // ms to wait for any one thing
+const APP_ORIGIN = 'http://localhost:3000';
+const POLLER_ADDRESS = '127.0.0.2';    // loopback too on Linux, not on macOS
+
+const tests = [
+  ['send Art-Net', sendArtNet],
+  ['send sACN', sendSacn],
+  ['receive Art-Net', receiveArtNet],
+  ['receive sACN', receiveSacn],
+  ['refuse other origins', refuseOrigins],
+];
+
+async function main() {
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`  ok      ${name}`);
+    } catch (error) {
+      console.error(`  failed  ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  console.log(`${tests.length - failed} passed, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+// ===========================================================================
+//  TESTS
+// ===========================================================================
+
+async function sendArtNet() {
+  await withBridge(['--protocol', 'artnet'], async () => {
+    const capture = await listenUdp(ARTNET_PORT);
+    const client = await connect();
+    try {
+      const channels = pattern(1);
+      client.send(frame(UNIVERSE, channels));
+      const first = await capture.next();
+      client.send(frame(UNIVERSE, pattern(2)));
+      const second = await capture.next();
+
+      assert.equal(first.length, 18 + 512, 'ArtDmx length');
+      assert.equal(first.toString('latin1', 0, 8), 'Art-Net\0', 'ID');
+      assert.equal(first.readUInt16LE(8), 0x5000, 'OpDmx');
+      assert.equal(first.readUInt16BE(10), 14, 'ProtVer');
+      assert.equal(first[12], 1, 'first sequence');
+      assert.equal(second[12], 2, 'sequence advances');
+      assert.equal(first[14], 0x23, 'SubUni');
+      assert.equal(first[15], 0x01, 'Net');
+      assert.equal(first.readUInt16BE(16), 512, 'Length');
+      assert.deepEqual(first.subarray(18), channels, 'channels');
+      assert.deepEqual(second.subarray(18), pattern(2), 'channels of the second frame');
+    } finally {
+      client.close();
+      capture.close();
+    }
+  });
+}
+
+async function sendSacn() {
+  await withBridge(['--protocol', 'sacn'], async () => {
+    const capture = await listenUdp(SACN_PORT);
+    const client = await connect();
+    try {
+      const channels = pattern(3);
+      client.send(frame(UNIVERSE, channels));
+      const first = await capture.next();
+      client.send(frame(UNIVERSE, channels));
+      const second = await capture.next();
+
+      assert.equal(first.length, 638, 'E1.31 length');
+      // Root layer
+      assert.equal(first.readUInt16BE(0), 0x0010, 'preamble size');
+      assert.equal(first.readUInt16BE(2), 0x0000, 'postamble size');
+      assert.equal(first.toString('latin1', 4, 16), 'ASC-E1.17\0\0\0', 'ACN packet identifier');
+      assert.equal(first.readUInt16BE(16), 0x7000 | 622, 'root flags and length');
+      assert.equal(first.readUInt32BE(18), 0x00000004, 'root vector');
+      assert.deepEqual(first.subarray(22, 38), second.subarray(22, 38), 'CID stays the same');
+      // Framing layer
+      assert.equal(first.readUInt16BE(38), 0x7000 | 600, 'framing flags and length');
+      assert.equal(first.readUInt32BE(40), 0x00000002, 'framing vector');
+      assert.equal(first.toString('utf8', 44, 57), 'Static Chapel', 'source name');
+      assert.equal(first[57], 0, 'source name is null-terminated');
+      assert.equal(first[108], 100, 'priority');
+      assert.equal(first[111], 1, 'first sequence');
+      assert.equal(second[111], 2, 'sequence advances');
+      assert.equal(first.readUInt16BE(113), UNIVERSE, 'universe');
+      // DMP layer
+      assert.equal(first.readUInt16BE(115), 0x7000 | 523, 'DMP flags and length');
+      assert.equal(first[117], 0x02, 'DMP vector');
+      assert.equal(first[118], 0xa1, 'address and data type');
+      assert.equal(first.readUInt16BE(119), 0, 'first property address');
+      assert.equal(first.readUInt16BE(121), 1, 'address increment');
+      assert.equal(first.readUInt16BE(123), 513, 'property value count');
+      assert.equal(first[125], 0, 'start code');
+      assert.deepEqual(first.subarray(126), channels, 'channels');
+    } finally {
+      client.close();
+      capture.close();
+    }
+  });
+}
+
+async function receiveArtNet() {
+  await withBridge(['--receive', '--protocol', 'artnet', '--universes', String(UNIVERSE)], async () => {
+    const client = await connect();
+    const desk = createSocket('udp4');
+    try {
+      // A short universe: the rest of the frame reads as zero
+      const channels = pattern(4).subarray(0, 100);
+      const packet = Buffer.alloc(18 + channels.length);
+      packet.write('Art-Net\0', 0, 'latin1');
+      packet.writeUInt16LE(0x5000, 8);
+      packet.writeUInt16BE(14, 10);
+      packet[12] = 1;
+      packet[14] = UNIVERSE & 0xff;
+      packet[15] = UNIVERSE >> 8;
+      packet.writeUInt16BE(channels.length, 16);
+      channels.copy(packet, 18);
+      await sendUdp(desk, packet, ARTNET_PORT);
+
+      // A universe the bridge wasn't asked for is dropped
+      const other = Buffer.from(packet);
+      other[14] = 0x24;
+      await sendUdp(desk, other, ARTNET_PORT);
+
+      const message = await client.next();
+      assert.equal(message.length, 514, 'frame length');
+      assert.equal(message.readUInt16LE(0), UNIVERSE, 'universe');
+      assert.deepEqual(message.subarray(2, 102), channels, 'channels');
+      assert.ok(message.subarray(102).every(v => v === 0), 'channels past the packet are zero');
+      await client.nothing('unrequested universe');
+
+      // ArtPoll -> ArtPollReply, sent back to the poller's address on 6454.
+      // The poller needs 6454 too, on another loopback address so the poll
+      // still reaches the bridge
+      desk.close();
+      let poller;
+      try {
+        poller = await listenUdp(ARTNET_PORT, POLLER_ADDRESS);
+      } catch (error) {
+        if (error.code !== 'EADDRNOTAVAIL') throw error;
+        console.warn(`  skipped ArtPoll: no ${POLLER_ADDRESS} on this machine`);
+        return;
+      }
+      try {
+        const poll = Buffer.alloc(14);
+        poll.write('Art-Net\0', 0, 'latin1');
+        poll.writeUInt16LE(0x2000, 8);
+        poll.writeUInt16BE(14, 10);
+        await sendUdp(poller.socket, poll, ARTNET_PORT);
+        const reply = await poller.next((p) => p.readUInt16LE(8) === 0x2100);
+        assert.equal(reply.length, 239, 'ArtPollReply length');
+        assert.deepEqual([...reply.subarray(10, 14)], [127, 0, 0, 1], 'IP');
+        assert.equal(reply[18], 0x01, 'NetSwitch');
+        assert.equal(reply[19], 0x02, 'SubSwitch');
+        assert.equal(reply.readUInt16BE(172), 1, 'NumPorts');
+        assert.equal(reply[174], 0x80, 'port outputs DMX');
+        assert.equal(reply[190], 0x03, 'SwOut');
+      } finally {
+        poller.close();
+      }
+    } finally {
+      client.close();
+      try { desk.close(); } catch (e) { /* closed above */ }
+    }
+  });
+}
+
+async function receiveSacn() {
+  await withBridge(['--receive', '--protocol', 'sacn', '--universes', String(UNIVERSE)], async () => {
+    const client = await connect();
+    const desk = createSocket('udp4');
+    try {
+      const channels = pattern(5);
+      const packet = sacnData(UNIVERSE, channels, 100);
+      await sendUdp(desk, packet, SACN_PORT);
+      let message = await client.next();
+      assert.equal(message.readUInt16LE(0), UNIVERSE, 'universe');
+      assert.deepEqual(message.subarray(2), channels, 'channels');
+
+      // A lower-priority source doesn't take over while the first is live
+      await sendUdp(desk, sacnData(UNIVERSE, Buffer.alloc(512), 50), SACN_PORT);
+      await client.nothing('lower-priority source');
+      await sendUdp(desk, sacnData(UNIVERSE, pattern(6), 100), SACN_PORT);
+      message = await client.next();
+      assert.deepEqual(message.subarray(2), pattern(6), 'same-priority update');
+    } finally {
+      client.close();
+      desk.close();
+    }
+  });
+}
+
+async function refuseOrigins() {
+  await withBridge([], async () => {
+    await assert.rejects(connect('https://evil.example'), /403/, 'foreign page refused');
+    const client = await connect(APP_ORIGIN);
+    client.close();
+  });
+}
+
+// ===========================================================================
+//  HELPERS
+// ===========================================================================
+
+/**
+ * Run `test` against a bridge started with `args` on localhost, then stop it.
+ */
+async function withBridge(args, test) {
+  const child = spawn(process.execPath, [BRIDGE, '--host', '127.0.0.1', '--port', String(WS_PORT), ...args],
+    { stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  try {
+    await within(new Promise((resolve, reject) => {
+      child.stdout.on('data', (chunk) => {
+        output += chunk;
+        if (output.includes('DMX bridge:')) resolve();
+      });
+      child.stderr.on('data', (chunk) => { output += chunk; });
+      child.on('exit', (code) => reject(new Error(`bridge exited with ${code}: ${output.trim()}`)));
+    }), 'bridge start');
+    await test();
+  } finally {
+    child.kill();
+    await exited;
+  }
+}
+
+/**
+ * A WebSocket client without dependencies: masked binary frames out,
+ * unmasked frames in.
+ */
+function connect(origin = APP_ORIGIN) {
+  return within(new Promise((resolve, reject) => {
+    const req = request({
+      host: '127.0.0.1',
+      port: WS_PORT,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13',
+        Origin: origin,
+      },
+    });
+    req.on('response', (response) => reject(new Error(`HTTP ${response.statusCode}`)));
+    req.on('error', (error) => reject(new Error(error.code === 'ECONNRESET' ? 'HTTP 403 or reset' : error.message)));
+    req.on('upgrade', (response, socket) => {
+      const inbox = new Inbox();
+      let buffer = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2) {
+          let length = buffer[1] & 0x7f;
+          let offset = 2;
+          if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          }
+          if (buffer.length < offset + length) return;
+          if ((buffer[0] & 0x0f) === 0x2) inbox.push(buffer.subarray(offset, offset + length));
+          buffer = buffer.subarray(offset + length);
+        }
+      });
+      resolve({
+        send(data) {
+          const mask = randomBytes(4);
+          const header = Buffer.from([0x82, 0x80 | 126, data.length >> 8, data.length & 0xff]);
+          const payload = Buffer.from(data);
+          for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+          socket.write(Buffer.concat([header, mask, payload]));
+        },
+        next: () => inbox.next(),
+        nothing: (what) => inbox.nothing(what),
+        close: () => socket.destroy(),
+      });
+    });
+    req.end();
+  }), 'WebSocket connect');
+}
+
+async function listenUdp(port, address = '127.0.0.1') {
+  const socket = createSocket({ type: 'udp4', reuseAddr: true });
+  const inbox = new Inbox();
+  socket.on('message', (message) => inbox.push(message));
+  await new Promise((resolve, reject) => {
+    socket.once('error', reject);
+    socket.bind(port, address, resolve);
+  });
+  return { socket, next: (accept) => inbox.next(accept), close: () => socket.close() };
+}
+
+function sendUdp(socket, packet, port) {
+  return new Promise((resolve, reject) => socket.send(packet, port, '127.0.0.1', e => (e ? reject(e) : resolve())));
+}
+
+/**
+ * Messages in arrival order; next() waits for one (optionally one `accept` likes).
+ */
+class Inbox {
+  constructor() {
+    this.messages = [];
+    this.waiting = null;
+  }
+
+  push(message) {
+    this.messages.push(message);
+    if (this.waiting) this.waiting();
+  }
+
+  async next(accept = () => true) {
+    return within((async () => {
+      for (;;) {
+        const i = this.messages.findIndex(accept);
+        if (i >= 0) return this.messages.splice(i, 1)[0];
+        await new Promise(resolve => { this.waiting = resolve; });
+      }
+    })(), 'packet');
+  }
+
+  /** Fail if anything arrives in the next quarter second. */
+  async nothing(what) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.equal(this.messages.length, 0, `nothing arrives for the ${what}`);
+  }
+}
+
+function within(promise, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out waiting for ${what}`)), TIMEOUT);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/** 512 distinct-looking channel values. */
+function pattern(seed) {
+  return Buffer.from(Array.from({ length: 512 }, (_, i) => (i * 7 + seed * 31) & 0xff));
+}
+
+/** A universe as the browser sends it: uint16 LE universe + 512 channels. */
+function frame(universe, channels) {
+  const message = Buffer.alloc(514);
+  message.writeUInt16LE(universe, 0);
+  channels.copy(message, 2);
+  return message;
+}
+
+/** A minimal E1.31 data packet, as a desk would send it. */
+function sacnData(universe, channels, priority) {
+  const packet = Buffer.alloc(638);
+  packet.writeUInt16BE(0x0010, 0);
+  packet.write('ASC-E1.17\0\0\0', 4, 'latin1');
+  packet.writeUInt16BE(0x7000 | 622, 16);
+  packet.writeUInt32BE(0x00000004, 18);
+  randomBytes(16).copy(packet, 22);
+  packet.writeUInt16BE(0x7000 | 600, 38);
+  packet.writeUInt32BE(0x00000002, 40);
+  packet.write('Desk', 44, 'utf8');
+  packet[108] = priority;
+  packet.writeUInt16BE(universe, 113);
+  packet.writeUInt16BE(0x7000 | 523, 115);
+  packet[117] = 0x02;
+  packet[118] = 0xa1;
+  packet.writeUInt16BE(1, 121);
+  packet.writeUInt16BE(513, 123);
+  channels.copy(packet, 126);
+  return packet;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
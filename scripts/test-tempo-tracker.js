@@ -0,0 +1,119 @@
+/**
+ * test-tempo-tracker - Beat events from TempoTracker's grid and live clocks
+ *
+ * Steps the tracker through analysed beat grids the way AudioEngine does
+ * every frame and checks that each beat fires exactly once, the first one
+ * included, across track changes.
+ *
+ *   npm test
+ */
+
+import assert from 'node:assert/strict';
+import { TempoTracker } from '../src/audio/TempoTracker.js';
+
+const FRAME = 1 / 60;   // seconds per update, as at 60 fps
+
+const tests = [
+  ['grid: the first beat fires', firstBeat],
+  ['grid: every beat fires once', everyBeat],
+  ['grid: a new track fires its first beat', newTrack],
+  ['live: beats count from 0', liveCount],
+];
+
+async function main() {
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`  ok      ${name}`);
+    } catch (error) {
+      console.error(`  failed  ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  console.log(`${tests.length - failed} passed, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+// ===========================================================================
+//  TESTS
+// ===========================================================================
+
+function firstBeat() {
+  const tracker = new TempoTracker();
+  const analysis = grid(120, 0.5, 8);
+
+  tracker.syncToGrid(analysis, 0.25);
+  assert.equal(tracker.beatIndex, -1, 'no beat before beats[0]');
+  assert.equal(tracker.isBeat, false, 'no beat event before beats[0]');
+
+  tracker.syncToGrid(analysis, 0.5);
+  assert.equal(tracker.beatIndex, 0, 'on beats[0]');
+  assert.equal(tracker.isBeat, true, 'beats[0] fires');
+
+  tracker.syncToGrid(analysis, 0.5 + FRAME);
+  assert.equal(tracker.isBeat, false, 'beats[0] fires once');
+}
+
+function everyBeat() {
+  const tracker = new TempoTracker();
+  const analysis = grid(128, 0.1, 16);
+  const fired = [];
+  for (let time = 0; time < 8; time += FRAME) {
+    tracker.syncToGrid(analysis, time);
+    if (tracker.isBeat) fired.push(tracker.beatIndex);
+  }
+  assert.deepEqual(fired, analysis.beats.map((_, i) => i));
+}
+
+function newTrack() {
+  // The old track stops on its first beat; the new one starts on its own
+  const tracker = new TempoTracker();
+  const previous = grid(120, 0.2, 4);
+  tracker.syncToGrid(previous, 0.3);
+  assert.equal(tracker.beatIndex, 0);
+
+  // Analysis arriving for a track already playing, without a reset
+  const next = grid(100, 0.0, 4);
+  tracker.syncToGrid(next, 0.1);
+  assert.equal(tracker.beatIndex, 0);
+  assert.equal(tracker.isBeat, true, 'first beat of the new grid fires');
+
+  // And after the reset a new load does
+  tracker.reset();
+  tracker.syncToGrid(previous, 0.2);
+  assert.equal(tracker.isBeat, true, 'first beat after reset fires');
+}
+
+function liveCount() {
+  // A steady click at 120 BPM until the tracker locks and counts
+  const tracker = new TempoTracker();
+  assert.equal(tracker.beatIndex, -1);
+  const fired = [];
+  for (let time = 0; time < 12; time += FRAME) {
+    const onset = (time % 0.5) < FRAME ? 1 : 0;
+    tracker.update(onset, FRAME);
+    assert.ok(tracker.barPhase >= 0 && tracker.barPhase < 1, `bar phase in range (${tracker.barPhase})`);
+    if (tracker.isBeat) fired.push(tracker.beatIndex);
+  }
+  assert.ok(fired.length > 0, 'locks onto the click');
+  assert.equal(fired[0], 0, 'first counted beat is 0');
+  fired.forEach((index, n) => assert.equal(index, n, 'beats count up one at a time'));
+}
+
+// ===========================================================================
+//  HELPERS
+// ===========================================================================
+
+/**
+ * A beat grid: `count` beats at `bpm` from `start`, a downbeat every fourth.
+ */
+function grid(bpm, start, count) {
+  const beats = Array.from({ length: count }, (_, i) => start + i * 60 / bpm);
+  return { bpm, beats, downbeats: beats.filter((_, i) => i % 4 === 0) };
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
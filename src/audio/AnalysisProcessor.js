@@ -0,0 +1,35 @@
+/**
+ * AnalysisProcessor - AudioWorklet that runs HopAnalyzer on the audio thread
+ *
+ * Downmixes its input to mono and posts one frame per hop to the main
+ * thread (the spectrum buffer is transferred, not copied). With nothing
+ * connected it analyses silence, so frames keep arriving at a steady rate.
+ *
+ * Loaded by AudioEngine with audioWorklet.addModule(); processorOptions are
+ * passed straight to HopAnalyzer.
+ */
+import { HopAnalyzer } from './HopAnalyzer.js';
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.analyzer = new HopAnalyzer({ sampleRate, ...options.processorOptions });
+    this._mono = new Float32Array(128);
+    this._post = (frame) => this.port.postMessage(frame, [frame.spectrum.buffer]);
+  }
+
+  process(inputs) {
+    const channels = inputs[0];
+    const length = channels.length ? channels[0].length : this._mono.length;
+    if (this._mono.length !== length) this._mono = new Float32Array(length);
+
+    this._mono.fill(0);
+    for (const channel of channels) {
+      for (let i = 0; i < length; i++) this._mono[i] += channel[i] / channels.length;
+    }
+    this.analyzer.push(this._mono, this._post);
+    return true;
+  }
+}
+
+registerProcessor('analysis-processor', AnalysisProcessor);
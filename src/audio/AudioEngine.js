@@ -1,39 +1,120 @@
+import { TempoTracker } from './TempoTracker.js';
+import { SpatialAudio } from './SpatialAudio.js';
+import { MasterBus } from './MasterBus.js';
+import { OnsetDetector } from './OnsetDetector.js';
+import { KeyDetector } from './KeyDetector.js';
+import { MoodTimeline } from './MoodTimeline.js';
+import { EventBus } from '../utils/EventBus.js';
+import { HopAnalyzer } from './HopAnalyzer.js';
+import { BANDS, TARGET_RMS, loudnessGain, isRising, classifyMood } from './MoodClassifier.js';
+import analysisProcessorUrl from './AnalysisProcessor.js?worker&url';
+
+const GAPLESS_LEAD = 0.05; // seconds before the end to start the next deck when not crossfading
+const FADE_CURVE_POINTS = 64;
+const MOOD_VOTE_SECONDS = 2;   // time constant of the votes behind mood confidence
+const HOP_SIZE = 1024;         // samples between analysis frames (~21 ms at 48 kHz)
+const ENERGY_HISTORY_SECONDS = 1;
+const MAX_QUEUED_HOPS = 100;   // frames kept while the page isn't rendering (~2 s)
+const TRIM_GLIDE = 0.3;        // seconds — time constant when a track's loudness arrives mid-play
+const NO_DECKS = Object.freeze([]);   // deckStates during live input
+export const DEFAULT_VOLUME = 0.8;
+
 /**
  * AudioEngine - Web Audio API setup, playback, and FFT analysis
+ *
+ * Playback runs on two decks (media element -> trim -> deck gain) feeding a shared
+ * mix bus, so the next track can be preloaded and started gaplessly or with
+ * an equal-power crossfade. The mix bus runs through the master effects
+ * (MasterBus: isolator EQ, filter sweep, limiter); the analysis tap takes
+ * the result, so lighting follows kills and filter sweeps.
+ *
+ * Analysis runs at a fixed hop of HOP_SIZE samples, not per render frame:
+ * an AudioWorklet (AnalysisProcessor) computes the spectrum, bands, RMS and
+ * flux on the audio thread and posts one frame per hop; update() drains
+ * them in order and steps onsets, harmony, tempo and mood once per frame
+ * with the hop's fixed duration. Results are the same at 72 Hz or 144 Hz.
+ * Without AudioWorklet (insecure contexts) the same HopAnalyzer runs on the
+ * main thread from a ScriptProcessorNode.
+ *
+ * Each deck's trim normalizes its track to TARGET_LUFS from the offline
+ * loudness measurement (TrackAnalyzer), ahead of the analysis tap, so tracks
+ * mastered at different levels drive lighting alike. Mood thresholds read
+ * normalizedEnergy — RMS relative to an average passage at that loudness.
+ *
+ * Live input mode swaps the decks for a MediaStreamSource (mic, line-in or
+ * another capture device). It feeds the analysis tap only — never the
+ * speakers — so the room PA stays the only thing anyone hears.
+ *
+ * When a space is set (setSpace), the output plays from the virtual PA
+ * through SpatialAudio instead of straight to the speakers. Analysis is
+ * taken before that, so it does not change as the listener walks around.
+ *
+ * Mood changes are recorded per track (MoodTimeline). On a later
+ * playthrough the learned timeline switches moods on its boundaries and
+ * shows up in getTimeline(), the same way the offline section map does;
+ * before that, the offline analysis's mood timeline stands in for it.
+ *
+ * Transitions are announced on `events` (an EventBus shared with the
+ * playlist): play / pause / seek, advance / ended, beat / bar / onset,
+ * moodchange and sectionchange, each emitted exactly once from update() or
+ * the call that caused it.
  */
 export class AudioEngine {
-  constructor() {
+  /**
+   * @param {EventBus} [events] - bus to emit on; a new one by default
+   */
+  constructor(events = new EventBus()) {
+    this.events = events;
     this.ctx = null;
-    this.analyser = null;
+    this.analysisTap = null;       // AudioWorkletNode (or ScriptProcessorNode fallback)
     this.gainNode = null;
-    this.source = null;
-    this.audioElement = null;
+    this.mixBus = null;
+    this.master = null;            // MasterBus — public effects API once init() has run
+    this.decks = [];               // [{ element, source, trim, gain, url, ready, pendingLoad }]
+    this._deckStates = [];         // what deckStates hands out, refreshed in place
+    this.activeDeck = 0;
+    this.crossfadeDuration = 0;    // seconds; 0 = gapless
+    this._transition = null;       // { from, to, endTime, gapless } while two decks overlap
+    this._pendingPreload = null;   // url to load onto the idle deck once a crossfade ends
     this.fftSize = 2048;
-    this.frequencyData = null;
-    this.timeDomainData = null;
+    this.frequencyData = null;     // byte spectrum of the latest analysis frame
+    this.hopSeconds = 0;           // analysis frame duration, known after init()
+    this._hops = [];               // frames posted by the tap, not yet processed
     this.isPlaying = false;
-    this.volume = 0.8;
+    this.volume = DEFAULT_VOLUME;
+
+    // Live input (see startLiveInput)
+    this.isLive = false;
+    this.inputDeviceId = null;     // null = browser default input
+    this.inputGain = null;
+    this.inputGainValue = 1;
+    this._inputStream = null;
+    this._inputSource = null;
+
+    // Spatial output — built in init() from the space given to setSpace()
+    this.spatial = null;
+    this._space = null;
 
     // Frequency band ranges (bin indices depend on sample rate & fft size)
-    this.bands = {
-      subBass:  { min: 20,    max: 60 },
-      bass:     { min: 60,    max: 250 },
-      lowMid:   { min: 250,   max: 500 },
-      mid:      { min: 500,   max: 2000 },
-      highMid:  { min: 2000,  max: 6000 },
-      presence: { min: 6000,  max: 12000 },
-      treble:   { min: 12000, max: 20000 }
-    };
+    this.bands = BANDS;
 
     this.bandValues = {};
     this.energy = 0;
+    this.normalizedEnergy = 0;     // energy / TARGET_RMS — what the mood thresholds compare
     this.prevEnergy = 0;
-    this.energyHistory = new Float32Array(60);
+    this.energyHistory = new Float32Array(60); // resized to ENERGY_HISTORY_SECONDS of hops in init()
     this.energyHistoryIndex = 0;
-    this.isBeat = false;
-    this.beatThreshold = 1.4;
+    this.isBeat = false;           // a beat fell in one of this render frame's hops
     this.spectralFlux = 0;
-    this.prevSpectrum = null;
+
+    // Beat clock — live phase-locked tracking, or the offline grid when available
+    this.tempo = new TempoTracker();
+
+    // Per-band transients: onsets.kick / .snare / .hat flags, .envelope, .count
+    this.onsets = new OnsetDetector();
+
+    // Chromagram, chord and key: harmony.chroma, .chord, .key, .hue (circle of fifths)
+    this.harmony = new KeyDetector();
 
     // Mood debouncing - prevent rapid mood switching
     this._currentMood = 'silence';
@@ -42,24 +123,107 @@ export class AudioEngine {
     this._candidateMood = null;
     this._candidateTimer = 0;      // how long the candidate mood has been consistent
     this._candidateThreshold = 0.6; // seconds a new mood must persist before switching (was 1.5)
-    this._lastUpdateTime = 0;
     this.forcedMood = null;        // manual mood override (null = auto)
+
+    // Mood history per track, learned timelines from earlier playthroughs
+    this.moodTimeline = new MoodTimeline();
+    this.mood = 'silence';         // current debounced (or forced) mood, updated by update()
+    this._moodConfidence = 0;      // confidence of the current mood, 0-1
+    this._moodVotes = {};          // mood -> recent seconds classified as it (decaying)
+    this._activeLearned = null;
+
+    // Offline pre-analysis (TrackAnalyzer) results by url — both decks' tracks
+    this._analyses = new Map();
+    this.sectionLead = 0.05;       // seconds — switch section moods slightly early to cover output latency
+    this._activeSection = null;
   }
 
   async init() {
     this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-    this.analyser = this.ctx.createAnalyser();
-    this.analyser.fftSize = this.fftSize;
-    this.analyser.smoothingTimeConstant = 0.8;
+    this.hopSeconds = HOP_SIZE / this.ctx.sampleRate;
+    this.energyHistory = new Float32Array(Math.round(ENERGY_HISTORY_SECONDS / this.hopSeconds));
+    this.frequencyData = new Uint8Array(this.fftSize / 2);
+    this.analysisTap = await this._createAnalysisTap();
 
     this.gainNode = this.ctx.createGain();
     this.gainNode.gain.value = this.volume;
-    this.gainNode.connect(this.ctx.destination);
-    this.analyser.connect(this.gainNode);
+    if (this._space) {
+      this.spatial = new SpatialAudio(this.ctx, this._space);
+      this.gainNode.connect(this.spatial.input);
+      this.spatial.output.connect(this.ctx.destination);
+    } else {
+      this.gainNode.connect(this.ctx.destination);
+    }
+
+    // The analysis tap is a side tap: whatever reaches it is analysed, but
+    // only the master bus goes on to the speakers
+    this.mixBus = this.ctx.createGain();
+    this.master = new MasterBus(this.ctx);
+    this.mixBus.connect(this.master.input);
+    this.master.output.connect(this.gainNode);
+    this.master.output.connect(this.analysisTap);
+    this.decks = [this._createDeck(), this._createDeck()];
+
+    this.inputGain = this.ctx.createGain();
+    this.inputGain.gain.value = this.inputGainValue;
+    this.inputGain.connect(this.analysisTap);
+  }
+
+  /**
+   * Node that analyses whatever is connected to it and queues one frame per hop.
+   */
+  async _createAnalysisTap() {
+    const options = { fftSize: this.fftSize, hopSize: HOP_SIZE, bands: this.bands, smoothing: 0.8 };
+    const queue = (frame) => {
+      this._hops.push(frame);
+      if (this._hops.length > MAX_QUEUED_HOPS) this._hops.shift();
+    };
+
+    if (this.ctx.audioWorklet) {
+      try {
+        await this.ctx.audioWorklet.addModule(analysisProcessorUrl);
+        const node = new AudioWorkletNode(this.ctx, 'analysis-processor', {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount: 2,
+          channelCountMode: 'explicit',
+          processorOptions: options,
+        });
+        node.port.onmessage = (e) => queue(e.data);
+        return node;
+      } catch (e) {
+        console.warn('AudioWorklet analysis unavailable, analysing on the main thread:', e);
+      }
+    }
+
+    // Same analysis on the main thread; a ScriptProcessorNode only runs
+    // while connected to the destination (its output stays silent)
+    const analyzer = new HopAnalyzer({ sampleRate: this.ctx.sampleRate, ...options });
+    const node = this.ctx.createScriptProcessor(HOP_SIZE, 2, 1);
+    const mono = new Float32Array(HOP_SIZE);
+    node.onaudioprocess = (e) => {
+      const left = e.inputBuffer.getChannelData(0);
+      const right = e.inputBuffer.getChannelData(1);
+      for (let i = 0; i < mono.length; i++) mono[i] = (left[i] + right[i]) / 2;
+      analyzer.push(mono, queue);
+    };
+    node.connect(this.ctx.destination);
+    return node;
+  }
+
+  /**
+   * Play from the virtual PA in a room instead of straight out. Call before init().
+   * @param {{ speakers: Object[], room: { length: number, width: number, height: number } }} space
+   */
+  setSpace(space) {
+    this._space = space;
+  }
 
-    this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
-    this.timeDomainData = new Uint8Array(this.analyser.frequencyBinCount);
-    this.prevSpectrum = new Float32Array(this.analyser.frequencyBinCount);
+  /**
+   * Follow the listener — call every frame with the camera (or XR camera).
+   */
+  updateListener(object) {
+    if (this.spatial) this.spatial.updateListener(object);
   }
 
   /**
@@ -72,192 +236,626 @@ export class AudioEngine {
     this.energyHistory.fill(0);
     this.energyHistoryIndex = 0;
     this.spectralFlux = 0;
+    this._activeSection = null;
+    this._activeLearned = null;
+    this._moodVotes = {};
+    this.onsets.reset();
+    this.harmony.reset();
+  }
+
+  /**
+   * A deck owns one media element for its whole life — a MediaElementSource
+   * can only ever be created once per element.
+   */
+  _createDeck() {
+    const element = new Audio();
+    element.crossOrigin = 'anonymous';
+    element.preload = 'auto';
+    const source = this.ctx.createMediaElementSource(element);
+    const trim = this.ctx.createGain();    // loudness normalization
+    const gain = this.ctx.createGain();    // crossfades
+    gain.gain.value = 0;
+    source.connect(trim);
+    trim.connect(gain);
+    gain.connect(this.mixBus);
+
+    const deck = { element, source, trim, gain, url: null, ready: false, pendingLoad: null };
+    element.addEventListener('ended', () => this._onDeckEnded(deck));
+    return deck;
+  }
+
+  /**
+   * Point a deck at a new URL and wait until it can play through. A load
+   * still pending on the deck is superseded: its promise rejects with an
+   * AbortError. An unreadable file rejects with the element's MediaError
+   * as the cause.
+   */
+  _loadDeck(deck, url) {
+    this._cancelLoad(deck);
+    deck.element.pause();
+    deck.url = url;
+    deck.ready = false;
+    deck.element.src = url;
+    this._applyTrim(deck, true);
+
+    return new Promise((resolve, reject) => {
+      const settle = () => {
+        deck.element.removeEventListener('canplaythrough', onReady);
+        deck.element.removeEventListener('error', onError);
+        deck.pendingLoad = null;
+      };
+      const onReady = () => {
+        settle();
+        deck.ready = true;
+        resolve();
+      };
+      const onError = () => {
+        settle();
+        const cause = deck.element.error;
+        reject(new Error(`Could not load ${url}${cause && cause.message ? `: ${cause.message}` : ''}`, { cause }));
+      };
+      deck.pendingLoad = {
+        cancel: () => {
+          settle();
+          reject(new DOMException(`Loading ${url} was superseded`, 'AbortError'));
+        },
+      };
+      deck.element.addEventListener('canplaythrough', onReady);
+      deck.element.addEventListener('error', onError);
+      deck.element.load();
+    });
+  }
+
+  _cancelLoad(deck) {
+    if (deck.pendingLoad) deck.pendingLoad.cancel();
+  }
+
+  /**
+   * Set a deck's trim from its track's measured loudness; unity until the
+   * measurement arrives.
+   * @param {boolean} immediate - jump instead of gliding (the deck is silent)
+   */
+  _applyTrim(deck, immediate) {
+    const analysis = this._analyses.get(deck.url);
+    const value = loudnessGain(analysis ? analysis.loudness : null);
+    const param = deck.trim.gain;
+    param.cancelScheduledValues(0);
+    if (immediate) param.value = value;
+    else param.setTargetAtTime(value, this.ctx.currentTime, TRIM_GLIDE);
+  }
+
+  get _idleDeck() {
+    return this.decks[1 - this.activeDeck];
+  }
+
+  get audioElement() {
+    const deck = this.decks[this.activeDeck];
+    return deck ? deck.element : null;
+  }
+
+  /** URL of the track on the active deck */
+  get url() {
+    const deck = this.decks[this.activeDeck];
+    return deck ? deck.url : null;
   }
 
+  /** Offline analysis of the active track: { loudness, bpm, beats, downbeats, sections } or null until ready */
+  get analysis() {
+    if (this.isLive) return null;
+    return this._analyses.get(this.url) || null;
+  }
+
+  /**
+   * Hard-cut load onto the active deck (stops anything playing). Rejects
+   * with an AbortError when another load supersedes this one.
+   */
   async loadTrack(url) {
     // Reset mood state so the new track's character is detected quickly
     this.resetMood();
-
-    // Stop current playback
-    if (this.audioElement) {
-      this.audioElement.pause();
-      if (this.source) {
-        this.source.disconnect();
-      }
+    this.tempo.reset();
+
+    // Stop current playback on both decks
+    this._finishTransition();
+    for (const deck of this.decks) {
+      deck.element.pause();
+      deck.gain.gain.cancelScheduledValues(0);
+      deck.gain.gain.value = 0;
     }
+    this._cancelLoad(this._idleDeck);
+    this._idleDeck.url = null;
+    this._idleDeck.ready = false;
+    this._pendingPreload = null;
+    this._setPlaying(false);
 
-    this.audioElement = new Audio();
-    this.audioElement.crossOrigin = 'anonymous';
-    this.audioElement.src = url;
+    const deck = this.decks[this.activeDeck];
+    deck.gain.gain.value = 1;
 
     // Resume context if suspended (browser autoplay policy)
     if (this.ctx.state === 'suspended') {
       await this.ctx.resume();
     }
 
-    this.source = this.ctx.createMediaElementSource(this.audioElement);
-    this.source.connect(this.analyser);
+    return this._loadDeck(deck, url);
+  }
 
-    return new Promise((resolve, reject) => {
-      this.audioElement.addEventListener('canplaythrough', () => resolve(), { once: true });
-      this.audioElement.addEventListener('error', (e) => reject(e), { once: true });
-      this.audioElement.load();
+  /**
+   * Load the next track onto the idle deck so it can start without a gap.
+   * Ignored while a crossfade is still using the idle deck.
+   */
+  async preload(url) {
+    if (this._transition) {
+      // The idle deck is still fading out; load once the crossfade ends
+      this._pendingPreload = url;
+      return;
+    }
+    const deck = this._idleDeck;
+    if (deck.url === url) return;
+    deck.gain.gain.cancelScheduledValues(0);
+    deck.gain.gain.value = 0;
+    return this._loadDeck(deck, url);
+  }
+
+  /**
+   * Empty the idle deck, so the active track ends without anything after it.
+   */
+  clearPreload() {
+    this._pendingPreload = null;
+    // Mid-crossfade the idle deck is the outgoing one; finishing clears it
+    if (this._transition) return;
+    const deck = this._idleDeck;
+    this._cancelLoad(deck);
+    deck.url = null;
+    deck.ready = false;
+  }
+
+  /**
+   * What each deck holds, for deck displays. Empty in live input mode.
+   * Read every frame, so the same objects are refreshed on each read.
+   * @returns {{ url: string|null, time: number, duration: number, playing: boolean,
+   *   active: boolean, analysis: Object|null }[]}
+   */
+  get deckStates() {
+    if (this.isLive) return NO_DECKS;
+    this.decks.forEach((deck, i) => {
+      const state = this._deckStates[i] || (this._deckStates[i] = {});
+      state.url = deck.url;
+      state.time = deck.element.currentTime;
+      state.duration = deck.element.duration || 0;
+      state.playing = !deck.element.paused;
+      state.active = i === this.activeDeck;
+      state.analysis = deck.url ? this._analyses.get(deck.url) || null : null;
     });
+    return this._deckStates;
   }
 
-  play() {
-    if (this.audioElement && this.ctx) {
-      if (this.ctx.state === 'suspended') this.ctx.resume();
-      this.audioElement.play();
-      this.isPlaying = true;
+  /** URL waiting on the idle deck, once it can play through */
+  get preloadedUrl() {
+    const deck = this._idleDeck;
+    return deck && deck.ready && !this._transition ? deck.url : null;
+  }
+
+  /**
+   * Start the preloaded track now, crossfading over `duration` seconds
+   * (equal-power), or cutting straight over when duration is 0.
+   * @returns {boolean} false if nothing is preloaded
+   */
+  startTransition(duration = this.crossfadeDuration) {
+    if (!this.preloadedUrl) return false;
+
+    const from = this.decks[this.activeDeck];
+    const to = this._idleDeck;
+    const now = this.ctx.currentTime;
+
+    to.element.currentTime = 0;
+    to.element.play().catch(error => {
+      if (error.name !== 'AbortError') this.events.emit('error', { message: `Could not play ${to.url}`, error, url: to.url });
+    });
+    this.activeDeck = 1 - this.activeDeck;
+    this._setPlaying(true);
+    this.resetMood();
+    this.tempo.reset();
+
+    from.gain.gain.cancelScheduledValues(now);
+    to.gain.gain.cancelScheduledValues(now);
+    if (duration > 0) {
+      const fadeOut = new Float32Array(FADE_CURVE_POINTS);
+      const fadeIn = new Float32Array(FADE_CURVE_POINTS);
+      for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+        const x = i / (FADE_CURVE_POINTS - 1) * Math.PI / 2;
+        fadeOut[i] = Math.cos(x) * from.gain.gain.value;
+        fadeIn[i] = Math.sin(x);
+      }
+      from.gain.gain.setValueCurveAtTime(fadeOut, now, duration);
+      to.gain.gain.setValueCurveAtTime(fadeIn, now, duration);
+    } else {
+      // Gapless: the outgoing deck keeps its level and simply runs out
+      to.gain.gain.value = 1;
+    }
+    this._transition = { from, to, endTime: now + duration, gapless: duration <= 0 };
+    return true;
+  }
+
+  /**
+   * End any crossfade in progress: silence and stop the outgoing deck.
+   */
+  _finishTransition() {
+    if (!this._transition) return;
+    const { from, to } = this._transition;
+    this._transition = null;
+    from.element.pause();
+    from.gain.gain.cancelScheduledValues(0);
+    from.gain.gain.value = 0;
+    to.gain.gain.cancelScheduledValues(0);
+    to.gain.gain.value = 1;
+    from.url = null;
+    from.ready = false;
+
+    if (this._pendingPreload) {
+      const url = this._pendingPreload;
+      this._pendingPreload = null;
+      this._loadDeck(from, url).catch(error => {
+        if (error.name !== 'AbortError') this.events.emit('error', { message: `Could not preload ${url}`, error, url });
+      });
+    }
+  }
+
+  /**
+   * Auto-advance: start the preloaded deck as the active one runs out.
+   */
+  _checkAutoAdvance() {
+    if (this._transition) {
+      // Crossfades finish on schedule; gapless cuts let the outgoing deck run out
+      const t = this._transition;
+      if (t.gapless ? t.from.element.ended : this.ctx.currentTime >= t.endTime) {
+        this._finishTransition();
+      }
+      return;
+    }
+    if (this.isLive || !this.isPlaying || !this.preloadedUrl || !this.duration) return;
+
+    const remaining = this.duration - this.currentTime;
+    const lead = Math.max(this.crossfadeDuration, GAPLESS_LEAD);
+    if (remaining <= lead) {
+      // Never fade for longer than what is left of the outgoing track
+      this.startTransition(Math.min(this.crossfadeDuration, remaining));
+      this.events.emit('advance', { url: this.url });
+    }
+  }
+
+  _onDeckEnded(deck) {
+    if (this._transition && deck === this._transition.from) {
+      this._finishTransition();
+      return;
     }
+    // The active deck ran out before update() could start the next one
+    // (e.g. the tab was throttled) — cut over now if something is ready.
+    if (deck === this.decks[this.activeDeck] && this.startTransition(0)) {
+      this.events.emit('advance', { url: this.url });
+    } else if (deck === this.decks[this.activeDeck]) {
+      this._setPlaying(false);
+      this.events.emit('ended', { url: deck.url });
+    }
+  }
+
+  // =========================================================================
+  //  LIVE INPUT
+  // =========================================================================
+
+  /**
+   * Audio capture devices. Labels are empty until input permission is granted.
+   * @returns {Promise<{ deviceId: string, label: string }[]>}
+   */
+  static async listInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(d => d.kind === 'audioinput')
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Input ${i + 1}` }));
+  }
+
+  /**
+   * Analyse a capture device instead of the playlist. File playback stops.
+   * @param {string|null} [deviceId] - from listInputDevices(); null for the default input
+   */
+  async startLiveInput(deviceId = null) {
+    // Browser voice processing would flatten exactly what we want to see
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+
+    this._releaseInput();
+    if (this.ctx.state === 'suspended') await this.ctx.resume();
+
+    // Pause the decks where they are; play() resumes them after stopLiveInput()
+    this._finishTransition();
+    for (const deck of this.decks) deck.element.pause();
+
+    this._inputStream = stream;
+    this._inputSource = this.ctx.createMediaStreamSource(stream);
+    this._inputSource.connect(this.inputGain);
+    this.inputDeviceId = deviceId;
+    this.isLive = true;
+    this._setPlaying(true);
+    this.resetMood();
+    this.tempo.reset();
+  }
+
+  /**
+   * Back to file playback, paused where live input interrupted it.
+   */
+  stopLiveInput() {
+    if (!this.isLive) return;
+    this._releaseInput();
+    this.isLive = false;
+    this._setPlaying(false);
+    this.resetMood();
+    this.tempo.reset();
+  }
+
+  _releaseInput() {
+    if (this._inputSource) this._inputSource.disconnect();
+    if (this._inputStream) this._inputStream.getTracks().forEach(track => track.stop());
+    this._inputSource = null;
+    this._inputStream = null;
+  }
+
+  /**
+   * Pre-analysis gain for the live input (1 = unity).
+   */
+  setInputGain(v) {
+    this.inputGainValue = Math.max(0, v);
+    if (this.inputGain) this.inputGain.gain.value = this.inputGainValue;
+  }
+
+  // =========================================================================
+  //  TRANSPORT
+  // =========================================================================
+
+  /**
+   * Start the active deck. Resolves once it plays; rejects like
+   * HTMLMediaElement.play() (NotAllowedError when autoplay is blocked,
+   * NotSupportedError for an unreadable file, AbortError when a load
+   * interrupts it), after which isPlaying is false again.
+   */
+  play() {
+    if (this.isLive || !this.audioElement || !this.ctx) return Promise.resolve();
+    if (this.ctx.state === 'suspended') this.ctx.resume();
+    const element = this.audioElement;
+    this._setPlaying(true);
+    return element.play().catch(error => {
+      if (element === this.audioElement && element.paused) this._setPlaying(false);
+      throw error;
+    });
   }
 
   pause() {
+    if (this.isLive) return;
     if (this.audioElement) {
+      this._finishTransition();
       this.audioElement.pause();
-      this.isPlaying = false;
+      this._setPlaying(false);
     }
   }
 
   togglePlay() {
-    if (this.isPlaying) this.pause();
-    else this.play();
+    if (this.isPlaying) {
+      this.pause();
+      return Promise.resolve();
+    }
+    return this.play();
   }
 
   seek(fraction) {
+    if (this.isLive) return;
     if (this.audioElement && this.audioElement.duration) {
+      this._finishTransition();
       this.audioElement.currentTime = fraction * this.audioElement.duration;
+      this.events.emit('seek', { time: this.audioElement.currentTime });
     }
   }
 
+  /**
+   * Change isPlaying, announcing play / pause when it actually changes.
+   */
+  _setPlaying(playing) {
+    if (playing === this.isPlaying) return;
+    this.isPlaying = playing;
+    this.events.emit(playing ? 'play' : 'pause');
+  }
+
   setVolume(v) {
     this.volume = Math.max(0, Math.min(1, v));
     if (this.gainNode) this.gainNode.gain.value = this.volume;
   }
 
+  // Live input has no timeline: these read as an empty track
   get currentTime() {
-    return this.audioElement ? this.audioElement.currentTime : 0;
+    return this.audioElement && !this.isLive ? this.audioElement.currentTime : 0;
   }
 
   get duration() {
-    return this.audioElement ? this.audioElement.duration || 0 : 0;
+    return this.audioElement && !this.isLive ? this.audioElement.duration || 0 : 0;
   }
 
   get progress() {
-    if (!this.audioElement || !this.audioElement.duration) return 0;
-    return this.audioElement.currentTime / this.audioElement.duration;
+    if (!this.duration) return 0;
+    return this.currentTime / this.duration;
   }
 
   get ended() {
-    return this.audioElement ? this.audioElement.ended : false;
+    return this.audioElement && !this.isLive ? this.audioElement.ended : false;
   }
 
-  onEnded(callback) {
-    if (this.audioElement) {
-      this.audioElement.addEventListener('ended', callback);
+  /**
+   * Attach offline analysis results for a track. It applies whenever that
+   * track is (or becomes) the active deck; its loudness trims whichever
+   * deck holds the track right away.
+   */
+  setAnalysis(analysis, url) {
+    this._analyses.set(url, analysis);
+    // Keep only the most recent few — current, next and one in flight
+    while (this._analyses.size > 4) {
+      this._analyses.delete(this._analyses.keys().next().value);
+    }
+    if (url === this.url) this._activeSection = null;
+    if (url === this.moodTimeline.url) this.moodTimeline.useAnalysis(analysis.moods, analysis.duration);
+    for (const deck of this.decks) {
+      if (deck.url === url) this._applyTrim(deck, false);
+    }
+  }
+
+  /** Tempo in beats per minute (0 until a tempo is found) */
+  get bpm() {
+    return this.tempo.bpm;
+  }
+
+  /** 0-1 position within the current beat */
+  get beatPhase() {
+    return this.tempo.beatPhase;
+  }
+
+  /** 0-1 position within the current 4-beat bar */
+  get barPhase() {
+    return this.tempo.barPhase;
+  }
+
+  /** Index of the current beat in the track; -1 before the first */
+  get beatIndex() {
+    return this.tempo.beatIndex;
+  }
+
+  /**
+   * Section of the analysed track playing at `time` (defaults to now), or null.
+   */
+  getSection(time = this.currentTime) {
+    if (!this.analysis) return null;
+    for (const section of this.analysis.sections) {
+      if (time >= section.start && time < section.end) return section;
     }
+    return null;
   }
 
   /**
-   * Update audio analysis — call every frame
+   * Where playback sits in the section map: the current section, the next
+   * one, and seconds until it starts. Where the section map has no mood
+   * coming up, the next change from the track's learned mood timeline is
+   * reported instead (type 'learned'). Null when neither is available.
    */
-  update() {
-    if (!this.analyser) return;
-
-    this.analyser.getByteFrequencyData(this.frequencyData);
-    this.analyser.getByteTimeDomainData(this.timeDomainData);
-
-    const nyquist = this.ctx.sampleRate / 2;
-    const binCount = this.analyser.frequencyBinCount;
-
-    // Calculate frequency bands
-    for (const [name, range] of Object.entries(this.bands)) {
-      const startBin = Math.floor(range.min / nyquist * binCount);
-      const endBin = Math.min(Math.floor(range.max / nyquist * binCount), binCount - 1);
-      let sum = 0;
-      let count = 0;
-      for (let i = startBin; i <= endBin; i++) {
-        sum += this.frequencyData[i];
-        count++;
+  getTimeline() {
+    const time = this.currentTime;
+    let timeline = null;
+    const sections = this.analysis ? this.analysis.sections : [];
+    for (let i = 0; i < sections.length; i++) {
+      if (time < sections[i].end) {
+        const next = sections[i + 1] || null;
+        timeline = {
+          section: sections[i],
+          next,
+          timeToNext: next ? next.start - time : Infinity,
+        };
+        break;
       }
-      this.bandValues[name] = count > 0 ? (sum / count) / 255 : 0;
     }
 
-    // Overall energy (RMS of time domain)
-    this.prevEnergy = this.energy;
-    let rms = 0;
-    for (let i = 0; i < this.timeDomainData.length; i++) {
-      const v = (this.timeDomainData[i] - 128) / 128;
-      rms += v * v;
+    const learned = this.isLive ? null : this.moodTimeline.nextChange(time);
+    if (learned && (!timeline || !timeline.next || !timeline.next.mood || learned.start < timeline.next.start)) {
+      return {
+        section: timeline ? timeline.section : null,
+        next: learned,
+        timeToNext: learned.start - time,
+      };
     }
-    this.energy = Math.sqrt(rms / this.timeDomainData.length);
+    return timeline;
+  }
 
-    // Energy history for build detection
-    this.energyHistory[this.energyHistoryIndex] = this.energy;
-    this.energyHistoryIndex = (this.energyHistoryIndex + 1) % this.energyHistory.length;
+  /**
+   * Process the analysis frames that arrived since the last call and emit
+   * their events — call every render frame
+   */
+  update() {
+    if (!this.analysisTap) return;
 
-    // Simple beat detection
-    let avgEnergy = 0;
-    for (let i = 0; i < this.energyHistory.length; i++) avgEnergy += this.energyHistory[i];
-    avgEnergy /= this.energyHistory.length;
-    this.isBeat = this.energy > avgEnergy * this.beatThreshold && this.energy > 0.05;
+    this._checkAutoAdvance();
 
-    // Spectral flux
-    let flux = 0;
-    for (let i = 0; i < binCount; i++) {
-      const diff = this.frequencyData[i] / 255 - this.prevSpectrum[i];
-      if (diff > 0) flux += diff;
-      this.prevSpectrum[i] = this.frequencyData[i] / 255;
-    }
-    this.spectralFlux = flux / binCount;
+    this.isBeat = false;
+    const hops = this._hops;
+    this._hops = [];
+    for (const hop of hops) this._analyzeHop(hop);
   }
 
   /**
-   * Raw instantaneous mood classification (internal use)
+   * One fixed-length analysis frame: everything stateful advances by hopSeconds.
    */
-  _classifyMoodRaw() {
-    const e = this.energy;
-    const bass = (this.bandValues.subBass || 0) + (this.bandValues.bass || 0);
-    const mid = (this.bandValues.mid || 0) + (this.bandValues.lowMid || 0);
-    const high = (this.bandValues.highMid || 0) + (this.bandValues.presence || 0) + (this.bandValues.treble || 0);
+  _analyzeHop(hop) {
+    const dt = this.hopSeconds;
+    this.frequencyData = hop.spectrum;
+    Object.assign(this.bandValues, hop.bands);
 
-    // Detect builds (rising energy over recent history)
-    let rising = 0;
-    for (let i = 1; i < this.energyHistory.length; i++) {
-      if (this.energyHistory[i] > this.energyHistory[i - 1]) rising++;
-    }
-    const isBuilding = rising > this.energyHistory.length * 0.7;
+    this.prevEnergy = this.energy;
+    this.energy = hop.rms;
+    this.normalizedEnergy = this.energy / TARGET_RMS;
 
-    // Detect silence / transition
-    if (e < 0.01) return 'silence';
-    if (isBuilding && e > 0.15) return 'building';
+    // Energy history for build detection
+    this.energyHistory[this.energyHistoryIndex] = this.energy;
+    this.energyHistoryIndex = (this.energyHistoryIndex + 1) % this.energyHistory.length;
 
-    // Glitch detection - raised threshold to avoid constant triggering
-    if (this.spectralFlux > 0.12) return 'glitch';
+    this.spectralFlux = hop.flux;
 
-    // Energy-based classification (lowered thresholds for more responsive mood changes)
-    if (e < 0.04) {
-      if (bass > mid) return 'cold_ambient';
-      if (high > mid) return 'cold_ambient';
-      return 'warm_ambient';
+    // Kick / snare / hat transients
+    if (this.isPlaying) this.onsets.update(this.frequencyData, this.ctx.sampleRate, dt);
+    else this.onsets.idle(dt);
+
+    // Chords and key
+    if (this.isPlaying) this.harmony.update(this.frequencyData, this.ctx.sampleRate, dt);
+
+    // Beat clock: follow the offline grid when we have one, otherwise track
+    // tempo and phase live from the onset (flux) stream
+    if (this.analysis && this.analysis.beats.length > 0) {
+      this.tempo.syncToGrid(this.analysis, this.currentTime);
+    } else if (this.isPlaying) {
+      this.tempo.update(this.spectralFlux, dt);
+    } else {
+      this.tempo.isBeat = false;
     }
-    if (e < 0.12) {
-      if (bass > mid * 1.5) return 'bass_heavy';
-      if (high > bass) return 'ritualistic';
-      return 'balanced_medium';
+    const beat = this.tempo.isBeat && this.isPlaying;
+    this.isBeat = this.isBeat || beat;
+
+    this._updateMood(dt);
+    this._emitRhythm(beat);
+  }
+
+  /**
+   * Announce this hop's beat, bar and drum hits.
+   */
+  _emitRhythm(beat) {
+    if (beat) {
+      const downbeat = Math.floor(this.tempo.barPhase * 4) === 0;
+      this.events.emit('beat', { index: this.tempo.beatIndex, bpm: this.tempo.bpm, downbeat });
+      if (downbeat) this.events.emit('bar', { index: Math.floor(this.tempo.beatIndex / 4) });
+    }
+    if (!this.isPlaying) return;
+    for (const band of Object.keys(this.onsets.count)) {
+      if (this.onsets[band]) this.events.emit('onset', { band, count: this.onsets.count[band] });
     }
-    // High energy
-    if (bass > mid * 1.5 && e > 0.2) return 'aggressive';
-    if (e > 0.3) return 'chaos';
-    return 'euphoric';
   }
 
   /**
-   * Get the current "mood" classification for lighting program selection.
-   * Uses debouncing: a new mood must persist for ~1.5s before switching,
-   * and once switched, the mood is held for at least 4s.
+   * Raw instantaneous mood classification (internal use)
    */
+  _classifyMoodRaw() {
+    return classifyMood({
+      energy: this.normalizedEnergy,
+      bands: this.bandValues,
+      flux: this.spectralFlux,
+      building: isRising(this.energyHistory),
+    });
+  }
+
   /**
    * Set a forced mood override. Pass null to return to auto-detection.
    */
@@ -265,21 +863,95 @@ export class AudioEngine {
     this.forcedMood = mood || null;
   }
 
+  /**
+   * Current mood (as of the last update()).
+   */
   getMood() {
-    // Manual override bypasses all classification
-    if (this.forcedMood) return this.forcedMood;
+    return this.mood;
+  }
 
-    const now = performance.now() / 1000;
-    const dt = this._lastUpdateTime > 0 ? now - this._lastUpdateTime : 0.016;
-    this._lastUpdateTime = now;
+  /**
+   * Advance mood classification. Emits moodchange when the mood changes and
+   * records the change in the track's mood timeline.
+   */
+  _updateMood(dt) {
+    // Follow the active track in the mood timeline
+    const url = this.isLive ? null : this.url;
+    if (url !== this.moodTimeline.url) {
+      this.moodTimeline.startTrack(url);
+      const analysis = this._analyses.get(url);
+      if (analysis) this.moodTimeline.useAnalysis(analysis.moods, analysis.duration);
+    }
+    if (this.isPlaying && url) this.moodTimeline.advance(this.currentTime);
+
+    // Manual override bypasses all classification
+    const mood = this.forcedMood || this._debouncedMood(dt);
+    if (mood !== this.mood) {
+      const change = {
+        from: this.mood,
+        to: mood,
+        confidence: this.forcedMood ? 1 : this._moodConfidence,
+        time: this.currentTime,
+      };
+      this.mood = mood;
+      if (!this.forcedMood && this.isPlaying && url) {
+        this.moodTimeline.record(change.time, mood, change.confidence);
+      }
+      this.events.emit('moodchange', change);
+    }
+  }
 
+  /**
+   * Mood classification for lighting program selection, debounced: a new
+   * mood must persist for _candidateThreshold seconds before switching, and
+   * once switched is held for _moodHoldDuration. Sets _moodConfidence
+   * whenever the mood switches.
+   */
+  _debouncedMood(dt) {
     const rawMood = this._classifyMoodRaw();
 
+    // Recent votes, for the confidence of a switch
+    const decay = Math.exp(-dt / MOOD_VOTE_SECONDS);
+    for (const mood of Object.keys(this._moodVotes)) this._moodVotes[mood] *= decay;
+    this._moodVotes[rawMood] = (this._moodVotes[rawMood] || 0) + dt;
+
     // Count down hold timer
     if (this._moodHoldTimer > 0) {
       this._moodHoldTimer -= dt;
     }
 
+    // Builds and drops are known from the offline section map, so switch on
+    // the boundary itself instead of waiting out the candidate/hold timers.
+    const section = this.getSection(this.currentTime + this.sectionLead);
+    if (section !== this._activeSection) {
+      this.events.emit('sectionchange', { section, previous: this._activeSection });
+      this._activeSection = section;
+      if (section && section.mood) {
+        this._currentMood = section.mood;
+        this._moodConfidence = 1;
+        this._moodHoldTimer = this._moodHoldDuration;
+        this._candidateMood = null;
+        this._candidateTimer = 0;
+        return this._currentMood;
+      }
+    }
+
+    // Outside those, switch on the boundaries learned on an earlier playthrough
+    const learned = section && section.mood
+      ? null
+      : this.moodTimeline.segmentAt(this.currentTime + this.sectionLead);
+    if (learned !== this._activeLearned) {
+      this._activeLearned = learned;
+      if (learned) {
+        this._currentMood = learned.mood;
+        this._moodConfidence = learned.confidence;
+        this._moodHoldTimer = this._moodHoldDuration;
+        this._candidateMood = null;
+        this._candidateTimer = 0;
+        return this._currentMood;
+      }
+    }
+
     // If raw mood matches current mood, reset candidate
     if (rawMood === this._currentMood) {
       this._candidateMood = null;
@@ -288,8 +960,9 @@ export class AudioEngine {
     }
 
     // Silence is allowed to transition immediately (track ended)
-    if (rawMood === 'silence' && this.energy < 0.005) {
+    if (rawMood === 'silence' && this.normalizedEnergy < 0.02) {
       this._currentMood = 'silence';
+      this._moodConfidence = this._voteShare('silence');
       this._moodHoldTimer = 1.0; // shorter hold for silence
       this._candidateMood = null;
       this._candidateTimer = 0;
@@ -312,6 +985,7 @@ export class AudioEngine {
     // Switch only if candidate has been consistent long enough
     if (this._candidateTimer >= this._candidateThreshold) {
       this._currentMood = rawMood;
+      this._moodConfidence = this._voteShare(rawMood);
       this._moodHoldTimer = this._moodHoldDuration;
       this._candidateMood = null;
       this._candidateTimer = 0;
@@ -319,4 +993,13 @@ export class AudioEngine {
 
     return this._currentMood;
   }
+
+  /**
+   * Share of recent classifications that agreed with `mood`, 0-1.
+   */
+  _voteShare(mood) {
+    let total = 0;
+    for (const votes of Object.values(this._moodVotes)) total += votes;
+    return total > 0 ? (this._moodVotes[mood] || 0) / total : 0;
+  }
 }
@@ -0,0 +1,180 @@
+/**
+ * HopAnalyzer - Fixed-hop spectrum analysis of a mono sample stream
+ *
+ * Samples are pushed in blocks of any size. Every `hopSize` samples the last
+ * `fftSize` samples are windowed (Blackman) and transformed, and one frame
+ * is handed to the callback:
+ *
+ *   { index, spectrum, bands, rms, flux }
+ *
+ * `spectrum` matches AnalyserNode.getByteFrequencyData (magnitudes smoothed
+ * over time, mapped from minDecibels..maxDecibels to 0..255), so detectors
+ * written against the analyser read it unchanged. Because smoothing and
+ * flux advance per hop rather than per render frame, the results are the
+ * same at any frame rate.
+ *
+ * No DOM or Web Audio dependencies: runs in the AudioWorklet scope
+ * (AnalysisProcessor.js) and on the main thread alike.
+ */
+
+export class HopAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate
+   * @param {number} [options.fftSize] - power of two
+   * @param {number} [options.hopSize] - samples between frames
+   * @param {Object} options.bands - { name: { min, max } } in Hz, averaged from the spectrum
+   * @param {number} [options.smoothing] - AnalyserNode smoothingTimeConstant, per hop
+   */
+  constructor({ sampleRate, fftSize = 2048, hopSize = 1024, bands, smoothing = 0.8,
+    minDecibels = -100, maxDecibels = -30 }) {
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    this.hopSize = hopSize;
+    this.binCount = fftSize / 2;
+    this.smoothing = smoothing;
+    this.minDecibels = minDecibels;
+    this.maxDecibels = maxDecibels;
+
+    this._history = new Float32Array(fftSize);   // ring of the latest fftSize samples
+    this._writePos = 0;
+    this._sinceHop = 0;
+    this._index = 0;
+
+    this._re = new Float32Array(fftSize);
+    this._im = new Float32Array(fftSize);
+    this._smoothed = new Float32Array(this.binCount);
+    this._prevSpectrum = new Float32Array(this.binCount);
+
+    // Blackman window, as AnalyserNode uses
+    this._window = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      const x = 2 * Math.PI * i / fftSize;
+      this._window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+    }
+
+    // Bit reversal and twiddles for the radix-2 FFT
+    const bits = Math.log2(fftSize);
+    this._reverse = new Uint32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+      this._reverse[i] = r;
+    }
+    this._cos = new Float32Array(fftSize / 2);
+    this._sin = new Float32Array(fftSize / 2);
+    for (let i = 0; i < fftSize / 2; i++) {
+      this._cos[i] = Math.cos(2 * Math.PI * i / fftSize);
+      this._sin[i] = -Math.sin(2 * Math.PI * i / fftSize);
+    }
+
+    // Bin ranges per band
+    const nyquist = sampleRate / 2;
+    this._bands = Object.entries(bands).map(([name, range]) => ({
+      name,
+      start: Math.floor(range.min / nyquist * this.binCount),
+      end: Math.min(Math.floor(range.max / nyquist * this.binCount), this.binCount - 1),
+    }));
+  }
+
+  /** Seconds between frames */
+  get hopSeconds() {
+    return this.hopSize / this.sampleRate;
+  }
+
+  /**
+   * @param {Float32Array} samples - mono block
+   * @param {Function} onFrame - called with each completed frame
+   */
+  push(samples, onFrame) {
+    for (let i = 0; i < samples.length; i++) {
+      this._history[this._writePos] = samples[i];
+      this._writePos = (this._writePos + 1) % this.fftSize;
+      if (++this._sinceHop === this.hopSize) {
+        this._sinceHop = 0;
+        onFrame(this._analyze());
+      }
+    }
+  }
+
+  // =========================================================================
+  //  INTERNALS
+  // =========================================================================
+
+  _analyze() {
+    const n = this.fftSize;
+    const re = this._re;
+    const im = this._im;
+
+    // Window the ring buffer, oldest sample first, into bit-reversed order
+    let sumSquares = 0;
+    for (let i = 0; i < n; i++) {
+      const sample = this._history[(this._writePos + i) % n];
+      sumSquares += sample * sample;
+      const j = this._reverse[i];
+      re[j] = sample * this._window[i];
+      im[j] = 0;
+    }
+    this._fft();
+
+    // Smoothed magnitude -> dB -> byte, like the AnalyserNode
+    const spectrum = new Uint8Array(this.binCount);
+    const range = this.maxDecibels - this.minDecibels;
+    let flux = 0;
+    for (let k = 0; k < this.binCount; k++) {
+      const magnitude = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / n;
+      this._smoothed[k] = this.smoothing * this._smoothed[k] + (1 - this.smoothing) * magnitude;
+      const db = this._smoothed[k] > 0 ? 20 * Math.log10(this._smoothed[k]) : -Infinity;
+      const byte = Math.max(0, Math.min(255, Math.floor((db - this.minDecibels) / range * 255)));
+      spectrum[k] = byte;
+
+      const value = byte / 255;
+      const diff = value - this._prevSpectrum[k];
+      if (diff > 0) flux += diff;
+      this._prevSpectrum[k] = value;
+    }
+
+    const bands = {};
+    for (const band of this._bands) {
+      let sum = 0;
+      for (let k = band.start; k <= band.end; k++) sum += spectrum[k];
+      const count = band.end - band.start + 1;
+      bands[band.name] = count > 0 ? sum / count / 255 : 0;
+    }
+
+    return {
+      index: this._index++,
+      spectrum,
+      bands,
+      rms: Math.sqrt(sumSquares / n),
+      flux: flux / this.binCount,
+    };
+  }
+
+  /**
+   * In-place iterative radix-2 FFT of _re/_im (already in bit-reversed order).
+   */
+  _fft() {
+    const n = this.fftSize;
+    const re = this._re;
+    const im = this._im;
+    for (let size = 2; size <= n; size *= 2) {
+      const half = size / 2;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k++) {
+          const cos = this._cos[k * step];
+          const sin = this._sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tRe = re[b] * cos - im[b] * sin;
+          const tIm = re[b] * sin + im[b] * cos;
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * KeyDetector - Chromagram, chord and key estimation from the live spectrum
+ *
+ * Spectrum bins between CHROMA_MIN_HZ and CHROMA_MAX_HZ are folded onto the
+ * 12 pitch classes. Two smoothed chromagrams are kept:
+ *   - a short one (a fraction of a second) matched against major/minor triad
+ *     templates to follow chord changes
+ *   - a long one (several seconds) correlated with the Krumhansl-Kessler key
+ *     profiles to estimate the key
+ *
+ * Harmony maps to color around the circle of fifths (fifthsHue): keys a
+ * fifth apart sit next to each other on the hue wheel, and a minor chord or
+ * key takes the hue of its relative major, so related harmony stays in
+ * related colors. `hue` glides toward the current chord's hue.
+ */
+
+const CHROMA_MIN_HZ = 100;
+const CHROMA_MAX_HZ = 5000;
+const DB_RANGE = 70;               // AnalyserNode default min/max decibels: -100..-30
+const CHORD_SECONDS = 0.25;        // short chroma time constant
+const KEY_SECONDS = 8;             // long chroma time constant
+const KEY_INTERVAL = 0.5;          // seconds between key estimates
+const CHORD_HOLD = 0.2;            // a new chord must persist this long
+const MIN_CHORD_MATCH = 0.6;       // cosine similarity to a triad template
+const MIN_KEY_CORRELATION = 0.5;
+const HUE_SECONDS = 0.15;          // hue glide time constant
+
+export const PITCH_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Byte spectrum value -> linear magnitude (0 dB at 255)
+const MAGNITUDE = new Float32Array(256);
+for (let b = 0; b < 256; b++) MAGNITUDE[b] = Math.pow(10, (b / 255 - 1) * DB_RANGE / 20);
+
+/**
+ * Circle-of-fifths hue for a pitch class.
+ * @param {number} pitchClass - 0 = C .. 11 = B
+ * @param {'major'|'minor'} [mode] - minor uses its relative major's hue
+ * @returns {number} hue 0-1
+ */
+export function fifthsHue(pitchClass, mode = 'major') {
+  const root = mode === 'minor' ? (pitchClass + 3) % 12 : pitchClass;
+  return ((root * 7) % 12) / 12;
+}
+
+export class KeyDetector {
+  constructor() {
+    this.chroma = new Float32Array(12);    // short-term, sums to ~1
+    this._keyChroma = new Float32Array(12);
+    this._frame = new Float32Array(12);
+    this._binPitch = null;                 // pitch class per spectrum bin, -1 outside range
+    this._binKey = '';
+    this.reset();
+  }
+
+  /**
+   * Forget harmony — call when a new track starts.
+   */
+  reset() {
+    this.chroma.fill(0);
+    this._keyChroma.fill(0);
+    this._sinceKey = 0;
+    this._candidate = null;
+    this._candidateTime = 0;
+
+    this.key = null;     // { tonic, mode, name, confidence }
+    this.chord = null;   // { root, mode, name, match }
+    this.hue = null;     // 0-1, glides toward the chord (or key) hue; null until known
+  }
+
+  /** True once there is a chord or key to color by */
+  get ready() {
+    return this.hue !== null;
+  }
+
+  /**
+   * @param {Uint8Array} frequencyData - AnalyserNode byte spectrum
+   * @param {number} sampleRate
+   * @param {number} dt - seconds since the previous call
+   */
+  update(frequencyData, sampleRate, dt) {
+    if (dt <= 0) return;
+    this._fold(frequencyData, sampleRate);
+
+    const chordRate = Math.min(1, dt / CHORD_SECONDS);
+    const keyRate = Math.min(1, dt / KEY_SECONDS);
+    for (let i = 0; i < 12; i++) {
+      this.chroma[i] += (this._frame[i] - this.chroma[i]) * chordRate;
+      this._keyChroma[i] += (this._frame[i] - this._keyChroma[i]) * keyRate;
+    }
+
+    this._updateChord(dt);
+    this._sinceKey += dt;
+    if (this._sinceKey >= KEY_INTERVAL) {
+      this._sinceKey = 0;
+      this._updateKey();
+    }
+    this._updateHue(dt);
+  }
+
+  // =========================================================================
+  //  INTERNALS
+  // =========================================================================
+
+  /**
+   * Fold this frame's spectrum onto 12 pitch classes (sum-normalized).
+   */
+  _fold(frequencyData, sampleRate) {
+    const binCount = frequencyData.length;
+    const binKey = `${binCount}@${sampleRate}`;
+    if (binKey !== this._binKey) {
+      this._binKey = binKey;
+      this._binPitch = new Int8Array(binCount);
+      const binHz = sampleRate / 2 / binCount;
+      for (let i = 0; i < binCount; i++) {
+        const hz = i * binHz;
+        this._binPitch[i] = hz < CHROMA_MIN_HZ || hz > CHROMA_MAX_HZ
+          ? -1
+          : ((Math.round(12 * Math.log2(hz / 440)) + 9) % 12 + 12) % 12; // A4 = pitch class 9
+      }
+    }
+
+    this._frame.fill(0);
+    let total = 0;
+    for (let i = 0; i < binCount; i++) {
+      const pc = this._binPitch[i];
+      if (pc < 0) continue;
+      const m = MAGNITUDE[frequencyData[i]];
+      const energy = m * m;
+      this._frame[pc] += energy;
+      total += energy;
+    }
+    if (total > 0) {
+      for (let i = 0; i < 12; i++) this._frame[i] /= total;
+    }
+  }
+
+  _updateChord(dt) {
+    // Cosine similarity of the chroma with every major and minor triad
+    let norm = 0;
+    for (let i = 0; i < 12; i++) norm += this.chroma[i] * this.chroma[i];
+    if (norm === 0) return;
+    norm = Math.sqrt(norm * 3);
+    let best = null;
+    for (let root = 0; root < 12; root++) {
+      for (const [mode, third] of [['major', 4], ['minor', 3]]) {
+        const sum = this.chroma[root] + this.chroma[(root + third) % 12] + this.chroma[(root + 7) % 12];
+        const match = sum / norm;
+        if (!best || match > best.match) best = { root, mode, match };
+      }
+    }
+    if (best.match < MIN_CHORD_MATCH) return;
+
+    const same = (a, b) => a && b && a.root === b.root && a.mode === b.mode;
+    if (same(best, this.chord)) {
+      this.chord.match = best.match;
+      this._candidate = null;
+      return;
+    }
+    if (!same(best, this._candidate)) {
+      this._candidate = best;
+      this._candidateTime = 0;
+    }
+    this._candidateTime += dt;
+    if (this._candidateTime >= CHORD_HOLD || !this.chord) {
+      this.chord = { ...best, name: `${PITCH_NAMES[best.root]}${best.mode === 'minor' ? 'm' : ''}` };
+      this._candidate = null;
+    }
+  }
+
+  _updateKey() {
+    let best = null;
+    for (let tonic = 0; tonic < 12; tonic++) {
+      for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+        const r = correlate(this._keyChroma, profile, tonic);
+        if (!best || r > best.confidence) best = { tonic, mode, confidence: r };
+      }
+    }
+    if (best.confidence < MIN_KEY_CORRELATION) return;
+    this.key = { ...best, name: `${PITCH_NAMES[best.tonic]} ${best.mode}` };
+  }
+
+  _updateHue(dt) {
+    const source = this.chord ? [this.chord.root, this.chord.mode] : this.key ? [this.key.tonic, this.key.mode] : null;
+    if (!source) return;
+    const target = fifthsHue(source[0], source[1]);
+    if (this.hue === null) {
+      this.hue = target;
+      return;
+    }
+    // Glide the short way around the wheel
+    let diff = target - this.hue;
+    diff -= Math.round(diff);
+    this.hue = (this.hue + diff * Math.min(1, dt / HUE_SECONDS) + 1) % 1;
+  }
+}
+
+/**
+ * Pearson correlation of a chroma vector with a key profile rotated to `tonic`.
+ */
+function correlate(chroma, profile, tonic) {
+  let meanC = 0, meanP = 0;
+  for (let i = 0; i < 12; i++) {
+    meanC += chroma[i];
+    meanP += profile[i];
+  }
+  meanC /= 12;
+  meanP /= 12;
+  let num = 0, varC = 0, varP = 0;
+  for (let i = 0; i < 12; i++) {
+    const c = chroma[(i + tonic) % 12] - meanC;
+    const p = profile[i] - meanP;
+    num += c * p;
+    varC += c * c;
+    varP += p * p;
+  }
+  return varC > 0 ? num / Math.sqrt(varC * varP) : 0;
+}
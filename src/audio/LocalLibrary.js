@@ -0,0 +1,88 @@
+/**
+ * LocalLibrary - Turns user-supplied audio files and folders into playlist tracks
+ *
+ * Files come from a file picker, a folder picker (webkitdirectory) or a
+ * drag-and-drop. Each becomes a track with an object URL, so it plays and
+ * analyzes exactly like an album track.
+ */
+import { readTags } from './TagReader.js';
+
+const AUDIO_EXTENSIONS = /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm)$/i;
+
+/**
+ * @param {File} file
+ */
+export function isAudioFile(file) {
+  return (file.type && file.type.startsWith('audio/')) || AUDIO_EXTENSIONS.test(file.name);
+}
+
+/**
+ * Collect every file from a drop, walking into dropped folders.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  const entries = [];
+  for (const item of dataTransfer.items || []) {
+    const entry = item.webkitGetAsEntry && item.webkitGetAsEntry();
+    if (entry) entries.push(entry);
+  }
+  // No entry API: fall back to the flat file list
+  if (entries.length === 0) return Array.from(dataTransfer.files || []);
+
+  const files = [];
+  await Promise.all(entries.map(entry => walkEntry(entry, '', files)));
+  return files;
+}
+
+async function walkEntry(entry, path, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    // Mirror webkitRelativePath so dropped folders sort like picked ones
+    out.push(Object.defineProperty(file, 'relativePath', { value: path + file.name }));
+    return;
+  }
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries returns the listing in batches until an empty one
+    let batch;
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      await Promise.all(batch.map(child => walkEntry(child, `${path}${entry.name}/`, out)));
+    } while (batch.length > 0);
+  }
+}
+
+/**
+ * Build playlist tracks from files, in folder/filename order, with tags read.
+ * @param {File[]} files
+ * @returns {Promise<Object[]>} tracks: { title, artist, album, artwork, url, local: true }
+ */
+export async function tracksFromFiles(files) {
+  const audioFiles = files.filter(isAudioFile);
+  const pathOf = f => f.relativePath || f.webkitRelativePath || f.name;
+  audioFiles.sort((a, b) => pathOf(a).localeCompare(pathOf(b), undefined, { numeric: true }));
+
+  return Promise.all(audioFiles.map(async (file) => {
+    const tags = await readTags(file);
+    return {
+      title: tags.title || file.name.replace(/\.[^.]+$/, ''),
+      artist: tags.artist,
+      album: tags.album,
+      artwork: tags.artwork,
+      url: URL.createObjectURL(file),
+      local: true,
+    };
+  }));
+}
+
+/**
+ * Release the object URLs held by local tracks.
+ */
+export function releaseTracks(tracks) {
+  for (const track of tracks) {
+    if (!track.local) continue;
+    URL.revokeObjectURL(track.url);
+    if (track.artwork) URL.revokeObjectURL(track.artwork);
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * MasterBus - DJ-style master effects: isolator EQ, filter sweep, limiter
+ *
+ *   input -> 3-band isolator -> HPF -> LPF -> limiter -> output
+ *
+ * Isolator: the signal is split into low / mid / high with Linkwitz-Riley
+ * (two cascaded Butterworth) crossovers and each band has its own gain, so
+ * a band can be killed outright instead of just cut a few dB.
+ *
+ * Filter: one bipolar knob. Turning left closes a resonant low-pass,
+ * turning right opens a resonant high-pass; the centre is flat.
+ *
+ * Limiter: a fast, hard-knee compressor with a high ratio, followed by a
+ * clipper that catches whatever the compressor's attack lets through.
+ */
+
+const LOW_CROSSOVER = 250;     // Hz
+const HIGH_CROSSOVER = 2500;   // Hz
+const EQ_BOOST_DB = 6;         // knob fully right
+const FILTER_MIN_HZ = 60;      // low-pass fully closed
+const FILTER_MAX_HZ = 8000;    // high-pass fully open
+const LIMITER_CEILING = -1;    // dBFS
+const SMOOTHING = 0.015;       // seconds — de-zipper time constant for knob moves
+
+export const EQ_BANDS = ['low', 'mid', 'high'];
+
+export class MasterBus {
+  /**
+   * @param {AudioContext} ctx
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+
+    // Knob state, read by the DJ booth mixer model
+    this.eq = { low: 0, mid: 0, high: 0 };       // -1 (kill) .. 0 (flat) .. 1 (+6 dB)
+    this.kills = { low: false, mid: false, high: false };
+    this.filter = 0;                             // -1 low-pass .. 0 off .. 1 high-pass
+    this.resonance = 4;                          // filter Q at full sweep
+
+    // --- Isolator ---
+    const lowBand = this._chain([
+      this._biquad('lowpass', LOW_CROSSOVER), this._biquad('lowpass', LOW_CROSSOVER),
+    ]);
+    const midBand = this._chain([
+      this._biquad('highpass', LOW_CROSSOVER), this._biquad('highpass', LOW_CROSSOVER),
+      this._biquad('lowpass', HIGH_CROSSOVER), this._biquad('lowpass', HIGH_CROSSOVER),
+    ]);
+    const highBand = this._chain([
+      this._biquad('highpass', HIGH_CROSSOVER), this._biquad('highpass', HIGH_CROSSOVER),
+    ]);
+    const isolatorOut = ctx.createGain();
+    this.bandGains = {};
+    for (const [name, band] of [['low', lowBand], ['mid', midBand], ['high', highBand]]) {
+      const gain = ctx.createGain();
+      this.input.connect(band.first);
+      band.last.connect(gain);
+      gain.connect(isolatorOut);
+      this.bandGains[name] = gain;
+    }
+
+    // --- Filter sweep ---
+    const nyquist = ctx.sampleRate / 2;
+    this.highpass = this._biquad('highpass', 10);
+    this.lowpass = this._biquad('lowpass', nyquist);
+    isolatorOut.connect(this.highpass);
+    this.highpass.connect(this.lowpass);
+
+    // --- Limiter ---
+    this.limiter = ctx.createDynamicsCompressor();
+    this.limiter.threshold.value = LIMITER_CEILING;
+    this.limiter.knee.value = 0;
+    this.limiter.ratio.value = 20;
+    this.limiter.attack.value = 0.001;
+    this.limiter.release.value = 0.1;
+    this.clipper = ctx.createWaveShaper();
+    this.clipper.curve = clipCurve(Math.pow(10, LIMITER_CEILING / 20));
+    this.clipper.oversample = '4x';
+    this.lowpass.connect(this.limiter);
+    this.limiter.connect(this.clipper);
+    this.clipper.connect(this.output);
+  }
+
+  /**
+   * @param {'low'|'mid'|'high'} band
+   * @param {number} value - -1 (kill) .. 0 (flat) .. 1 (+6 dB)
+   */
+  setEQ(band, value) {
+    if (!(band in this.eq)) return;
+    this.eq[band] = Math.max(-1, Math.min(1, value));
+    this._applyBand(band);
+  }
+
+  /**
+   * Kill switch: silences the band without moving its knob.
+   */
+  setKill(band, killed) {
+    if (!(band in this.kills)) return;
+    this.kills[band] = !!killed;
+    this._applyBand(band);
+  }
+
+  toggleKill(band) {
+    this.setKill(band, !this.kills[band]);
+    return this.kills[band];
+  }
+
+  /**
+   * @param {number} value - -1 (low-pass closed) .. 0 (off) .. 1 (high-pass open)
+   */
+  setFilter(value) {
+    this.filter = Math.max(-1, Math.min(1, value));
+    const amount = Math.abs(this.filter);
+    const nyquist = this.ctx.sampleRate / 2;
+    // Resonance fades in with the sweep so the centre stays flat
+    const q = 0.707 + (this.resonance - 0.707) * Math.min(1, amount * 4);
+
+    let lowpassHz = nyquist;
+    let highpassHz = 10;
+    if (this.filter < 0) lowpassHz = nyquist * Math.pow(FILTER_MIN_HZ / nyquist, amount);
+    else if (this.filter > 0) highpassHz = 10 * Math.pow(FILTER_MAX_HZ / 10, amount);
+
+    this._smooth(this.lowpass.frequency, lowpassHz);
+    this._smooth(this.highpass.frequency, highpassHz);
+    this._smooth(this.lowpass.Q, this.filter < 0 ? q : 0.707);
+    this._smooth(this.highpass.Q, this.filter > 0 ? q : 0.707);
+  }
+
+  /**
+   * @param {number} q - filter resonance at full sweep (0.707 = none)
+   */
+  setResonance(q) {
+    this.resonance = Math.max(0.707, Math.min(20, q));
+    this.setFilter(this.filter);
+  }
+
+  /** Flat EQ, no kills, filter open. */
+  reset() {
+    for (const band of EQ_BANDS) {
+      this.eq[band] = 0;
+      this.kills[band] = false;
+      this._applyBand(band);
+    }
+    this.setFilter(0);
+  }
+
+  /** Current limiter gain reduction in dB (0 or negative) */
+  get reduction() {
+    return this.limiter.reduction;
+  }
+
+  // =========================================================================
+  //  INTERNALS
+  // =========================================================================
+
+  _applyBand(band) {
+    const value = this.eq[band];
+    let gain = value >= 0 ? Math.pow(10, value * EQ_BOOST_DB / 20) : Math.pow(1 + value, 2);
+    if (this.kills[band]) gain = 0;
+    this._smooth(this.bandGains[band].gain, gain);
+  }
+
+  _smooth(param, value) {
+    param.setTargetAtTime(value, this.ctx.currentTime, SMOOTHING);
+  }
+
+  _biquad(type, frequency) {
+    const filter = this.ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = 0.707;
+    return filter;
+  }
+
+  _chain(nodes) {
+    for (let i = 1; i < nodes.length; i++) nodes[i - 1].connect(nodes[i]);
+    return { first: nodes[0], last: nodes[nodes.length - 1] };
+  }
+}
+
+/**
+ * Transfer curve: linear up to the ceiling, then held there.
+ */
+function clipCurve(ceiling) {
+  const n = 2048;
+  const curve = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    const x = (i / (n - 1)) * 2 - 1;
+    curve[i] = Math.max(-ceiling, Math.min(ceiling, x));
+  }
+  return curve;
+}
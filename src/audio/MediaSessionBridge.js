@@ -0,0 +1,134 @@
+/**
+ * MediaSessionBridge - Lock screen, notification and media key controls
+ *
+ * Publishes the current track (title, artist, album, artwork), the playback
+ * state and the position through navigator.mediaSession, so the OS can show
+ * what is playing while the chapel runs in a background tab or on a locked
+ * phone. Its play / pause / next / previous / seek actions drive the
+ * playlist like the player buttons do.
+ *
+ * Everything comes from the shared event bus: trackchange for metadata,
+ * statechange / play / pause for the playback state, and those plus seek for
+ * the position (the browser extrapolates it while playing). Does nothing
+ * where the Media Session API is missing.
+ */
+
+const SEEK_STEP = 10;   // seconds for seek backward / forward without an offset
+
+export class MediaSessionBridge {
+  /**
+   * @param {PlaylistManager} playlist
+   */
+  constructor(playlist) {
+    this.playlist = playlist;
+    this.audio = playlist.audio;
+    this.session = 'mediaSession' in navigator ? navigator.mediaSession : null;
+    this._shown = null;   // track (or 'live') the metadata describes
+    if (!this.session) return;
+
+    this._setActions({
+      play: () => this.audio.isPlaying ? null : this.playlist.togglePlay(),
+      pause: () => this.audio.pause(),
+      stop: () => {
+        this.audio.pause();
+        this.audio.seek(0);
+      },
+      nexttrack: () => this.playlist.next(),
+      previoustrack: () => this.playlist.prev(),
+      seekto: ({ seekTime }) => this._seekTo(seekTime),
+      seekbackward: ({ seekOffset }) => this._seekTo(this.audio.currentTime - (seekOffset || SEEK_STEP)),
+      seekforward: ({ seekOffset }) => this._seekTo(this.audio.currentTime + (seekOffset || SEEK_STEP)),
+    });
+
+    const events = this.audio.events;
+    events.on('trackchange', () => this.update());
+    events.on('statechange', () => this.update());
+    events.on('play', () => this.update());
+    events.on('pause', () => this.update());
+    events.on('seek', () => this._updatePosition());
+  }
+
+  /**
+   * Bring metadata, playback state and position up to date.
+   */
+  update() {
+    if (!this.session) return;
+    this._updateMetadata();
+    this._updatePlaybackState();
+    this._updatePosition();
+  }
+
+  // =========================================================================
+  //  INTERNALS
+  // =========================================================================
+
+  _setActions(handlers) {
+    for (const [action, handler] of Object.entries(handlers)) {
+      try {
+        this.session.setActionHandler(action, details => {
+          Promise.resolve(handler(details)).catch(error => {
+            this.audio.events.emit('error', { message: `Media control "${action}" failed`, error, url: null });
+          });
+        });
+      } catch (e) {
+        // Action not supported by this browser
+      }
+    }
+  }
+
+  _updateMetadata() {
+    const shown = this.audio.isLive ? 'live' : this.playlist.currentTrack;
+    if (shown === this._shown) return;
+    this._shown = shown;
+    if (!shown) {
+      this.session.metadata = null;
+      return;
+    }
+    if (shown === 'live') {
+      this.session.metadata = new MediaMetadata({ title: 'Live Input', artist: 'Static Chapel' });
+      return;
+    }
+    const manifest = this.playlist.isManifest && this.playlist.manifest;
+    this.session.metadata = new MediaMetadata({
+      title: shown.title,
+      artist: shown.artist || '',
+      album: shown.album || (manifest ? manifest.name : ''),
+      artwork: shown.artwork ? [{ src: shown.artwork }] : [],
+    });
+  }
+
+  _updatePlaybackState() {
+    const state = this.playlist.state;
+    if (this.audio.isPlaying) this.session.playbackState = 'playing';
+    else if (state === 'idle' || state === 'error') this.session.playbackState = 'none';
+    else this.session.playbackState = 'paused';
+  }
+
+  /**
+   * Live input has no timeline, and neither has a track whose length the
+   * element doesn't know yet: clear the position then.
+   */
+  _updatePosition() {
+    if (!this.session || !this.session.setPositionState) return;
+    const duration = this.audio.duration;
+    try {
+      if (this.audio.isLive || !Number.isFinite(duration) || duration <= 0) {
+        this.session.setPositionState();
+        return;
+      }
+      this.session.setPositionState({
+        duration,
+        playbackRate: 1,
+        position: Math.max(0, Math.min(duration, this.audio.currentTime)),
+      });
+    } catch (e) {
+      // Rejected position (e.g. the element's duration changed mid-call)
+    }
+  }
+
+  _seekTo(time) {
+    const duration = this.audio.duration;
+    if (!duration) return;
+    this.audio.seek(Math.max(0, Math.min(duration, time)) / duration);
+  }
+}
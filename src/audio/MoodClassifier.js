@@ -0,0 +1,88 @@
+/**
+ * MoodClassifier - Instantaneous mood from one analysis frame
+ *
+ * Shared by AudioEngine (live, every hop) and TrackAnalyzer (offline, over
+ * the whole track), so a precomputed mood timeline matches what the live
+ * classifier would have said. Energy thresholds are in normalized energy:
+ * RMS relative to an average passage of a track at TARGET_LUFS.
+ *
+ * No DOM or Web Audio dependencies: also runs under Node (scripts/analyze.js).
+ */
+
+export const TARGET_LUFS = -10;  // every analysed track is trimmed to this integrated loudness
+const MAX_TRIM_DB = 12;          // never boost or cut a track by more than this
+
+// Frequency bands the classifier reads, in Hz (HopAnalyzer averages them)
+export const BANDS = Object.freeze({
+  subBass:  { min: 20,    max: 60 },
+  bass:     { min: 60,    max: 250 },
+  lowMid:   { min: 250,   max: 500 },
+  mid:      { min: 500,   max: 2000 },
+  highMid:  { min: 2000,  max: 6000 },
+  presence: { min: 6000,  max: 12000 },
+  treble:   { min: 12000, max: 20000 },
+});
+
+// RMS of a track at TARGET_LUFS (mono mix of correlated stereo, K-weighting
+// ignored): normalized energy 1 = an average passage at the target loudness
+export const TARGET_RMS = Math.pow(10, (TARGET_LUFS + 0.691) / 20) / Math.SQRT2;
+
+/**
+ * Linear gain that brings a track of `loudness` LUFS to TARGET_LUFS
+ * (1 when the loudness is unknown).
+ * @param {number|null} loudness
+ */
+export function loudnessGain(loudness) {
+  if (!Number.isFinite(loudness)) return 1;
+  const db = Math.max(-MAX_TRIM_DB, Math.min(MAX_TRIM_DB, TARGET_LUFS - loudness));
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * True when energy has risen through most of the recent history (a build).
+ * @param {Float32Array} history - recent energy, oldest first or as a ring
+ */
+export function isRising(history) {
+  let rising = 0;
+  for (let i = 1; i < history.length; i++) {
+    if (history[i] > history[i - 1]) rising++;
+  }
+  return rising > history.length * 0.7;
+}
+
+/**
+ * @param {Object} frame
+ * @param {number} frame.energy - normalized energy
+ * @param {Object} frame.bands - band averages 0-1 (subBass .. treble)
+ * @param {number} frame.flux - spectral flux
+ * @param {boolean} frame.building - energy rising (isRising)
+ * @returns {string} mood
+ */
+export function classifyMood({ energy: e, bands, flux, building }) {
+  const bass = (bands.subBass || 0) + (bands.bass || 0);
+  const mid = (bands.mid || 0) + (bands.lowMid || 0);
+  const high = (bands.highMid || 0) + (bands.presence || 0) + (bands.treble || 0);
+
+  // Detect silence / transition
+  if (e < 0.04) return 'silence';
+  if (building && e > 0.6) return 'building';
+
+  // Glitch detection - raised threshold to avoid constant triggering
+  if (flux > 0.12) return 'glitch';
+
+  // Energy-based classification (lowered thresholds for more responsive mood changes)
+  if (e < 0.16) {
+    if (bass > mid) return 'cold_ambient';
+    if (high > mid) return 'cold_ambient';
+    return 'warm_ambient';
+  }
+  if (e < 0.5) {
+    if (bass > mid * 1.5) return 'bass_heavy';
+    if (high > bass) return 'ritualistic';
+    return 'balanced_medium';
+  }
+  // High energy
+  if (bass > mid * 1.5 && e > 0.8) return 'aggressive';
+  if (e > 1.25) return 'chaos';
+  return 'euphoric';
+}
@@ -0,0 +1,160 @@
+/**
+ * MoodTimeline - Per-track mood history, remembered between playthroughs
+ *
+ * While a track plays, every debounced mood change is recorded with its
+ * track time and confidence. When the track changes, the recording is saved
+ * to localStorage under the track's URL, and on the next playthrough that
+ * learned timeline is available as mood segments — AudioEngine switches on
+ * their boundaries and reports upcoming ones through getTimeline(), so
+ * lighting can crossfade ahead of the change instead of after it.
+ *
+ * Until a track has been recorded, the mood timeline precomputed by
+ * TrackAnalyzer stands in for the learned one (useAnalysis).
+ *
+ * A recording only replaces the stored one if it covers at least as much of
+ * the track without skipping ahead, so a partial or scrubbed replay never
+ * clobbers a complete timeline. Object URLs (local files) are not persisted:
+ * they change every session.
+ */
+
+const STORAGE_KEY = 'staticChapel.moodTimelines';
+const MAX_TRACKS = 100;         // stored timelines; the oldest are dropped first
+const SEEK_TOLERANCE = 2;       // seconds — a bigger forward jump breaks the recording
+
+export class MoodTimeline {
+  constructor() {
+    this.url = null;
+    this.history = [];          // this playthrough: [{ time, mood, confidence }]
+    this.learned = null;        // previous playthrough: [{ start, end, mood, confidence }] or null
+    this._recorded = false;     // learned comes from a playthrough, not from analysis
+    this._coverage = 0;         // seconds recorded without skipping ahead
+    this._lastTime = 0;
+    this._contiguous = true;
+  }
+
+  /**
+   * Save the current recording and switch to another track (null = none).
+   * @param {string|null} url
+   */
+  startTrack(url) {
+    this.save();
+    this.url = url;
+    this.history = [];
+    this._coverage = 0;
+    this._lastTime = 0;
+    this._contiguous = true;
+    const stored = url ? readStore()[url] : null;
+    this.learned = stored ? toSegments(stored.entries, stored.coverage) : null;
+    this._recorded = Boolean(stored);
+  }
+
+  /**
+   * Precomputed moods for the current track (TrackAnalyzer's `moods`), used
+   * as the learned timeline unless a playthrough was recorded.
+   * @param {[number, string, number][]} entries - [start, mood, confidence]
+   * @param {number} duration - track length in seconds
+   */
+  useAnalysis(entries, duration) {
+    if (this._recorded || !entries || entries.length === 0) return;
+    this.learned = toSegments(entries, duration);
+  }
+
+  /**
+   * Follow the playhead so seeks are noticed. Call every frame while playing.
+   * @param {number} time - track time in seconds
+   */
+  advance(time) {
+    if (time < this._lastTime) {
+      // Scrubbed back: what was recorded past this point will be recorded again
+      this.history = this.history.filter(entry => entry.time <= time);
+    } else if (time - this._lastTime > SEEK_TOLERANCE) {
+      this._contiguous = false;
+    }
+    if (this._contiguous) this._coverage = Math.max(this._coverage, time);
+    this._lastTime = time;
+  }
+
+  /**
+   * Record a mood change at a track time.
+   */
+  record(time, mood, confidence) {
+    const last = this.history[this.history.length - 1];
+    if (last && last.mood === mood) return;
+    this.history.push({ time, mood, confidence });
+  }
+
+  /**
+   * Learned segment playing at `time`, or null.
+   */
+  segmentAt(time) {
+    if (!this.learned) return null;
+    for (const segment of this.learned) {
+      if (time >= segment.start && time < segment.end) return segment;
+    }
+    return null;
+  }
+
+  /**
+   * First learned mood change after `time`, or null.
+   */
+  nextChange(time) {
+    if (!this.learned) return null;
+    for (let i = 1; i < this.learned.length; i++) {
+      if (this.learned[i].start > time) return this.learned[i];
+    }
+    return null;
+  }
+
+  /**
+   * Persist the current recording if it improves on the stored one.
+   */
+  save() {
+    if (!this.url || this.url.startsWith('blob:') || this.history.length === 0) return;
+    const store = readStore();
+    const stored = store[this.url];
+    if (stored && stored.coverage > this._coverage) return;
+    if (!this._contiguous && stored) return;
+
+    store[this.url] = {
+      coverage: round(this._coverage),
+      entries: this.history.map(({ time, mood, confidence }) => [round(time), mood, round(confidence)]),
+      savedAt: Date.now(),
+    };
+    const urls = Object.keys(store);
+    if (urls.length > MAX_TRACKS) {
+      urls.sort((a, b) => store[a].savedAt - store[b].savedAt);
+      for (const url of urls.slice(0, urls.length - MAX_TRACKS)) delete store[url];
+    }
+    writeStore(store);
+  }
+}
+
+function toSegments(entries, coverage) {
+  return entries.map(([start, mood, confidence], i) => ({
+    type: 'learned',
+    start,
+    end: i + 1 < entries.length ? entries[i + 1][0] : Math.max(coverage, start),
+    mood,
+    confidence,
+  }));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function writeStore(store) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (e) {
+    // Storage full or disabled — timelines only last this session
+  }
+}
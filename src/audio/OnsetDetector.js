@@ -0,0 +1,101 @@
+/**
+ * OnsetDetector - Per-band transient detection: kick, snare, hat
+ *
+ * Each band computes spectral flux (the rise in magnitude since the last
+ * frame) over its own bins and compares it with an adaptive threshold: a
+ * running mean plus a multiple of the running deviation. A hit needs to
+ * clear the threshold, be rising, and come after the band's refractory
+ * period, so one drum hit never counts twice.
+ *
+ * Per band:
+ *   kick / snare / hat           - true on the frame a hit is detected
+ *   envelope.kick / .snare / .hat - 1 on a hit, decaying to 0
+ *   count.kick / .snare / .hat   - hits so far, for consumers that skip frames
+ */
+
+const BANDS = {
+  kick:  { min: 40,   max: 130,   decay: 0.15, refractory: 0.12 },
+  snare: { min: 180,  max: 2500,  decay: 0.12, refractory: 0.1 },
+  hat:   { min: 7000, max: 16000, decay: 0.06, refractory: 0.05 },
+};
+const ADAPT_SECONDS = 0.6;     // time constant of the running mean / deviation
+const SENSITIVITY = 1.8;       // deviations above the mean needed for a hit
+const MIN_FLUX = 0.004;        // floor so near-silence never triggers
+
+export class OnsetDetector {
+  constructor() {
+    this.kick = false;
+    this.snare = false;
+    this.hat = false;
+    this.envelope = { kick: 0, snare: 0, hat: 0 };
+    this.count = { kick: 0, snare: 0, hat: 0 };
+    this._prevSpectrum = null;
+    this._state = {};
+    this.reset();
+  }
+
+  /**
+   * Forget the adaptive thresholds — call when a new track starts.
+   */
+  reset() {
+    for (const name of Object.keys(BANDS)) {
+      this[name] = false;
+      this.envelope[name] = 0;
+      this._state[name] = { mean: 0, deviation: 0, prevFlux: 0, sinceHit: Infinity };
+    }
+    if (this._prevSpectrum) this._prevSpectrum.fill(0);
+  }
+
+  /**
+   * @param {Uint8Array} frequencyData - AnalyserNode byte spectrum
+   * @param {number} sampleRate
+   * @param {number} dt - seconds since the previous call
+   */
+  update(frequencyData, sampleRate, dt) {
+    const binCount = frequencyData.length;
+    if (!this._prevSpectrum || this._prevSpectrum.length !== binCount) {
+      this._prevSpectrum = new Float32Array(binCount);
+    }
+    const nyquist = sampleRate / 2;
+    const adapt = Math.min(1, dt / ADAPT_SECONDS);
+
+    for (const [name, band] of Object.entries(BANDS)) {
+      const state = this._state[name];
+      const start = Math.max(1, Math.floor(band.min / nyquist * binCount));
+      const end = Math.min(Math.ceil(band.max / nyquist * binCount), binCount - 1);
+
+      let flux = 0;
+      for (let i = start; i <= end; i++) {
+        const diff = frequencyData[i] / 255 - this._prevSpectrum[i];
+        if (diff > 0) flux += diff;
+      }
+      flux /= end - start + 1;
+
+      const threshold = Math.max(MIN_FLUX, state.mean + state.deviation * SENSITIVITY);
+      state.sinceHit += dt;
+      const hit = flux > threshold && flux >= state.prevFlux && state.sinceHit >= band.refractory;
+      if (hit) {
+        state.sinceHit = 0;
+        this.count[name]++;
+      }
+      this[name] = hit;
+      this.envelope[name] = hit ? 1 : this.envelope[name] * Math.exp(-dt / band.decay);
+
+      state.mean += (flux - state.mean) * adapt;
+      state.deviation += (Math.abs(flux - state.mean) - state.deviation) * adapt;
+      state.prevFlux = flux;
+    }
+
+    for (let i = 0; i < binCount; i++) this._prevSpectrum[i] = frequencyData[i] / 255;
+  }
+
+  /**
+   * No audio: drop the flags and let the envelopes fall.
+   */
+  idle(dt) {
+    for (const name of Object.keys(BANDS)) {
+      this[name] = false;
+      this.envelope[name] *= Math.exp(-dt / BANDS[name].decay);
+    }
+  }
+}
@@ -1,106 +1,596 @@
+import { TrackAnalyzer, sidecarPath } from './TrackAnalyzer.js';
+import { releaseTracks } from './LocalLibrary.js';
+import { loadManifest } from './PlaylistManifest.js';
+
+/**
+ * Playback states, announced as statechange:
+ *   idle     nothing loaded yet
+ *   loading  a track is loading (buttons act on the newest request)
+ *   ready    loaded, not started
+ *   playing
+ *   paused
+ *   error    no track in the playlist could be played
+ */
+export const PLAYBACK_STATES = Object.freeze(['idle', 'loading', 'ready', 'playing', 'paused', 'error']);
+
 /**
- * PlaylistManager - Manages the 23-track Static Chapel album
+ * Repeat modes, cycled by the repeat button:
+ *   all   wrap around from the last track to the first
+ *   one   play the current track again when it ends (next still moves on)
+ *   off   stop after the last track
+ */
+export const REPEAT_MODES = Object.freeze(['all', 'one', 'off']);
+
+const HISTORY_LIMIT = 100;   // tracks remembered for prev()
+const RESTART_AFTER = 3;     // seconds in after which prev() restarts the track
+
+/**
+ * PlaylistManager - Manages the playlist loaded from a JSON manifest
+ * (the Static Chapel album by default) plus any local files added to it,
+ * and controls playback through it
+ *
+ * Shares the engine's event bus: follows its advance / ended / play / pause
+ * events, emits trackchange whenever another track becomes current,
+ * statechange whenever the playback state changes and queuechange whenever
+ * the up-next queue does.
+ *
+ * What plays next: the repeated track (repeat one, when a track ends), else
+ * the head of the up-next queue, else the following track of the play order
+ * — the playlist, or its shuffle. Every track left behind goes on a history
+ * stack that prev() walks back through.
+ *
+ * Loads are race-safe: every load takes a ticket, and a load that another
+ * one superseded (a quick second click in the tracklist) stops where it is
+ * instead of announcing its track or starting playback. A track that cannot
+ * be read is skipped with an error notice, in the direction of travel.
  */
 export class PlaylistManager {
   constructor(audioEngine) {
     this.audio = audioEngine;
-    this.currentIndex = 0;
+    this.events = audioEngine.events;
+    this.analyzer = new TrackAnalyzer();
+    this.currentIndex = 0;        // index into tracks of the current track
     this.shuffle = false;
-    this.shuffleOrder = [];
-    this.onTrackChange = null;
-
-    this.tracks = [
-      { id: 1,  title: 'Static Chapel',           file: 'StaticChapel-mastered.mp3' },
-      { id: 2,  title: 'Circuit Breaker',          file: 'CircuitBreaker-mastered.mp3' },
-      { id: 3,  title: 'Tunnel Bass Riddim',       file: 'TunnelBassRiddim-mastered.mp3' },
-      { id: 4,  title: 'Gelato',                   file: 'Gelato-mastered.mp3' },
-      { id: 5,  title: 'Adventure Time',           file: 'AdventureTime-mastered.mp3' },
-      { id: 6,  title: 'Cut It',                   file: 'CutIt-mastered.mp3' },
-      { id: 7,  title: 'Sermon',                   file: 'Sermon-mastered.mp3' },
-      { id: 8,  title: 'Cloud 7 Bounce',           file: 'Cloud7Bounce-mastered.mp3' },
-      { id: 9,  title: 'Pixelated Halo',           file: 'PixelatedHalo-mastered.mp3' },
-      { id: 10, title: 'First Bass Man',            file: 'FirstBassMan-mastered.mp3' },
-      { id: 11, title: 'Heart Monitor',             file: 'HeartMonitor-mastered.mp3' },
-      { id: 12, title: 'Organ Failure',             file: 'OrganFailure-mastered.mp3' },
-      { id: 13, title: 'Thunder in the Basement',   file: 'ThunderintheBasement-mastered.mp3' },
-      { id: 14, title: 'Safe Room',                 file: 'SafeRoom-mastered.mp3' },
-      { id: 15, title: 'Storm Cellar',              file: 'StormCellar-mastered.mp3' },
-      { id: 16, title: 'Howard St.',                file: 'HowardSt-mastered.mp3' },
-      { id: 17, title: 'Civil Alert',               file: 'CivilAlert-mastered.mp3' },
-      { id: 18, title: 'Righteous',                 file: 'Righteous-mastered.mp3' },
-      { id: 19, title: 'Waiting Room',              file: 'WaitingRoom-mastered.mp3' },
-      { id: 20, title: 'Wook Fishing',              file: 'WookFishing-mastered.mp3' },
-      { id: 21, title: 'To the Top',                file: 'TotheTop-mastered.mp3' },
-      { id: 22, title: 'Along the Road',            file: 'AlongtheRoad-mastered.mp3' },
-      { id: 23, title: 'Skrillexed',                file: 'Skrillexed-mastered.mp3' }
-    ];
+    this.order = [];              // play order: track indices, shuffled or not
+    this.position = 0;            // index into order the playlist continues from
+    this.queue = [];              // up next: track indices, played before the order resumes
+    this.history = [];            // { index, position } of tracks played before, newest last
+    this.repeat = 'all';          // one of REPEAT_MODES
+    this.onTracksChange = null;   // called when tracks are added or replaced
+    this.state = 'idle';          // one of PLAYBACK_STATES
+    this._loadId = 0;             // ticket of the newest load
+    this._manifestLoadId = 0;     // ticket of the newest manifest load
+    this._unreadable = new Set(); // urls that failed to load this session
+    this._preloaded = null;       // the _upcoming() entry put on the idle deck
+
+    // The engine starts the preloaded next track on its own near the end;
+    // when nothing was preloaded it stops and we load the next one
+    this.events.on('advance', () => this._onAdvance());
+    this.events.on('ended', () => {
+      const entry = this._upcoming(true);
+      if (!entry) return;   // repeat off: the playlist is over
+      this._go(entry).catch(error => this._error('Could not play the next track', error, null));
+    });
+    this.events.on('play', () => {
+      if (this.state !== 'loading') this._setState('playing');
+    });
+    this.events.on('pause', () => {
+      if (this.state === 'playing') this._setState('paused');
+    });
+
+    this.manifest = null;         // { id, name } of the loaded manifest
+    this.tracks = [];
+    this.manifestTracks = this.tracks;
   }
 
   get currentTrack() {
-    const idx = this.shuffle ? this.shuffleOrder[this.currentIndex] : this.currentIndex;
-    return this.tracks[idx];
+    return this.tracks[this.currentIndex];
   }
 
   get trackCount() {
     return this.tracks.length;
   }
 
-  generateShuffleOrder() {
-    this.shuffleOrder = Array.from({ length: this.tracks.length }, (_, i) => i);
-    // Fisher-Yates shuffle
-    for (let i = this.shuffleOrder.length - 1; i > 0; i--) {
+  /**
+   * Shuffle the play order (Fisher-Yates), with `first` at its head if given.
+   */
+  generateShuffleOrder(first = null) {
+    this.order = Array.from({ length: this.tracks.length }, (_, i) => i);
+    for (let i = this.order.length - 1; i > 0; i--) {
       const j = Math.floor(Math.random() * (i + 1));
-      [this.shuffleOrder[i], this.shuffleOrder[j]] = [this.shuffleOrder[j], this.shuffleOrder[i]];
+      [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+    }
+    if (first !== null && first < this.order.length) {
+      this.order.splice(this.order.indexOf(first), 1);
+      this.order.unshift(first);
     }
   }
 
+  /**
+   * Shuffling keeps the current track playing and continues from it into
+   * the new order; unshuffling continues from it in playlist order.
+   */
   toggleShuffle() {
     this.shuffle = !this.shuffle;
-    if (this.shuffle) this.generateShuffleOrder();
+    if (this.shuffle) this.generateShuffleOrder(this.currentIndex);
+    else this.order = Array.from({ length: this.tracks.length }, (_, i) => i);
+    this.position = Math.max(0, this.order.indexOf(this.currentIndex));
+    // The upcoming track just changed
+    this._preloadNext();
     return this.shuffle;
   }
 
+  /**
+   * @param {string} mode - one of REPEAT_MODES
+   */
+  setRepeat(mode) {
+    if (!REPEAT_MODES.includes(mode)) throw new Error(`Unknown repeat mode "${mode}"`);
+    this.repeat = mode;
+    this._preloadNext();
+    return mode;
+  }
+
+  /** Repeat button: all -> one -> off -> all */
+  cycleRepeat() {
+    return this.setRepeat(REPEAT_MODES[(REPEAT_MODES.indexOf(this.repeat) + 1) % REPEAT_MODES.length]);
+  }
+
+  /**
+   * Where the session stands, for SessionStore. Tracks go by url, since
+   * indices change with the playlist; local files are left out, their blob
+   * urls die with the page.
+   * @returns {{ track: string|null, position: number, shuffle: boolean, repeat: string, queue: string[] }}
+   */
+  saveState() {
+    const url = index => {
+      const track = this.tracks[index];
+      return track && !track.local ? this.trackUrl(track) : null;
+    };
+    return {
+      track: url(this.currentIndex),
+      position: this.audio.currentTime,
+      shuffle: this.shuffle,
+      repeat: this.repeat,
+      queue: this.queue.map(url).filter(Boolean),
+    };
+  }
+
+  /**
+   * Bring back a saveState() snapshot: repeat, shuffle and queue, then load
+   * (not start) its track at its position.
+   * @returns {Promise<boolean>} false if its track is not in this playlist or did not load
+   */
+  async restoreState(state) {
+    const indexOf = url => this.tracks.findIndex(track => this.trackUrl(track) === url);
+    const index = state.track ? indexOf(state.track) : -1;
+    if (REPEAT_MODES.includes(state.repeat)) this.repeat = state.repeat;
+    if (index >= 0) this.currentIndex = index;
+    // Shuffling starts its order from the current track
+    if (!!state.shuffle !== this.shuffle) this.toggleShuffle();
+    this.queue = (state.queue || []).map(indexOf).filter(i => i >= 0);
+    this._emitQueueChange();
+
+    if (index < 0 || !await this.loadTrack(index)) return false;
+    const duration = this.audio.duration;
+    if (this.currentIndex === index && state.position > 0 && duration) {
+      this.audio.seek(Math.min(state.position, duration - 1) / duration);
+    }
+    return true;
+  }
+
+  // =========================================================================
+  //  UP NEXT QUEUE
+  // =========================================================================
+
+  /** Put the track at `index` at the head of the queue. */
+  playNext(index) {
+    if (!this.tracks[index]) return;
+    this.queue.unshift(index);
+    this._queueChanged();
+  }
+
+  /** Put the track at `index` at the end of the queue. */
+  addToQueue(index) {
+    if (!this.tracks[index]) return;
+    this.queue.push(index);
+    this._queueChanged();
+  }
+
+  /** Drop the queue entry at `position`. */
+  removeFromQueue(position) {
+    if (position < 0 || position >= this.queue.length) return;
+    this.queue.splice(position, 1);
+    this._queueChanged();
+  }
+
+  /** Move the queue entry at `from` to `to`. */
+  moveInQueue(from, to) {
+    if (from < 0 || from >= this.queue.length) return;
+    to = Math.max(0, Math.min(this.queue.length - 1, to));
+    if (from === to) return;
+    const [index] = this.queue.splice(from, 1);
+    this.queue.splice(to, 0, index);
+    this._queueChanged();
+  }
+
+  clearQueue() {
+    if (this.queue.length === 0) return;
+    this.queue = [];
+    this._queueChanged();
+  }
+
+  /** The queue as tracks, in play order */
+  get queuedTracks() {
+    return this.queue.map(index => this.tracks[index]);
+  }
+
+  _queueChanged() {
+    this._emitQueueChange();
+    // The upcoming track may have changed
+    this._preloadNext();
+  }
+
+  _emitQueueChange() {
+    this.events.emit('queuechange', { queue: [...this.queue] });
+  }
+
+  trackUrl(track) {
+    return track.url;
+  }
+
+  /**
+   * The playlist track playing from `url`, or null.
+   */
+  trackByUrl(url) {
+    return this.tracks.find(track => this.trackUrl(track) === url) || null;
+  }
+
+  get isManifest() {
+    return this.tracks === this.manifestTracks;
+  }
+
+  /**
+   * Replace the playlist with a manifest from public/playlists/.
+   * Does not start playback.
+   * @param {string} id
+   * @returns {Promise<boolean>} false if a newer loadManifest() superseded this one
+   */
+  async loadManifest(id) {
+    const load = ++this._manifestLoadId;
+    const manifest = await loadManifest(id);
+    if (load !== this._manifestLoadId) return false;
+    const previous = this.tracks;
+    this.manifest = { id: manifest.id, name: manifest.name };
+    this.manifestTracks = manifest.tracks;
+    this._setTracks(manifest.tracks);
+    this._release(previous);
+    return true;
+  }
+
+  /**
+   * Add tracks (e.g. local files from LocalLibrary) to the playlist.
+   * @param {Object[]} tracks
+   * @param {{ replace?: boolean }} [options] - replace the current list instead of appending
+   */
+  async addTracks(tracks, { replace = false } = {}) {
+    if (tracks.length === 0) return;
+
+    if (replace) {
+      const previous = this.tracks;
+      this._setTracks(tracks.map((t, i) => ({ ...t, id: i + 1 })));
+      await this.play(0);
+      if (previous !== this.manifestTracks) this._release(previous);
+      return;
+    }
+
+    const firstId = this.tracks.length + 1;
+    const first = this.tracks.length;
+    this.tracks = [...this.tracks, ...tracks.map((t, i) => ({ ...t, id: firstId + i }))];
+    // Newcomers go to the end of the play order, in random order when shuffling
+    const added = Array.from({ length: tracks.length }, (_, i) => first + i);
+    if (this.shuffle) {
+      for (let i = added.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [added[i], added[j]] = [added[j], added[i]];
+      }
+    }
+    this.order.push(...added);
+    if (this.onTracksChange) this.onTracksChange(this.tracks);
+    this._preloadNext();
+  }
+
+  /**
+   * Go back to the manifest's tracks after replacing them with local files.
+   */
+  async restoreManifest() {
+    if (this.isManifest) return;
+    const previous = this.tracks;
+    this._setTracks(this.manifestTracks);
+    await this.play(0);
+    this._release(previous);
+  }
+
+  _release(tracks) {
+    for (const track of tracks) this.analyzer.cache.delete(this.trackUrl(track));
+    releaseTracks(tracks);
+  }
+
+  _setTracks(tracks) {
+    this.tracks = tracks;
+    this.currentIndex = 0;
+    this.position = 0;
+    // Queue and history hold indices into the old list
+    this.queue = [];
+    this.history = [];
+    if (this.shuffle) this.generateShuffleOrder(0);
+    else this.order = Array.from({ length: tracks.length }, (_, i) => i);
+    if (this.onTracksChange) this.onTracksChange(this.tracks);
+    this._emitQueueChange();
+  }
+
+  /**
+   * What plays after the current track, or null when nothing does:
+   *   { index, position, fromQueue }
+   * `index` is the track, `position` where the play order continues from.
+   * @param {boolean} auto - the track is ending by itself (repeat one applies)
+   */
+  _upcoming(auto) {
+    if (this.tracks.length === 0) return null;
+    if (auto && this.repeat === 'one') {
+      return { index: this.currentIndex, position: this.position, fromQueue: false };
+    }
+    if (this.queue.length > 0) {
+      return { index: this.queue[0], position: this.position, fromQueue: true };
+    }
+    let position = this.position + 1;
+    if (position >= this.order.length) {
+      if (this.repeat === 'off') return null;
+      position = 0;
+    }
+    return { index: this.order[position], position, fromQueue: false };
+  }
+
+  /**
+   * Make an _upcoming() entry current, remembering the track it replaces.
+   */
+  _commit(entry) {
+    this._pushHistory(entry.index);
+    if (entry.fromQueue) {
+      this.queue.shift();
+      this._emitQueueChange();
+    }
+    this.currentIndex = entry.index;
+    this.position = entry.position;
+  }
+
+  /**
+   * Remember the current track before `index` replaces it (not when
+   * nothing has played yet, or the track is simply repeating).
+   */
+  _pushHistory(index) {
+    if (this.state === 'idle' || index === this.currentIndex || !this.currentTrack) return;
+    this.history.push({ index: this.currentIndex, position: this.position });
+    if (this.history.length > HISTORY_LIMIT) this.history.shift();
+  }
+
+  /**
+   * Load the track at `index` without starting it; the play order continues
+   * from it. An unreadable track is skipped until one loads.
+   * @returns {Promise<boolean>} true if a track loaded and this is still the newest load
+   */
   async loadTrack(index) {
-    if (index < 0 || index >= this.tracks.length) return;
+    if (index < 0 || index >= this.tracks.length) return false;
+    this._pushHistory(index);
     this.currentIndex = index;
+    this.position = Math.max(0, this.order.indexOf(index));
+    return this._load(1);
+  }
+
+  /**
+   * Load the current track. An unreadable track is skipped in `direction`
+   * (1 forward, -1 back).
+   */
+  async _load(direction) {
+    const load = ++this._loadId;
+    const track = this.currentTrack;
+    const url = this.trackUrl(track);
+    this._setState('loading');
+
+    try {
+      await this.audio.loadTrack(url);
+    } catch (error) {
+      if (load !== this._loadId || error.name === 'AbortError') return false;
+      return this._skipUnreadable(track, url, error, direction);
+    }
+    if (load !== this._loadId) return false;
+
+    this._unreadable.delete(url);
+    this._analyze(track, url);
+    this._emitTrackChange();
+    this._setState(this.audio.isPlaying ? 'playing' : 'ready');
+    this._preloadNext();
+    return true;
+  }
+
+  /**
+   * Tell the user, then load the next track in `direction` that has not
+   * failed yet: from the queue first when going forward, then along the
+   * play order. With none left the state becomes 'error'.
+   */
+  _skipUnreadable(track, url, error, direction) {
+    this._unreadable.add(url);
+    this._error(`Skipped "${track.title}": the file could not be played`, error, url);
+    const readable = index => !this._unreadable.has(this.trackUrl(this.tracks[index]));
+
+    if (direction > 0 && this.queue.length > 0) {
+      while (this.queue.length > 0 && !readable(this.queue[0])) this.queue.shift();
+      const index = this.queue.shift();
+      this._emitQueueChange();
+      if (index !== undefined) {
+        this.currentIndex = index;
+        return this._load(direction);
+      }
+    }
+
+    // The current track may have come from the queue, so the order's own
+    // position is a candidate too
+    const count = this.order.length;
+    for (let step = 1; step <= count; step++) {
+      const position = ((this.position + direction * step) % count + count) % count;
+      if (readable(this.order[position])) {
+        this.currentIndex = this.order[position];
+        this.position = position;
+        return this._load(direction);
+      }
+    }
+    this._setState('error', error);
+    return false;
+  }
+
+  _setState(state, error = null) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.events.emit('statechange', { state, previous, error });
+  }
+
+  _emitTrackChange() {
     const track = this.currentTrack;
-    const url = `/assets/audio/${track.file}`;
-    await this.audio.loadTrack(url);
+    this.events.emit('trackchange', { track, index: this.getDisplayIndex(), url: this.trackUrl(track) });
+  }
 
-    // Set up auto-advance
-    this.audio.onEnded(() => this.next());
+  _error(message, error, url) {
+    this.events.emit('error', { message, error, url });
+  }
+
+  /**
+   * Pre-analysis runs in the background; until the beat grid and section
+   * map arrive, lighting reacts to the live analyser only. The sidecar
+   * JSON next to the track (`npm run analyze`) saves decoding it here.
+   */
+  _analyze(track, url) {
+    this.analyzer.analyze(url, sidecarPath(url))
+      .then(analysis => this.audio.setAnalysis(analysis, url))
+      .catch(error => this._error(`Could not analyze ${track.title}`, error, url));
+  }
 
-    if (this.onTrackChange) {
-      this.onTrackChange(track, this.getDisplayIndex());
+  /**
+   * Put the upcoming track on the engine's idle deck, or clear it when the
+   * playlist ends here. Waits while the current track is still loading.
+   */
+  _preloadNext() {
+    if (this.state === 'idle' || this.state === 'loading') return;
+    const entry = this._upcoming(true);
+    this._preloaded = entry;
+    if (!entry) {
+      this.audio.clearPreload();
+      return;
     }
+    const track = this.tracks[entry.index];
+    const url = this.trackUrl(track);
+    this._analyze(track, url);
+    this.audio.preload(url).catch(error => {
+      if (error.name !== 'AbortError') this._error(`Could not preload ${track.title}`, error, url);
+    });
+  }
+
+  /**
+   * The engine has started the preloaded track.
+   */
+  _onAdvance() {
+    if (!this._preloaded) return;
+    this._commit(this._preloaded);
+    this._emitTrackChange();
+    this._preloadNext();
   }
 
   getDisplayIndex() {
-    const idx = this.shuffle ? this.shuffleOrder[this.currentIndex] : this.currentIndex;
-    return idx;
+    return this.currentIndex;
   }
 
+  /**
+   * Play the track at `index`, or resume the current one.
+   */
   async play(index) {
-    if (index !== undefined) {
-      await this.loadTrack(index);
+    if (index !== undefined || this.state === 'idle' || this.state === 'error') {
+      if (!await this.loadTrack(index !== undefined ? index : this.currentIndex)) return;
     }
-    this.audio.play();
+    await this._start();
   }
 
+  /**
+   * Play / pause button: ignored while a track is loading.
+   */
+  async togglePlay() {
+    if (this.state === 'loading') return;
+    if (this.audio.isPlaying) this.audio.pause();
+    else await this.play();
+  }
+
+  /**
+   * Start the loaded track, skipping it if the browser can't play it after all.
+   */
+  async _start() {
+    const load = this._loadId;
+    try {
+      await this.audio.play();
+    } catch (error) {
+      if (load !== this._loadId || error.name === 'AbortError') return;
+      if (error.name === 'NotAllowedError') {
+        // Autoplay blocked until the user interacts: stay ready
+        this._setState('ready');
+        return;
+      }
+      const track = this.currentTrack;
+      if (await this._skipUnreadable(track, this.trackUrl(track), error, 1)) await this._start();
+    }
+  }
+
+  /**
+   * Make an _upcoming() entry current and start it.
+   */
+  async _go(entry) {
+    this._commit(entry);
+    if (await this._load(1)) await this._start();
+  }
+
+  /**
+   * Skip to the next track (ignoring repeat one). Does nothing after the
+   * last track with repeat off.
+   */
   async next() {
-    const nextIdx = (this.currentIndex + 1) % this.tracks.length;
-    await this.loadTrack(nextIdx);
-    this.audio.play();
+    const entry = this._upcoming(false);
+    if (!entry) return;
+    // Crossfade into the preloaded track when it is the one coming up
+    const upcoming = this.trackUrl(this.tracks[entry.index]);
+    if (this.state !== 'loading' && this.audio.preloadedUrl === upcoming && this.audio.startTransition()) {
+      this._commit(entry);
+      this._emitTrackChange();
+      this._preloadNext();
+      return;
+    }
+    await this._go(entry);
   }
 
+  /**
+   * Restart the track if it is a few seconds in; otherwise go back to the
+   * track played before it, or the previous one in the play order.
+   */
   async prev() {
-    // If more than 3 seconds in, restart current track
-    if (this.audio.currentTime > 3) {
+    if (this.state !== 'loading' && this.audio.currentTime > RESTART_AFTER) {
       this.audio.seek(0);
       return;
     }
-    const prevIdx = (this.currentIndex - 1 + this.tracks.length) % this.tracks.length;
-    await this.loadTrack(prevIdx);
-    this.audio.play();
+    const previous = this.history.pop();
+    if (previous) {
+      this.currentIndex = previous.index;
+      this.position = previous.position;
+    } else {
+      const count = this.order.length;
+      if (count === 0) return;
+      this.position = (this.position - 1 + count) % count;
+      this.currentIndex = this.order[this.position];
+    }
+    if (await this._load(-1)) await this._start();
   }
 }
@@ -0,0 +1,129 @@
+/**
+ * PlaylistManifest - Loads playlist definitions from JSON manifests
+ *
+ * Manifests live in public/playlists/<id>.json and are listed in
+ * public/playlists/index.json. A manifest looks like:
+ *
+ *   {
+ *     "id": "static-chapel",
+ *     "name": "Static Chapel",
+ *     "basePath": "/assets/audio/",
+ *     "tracks": [
+ *       {
+ *         "title": "Sermon",
+ *         "file": "Sermon-mastered.mp3",          // or "files": [...] alternates
+ *         "duration": 312, "bpm": 140, "key": "F minor",
+ *         "artwork": "/assets/art/sermon.jpg",
+ *         "palette": ["#9900ff", "#ffdd00"],      // lighting colors
+ *         "programs": { "balanced_medium": "gothic-mass" },  // mood -> lighting program (by name)
+ *         "led": "assets/video/energy-sphere.mp4", // LED wall video or image
+ *         "cues": "Sermon.cues.json"              // timecoded light show (CueList), or the cues inline
+ *       }
+ *     ]
+ *   }
+ *
+ * Everything but title and file(s) is optional.
+ */
+
+export const DEFAULT_MANIFEST = 'static-chapel';
+const MANIFEST_PATH = '/playlists/';
+const STORAGE_KEY = 'staticChapel.playlist';
+
+/**
+ * The manifest to start with: ?playlist=<id>, else the one last picked in settings.
+ */
+export function requestedManifestId() {
+  const param = new URLSearchParams(window.location.search).get('playlist');
+  if (param) return param;
+  try {
+    return localStorage.getItem(STORAGE_KEY) || DEFAULT_MANIFEST;
+  } catch (e) {
+    return DEFAULT_MANIFEST;
+  }
+}
+
+/**
+ * Remember the manifest picked in settings for the next visit.
+ */
+export function rememberManifestId(id) {
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch (e) {
+    // Storage disabled — the choice only lasts this session
+  }
+}
+
+/**
+ * @returns {Promise<{ id: string, name: string }[]>}
+ */
+export async function loadManifestIndex() {
+  return fetchJson(`${MANIFEST_PATH}index.json`);
+}
+
+/**
+ * Fetch and normalize a manifest.
+ * @param {string} id
+ * @returns {Promise<{ id: string, name: string, tracks: Object[] }>}
+ */
+export async function loadManifest(id) {
+  if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid playlist id "${id}"`);
+  const manifest = await fetchJson(`${MANIFEST_PATH}${id}.json`);
+  if (!Array.isArray(manifest.tracks)) throw new Error(`Playlist "${id}" has no tracks`);
+
+  const basePath = manifest.basePath || '/assets/audio/';
+  return {
+    id,
+    name: manifest.name || id,
+    tracks: manifest.tracks.map((track, i) => normalizeTrack(track, i, basePath)),
+  };
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+  return response.json();
+}
+
+function normalizeTrack(track, index, basePath) {
+  const files = track.files || (track.file ? [track.file] : []);
+  if (files.length === 0) throw new Error(`Track ${index + 1} has no file`);
+  const file = pickPlayable(files);
+
+  return {
+    id: index + 1,
+    title: track.title || file.replace(/\.[^.]+$/, ''),
+    artist: track.artist || null,
+    file,
+    files,
+    url: resolve(file, basePath),
+    duration: track.duration || null,
+    bpm: track.bpm || null,
+    key: track.key || null,
+    artwork: track.artwork || null,
+    palette: track.palette || null,
+    programs: track.programs || null,
+    led: track.led || null,
+    // Cue files sit with the audio, like the sidecar analysis
+    cues: typeof track.cues === 'string' ? resolve(track.cues, basePath) : track.cues || null,
+  };
+}
+
+/**
+ * First alternate the browser says it can play, else the first one.
+ */
+function pickPlayable(files) {
+  const probe = document.createElement('audio');
+  const types = { mp3: 'audio/mpeg', ogg: 'audio/ogg', opus: 'audio/ogg; codecs=opus',
+    flac: 'audio/flac', wav: 'audio/wav', m4a: 'audio/mp4', aac: 'audio/aac', webm: 'audio/webm' };
+  for (const file of files) {
+    const ext = file.split('.').pop().toLowerCase();
+    if (types[ext] && probe.canPlayType(types[ext])) return file;
+  }
+  return files[0];
+}
+
+function resolve(file, basePath) {
+  // Absolute paths and full URLs are used as-is
+  if (/^([a-z]+:|\/)/i.test(file)) return file;
+  return basePath.replace(/\/?$/, '/') + file;
+}
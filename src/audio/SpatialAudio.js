@@ -0,0 +1,183 @@
+/**
+ * SpatialAudio - Plays the mix from the virtual PA into the cathedral
+ *
+ * The master output is split at a crossover: lows go to the two sub stacks,
+ * the left/right channels to the two flown line arrays. Each source is an
+ * HRTF PannerNode at its speaker's position with inverse distance rolloff,
+ * and the listener follows the camera (or XR head pose) every frame.
+ *
+ * A convolution reverb stands in for the room. Its impulse response is
+ * generated procedurally: decaying noise whose RT60 comes from Sabine's
+ * formula for the nave's volume and surface area, with a pre-delay from the
+ * nave's width and a tail that darkens as it decays. The reverb send does
+ * not fade with distance, so the back of the nave sounds more distant.
+ */
+import * as THREE from 'three';
+
+const SPEED_OF_SOUND = 343;    // m/s
+const ABSORPTION = 0.15;       // mean absorption coefficient: stone, pews, crowd
+const MAX_IR_SECONDS = 6;
+const CROSSOVER_HZ = 100;
+const REVERB_LEVEL = 0.3;
+
+// Scratch vectors for listener updates
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _forward = new THREE.Vector3();
+const _up = new THREE.Vector3();
+
+/**
+ * Sabine reverberation time for a box-shaped room.
+ * @param {{ length: number, width: number, height: number }} room - meters
+ * @returns {number} RT60 in seconds
+ */
+export function sabineRT60({ length, width, height }) {
+  const volume = length * width * height;
+  const surface = 2 * (length * width + length * height + width * height);
+  return 0.161 * volume / (surface * ABSORPTION);
+}
+
+export class SpatialAudio {
+  /**
+   * @param {AudioContext} ctx
+   * @param {Object} space
+   * @param {{ type: 'array'|'sub', side: number, position: THREE.Vector3, facing: THREE.Vector3 }[]} space.speakers
+   * @param {{ length: number, width: number, height: number }} space.room - meters
+   */
+  constructor(ctx, { speakers, room }) {
+    this.ctx = ctx;
+    this.input = ctx.createGain();
+    this.output = ctx.createGain();
+    this.rt60 = sabineRT60(room);
+
+    // --- Crossover ---
+    const lows = ctx.createBiquadFilter();
+    lows.type = 'lowpass';
+    lows.frequency.value = CROSSOVER_HZ;
+    const highs = ctx.createBiquadFilter();
+    highs.type = 'highpass';
+    highs.frequency.value = CROSSOVER_HZ;
+    this.input.connect(lows);
+    this.input.connect(highs);
+
+    const channels = ctx.createChannelSplitter(2);
+    highs.connect(channels);
+
+    // --- One panner per speaker ---
+    this.panners = speakers.map(speaker => {
+      const panner = this._createPanner(speaker);
+      if (speaker.type === 'sub') {
+        lows.connect(panner); // subs are mono; the panner downmixes
+      } else {
+        // The audience faces +z, so the -x arrays are on its right
+        channels.connect(panner, speaker.side < 0 ? 1 : 0);
+      }
+      panner.connect(this.output);
+      return panner;
+    });
+
+    // --- Room ---
+    this.reverb = ctx.createConvolver();
+    this.reverb.buffer = this._createImpulseResponse(room);
+    this.reverbSend = ctx.createGain();
+    this.reverbSend.gain.value = REVERB_LEVEL;
+    this.input.connect(this.reverbSend);
+    this.reverbSend.connect(this.reverb);
+    this.reverb.connect(this.output);
+  }
+
+  _createPanner({ type, position, facing }) {
+    const panner = this.ctx.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.channelCount = 1;
+    panner.channelCountMode = 'explicit';
+    panner.maxDistance = 100;
+
+    if (type === 'sub') {
+      // Low end carries and is barely directional
+      panner.refDistance = 10;
+      panner.rolloffFactor = 0.8;
+    } else {
+      panner.refDistance = 8;
+      panner.rolloffFactor = 1;
+      // Quieter behind the boxes (on stage) than out front
+      panner.coneInnerAngle = 120;
+      panner.coneOuterAngle = 270;
+      panner.coneOuterGain = 0.3;
+    }
+
+    setParam(panner.positionX, position.x);
+    setParam(panner.positionY, position.y);
+    setParam(panner.positionZ, position.z);
+    setParam(panner.orientationX, facing.x);
+    setParam(panner.orientationY, facing.y);
+    setParam(panner.orientationZ, facing.z);
+    if (!panner.positionX) {
+      panner.setPosition(position.x, position.y, position.z);
+      panner.setOrientation(facing.x, facing.y, facing.z);
+    }
+    return panner;
+  }
+
+  /**
+   * Stereo decaying noise shaped like the room.
+   */
+  _createImpulseResponse(room) {
+    const rate = this.ctx.sampleRate;
+    const seconds = Math.min(this.rt60, MAX_IR_SECONDS);
+    const preDelay = room.width / SPEED_OF_SOUND; // first side-wall reflection
+    const length = Math.ceil((seconds + preDelay) * rate);
+    const start = Math.floor(preDelay * rate);
+    const buffer = this.ctx.createBuffer(2, length, rate);
+    // -60 dB over rt60 seconds
+    const decayPerSample = Math.pow(0.001, 1 / (this.rt60 * rate));
+
+    for (let ch = 0; ch < 2; ch++) {
+      const data = buffer.getChannelData(ch);
+      let envelope = 1;
+      let lowpassed = 0;
+      for (let i = start; i < length; i++) {
+        // Stone soaks up highs first: the one-pole lowpass closes as the tail ages
+        const age = (i - start) / (length - start);
+        const coefficient = 0.9 - 0.85 * age;
+        lowpassed += (Math.random() * 2 - 1 - lowpassed) * coefficient;
+        data[i] = lowpassed * envelope;
+        envelope *= decayPerSample;
+      }
+    }
+    return buffer;
+  }
+
+  /**
+   * Move the listener to an object's world position and orientation.
+   * @param {THREE.Object3D} object - the camera, or the XR camera while presenting
+   */
+  updateListener(object) {
+    const listener = this.ctx.listener;
+    object.getWorldPosition(_position);
+    object.getWorldQuaternion(_quaternion);
+    _forward.set(0, 0, -1).applyQuaternion(_quaternion);
+    _up.set(0, 1, 0).applyQuaternion(_quaternion);
+
+    if (listener.positionX) {
+      setParam(listener.positionX, _position.x);
+      setParam(listener.positionY, _position.y);
+      setParam(listener.positionZ, _position.z);
+      setParam(listener.forwardX, _forward.x);
+      setParam(listener.forwardY, _forward.y);
+      setParam(listener.forwardZ, _forward.z);
+      setParam(listener.upX, _up.x);
+      setParam(listener.upY, _up.y);
+      setParam(listener.upZ, _up.z);
+    } else {
+      // Older Safari: no AudioParams on the listener
+      listener.setPosition(_position.x, _position.y, _position.z);
+      listener.setOrientation(_forward.x, _forward.y, _forward.z, _up.x, _up.y, _up.z);
+    }
+  }
+}
+
+function setParam(param, value) {
+  if (param) param.value = value;
+}
@@ -0,0 +1,264 @@
+/**
+ * TagReader - Minimal metadata reader for local audio files
+ *
+ * Reads title / artist / album and embedded artwork from:
+ *   - ID3v2.2-2.4 (mp3), with an ID3v1 fallback
+ *   - FLAC Vorbis comments + PICTURE block
+ *   - Ogg Vorbis / Opus comment headers (incl. METADATA_BLOCK_PICTURE)
+ *
+ * Only the bytes holding the tags are read, never the whole file.
+ * Artwork is returned as an object URL; callers own it and revoke it.
+ */
+
+const HEAD_BYTES = 256 * 1024;   // enough for Ogg headers and most FLAC metadata
+
+/**
+ * @param {File} file
+ * @returns {Promise<{ title: string|null, artist: string|null, album: string|null, artwork: string|null }>}
+ */
+export async function readTags(file) {
+  const tags = { title: null, artist: null, album: null, artwork: null };
+  try {
+    const head = new Uint8Array(await file.slice(0, 10).arrayBuffer());
+    const magic = ascii(head, 0, 4);
+
+    if (ascii(head, 0, 3) === 'ID3') {
+      const size = syncsafe(head, 6) + 10;
+      const bytes = new Uint8Array(await file.slice(0, size).arrayBuffer());
+      readID3v2(bytes, tags);
+    } else if (magic === 'fLaC') {
+      const bytes = new Uint8Array(await file.slice(0, HEAD_BYTES).arrayBuffer());
+      readFlac(bytes, tags);
+    } else if (magic === 'OggS') {
+      const bytes = new Uint8Array(await file.slice(0, HEAD_BYTES).arrayBuffer());
+      readOgg(bytes, tags);
+    }
+
+    if (!tags.title && file.size > 128) {
+      const tail = new Uint8Array(await file.slice(file.size - 128).arrayBuffer());
+      readID3v1(tail, tags);
+    }
+  } catch (e) {
+    console.warn(`Could not read tags from ${file.name}:`, e);
+  }
+  return tags;
+}
+
+// =========================================================================
+//  ID3
+// =========================================================================
+
+const ID3_FRAMES = {
+  TIT2: 'title', TPE1: 'artist', TALB: 'album',
+  TT2: 'title', TP1: 'artist', TAL: 'album',   // ID3v2.2
+};
+
+function readID3v2(bytes, tags) {
+  const version = bytes[3];
+  const flags = bytes[5];
+  const end = syncsafe(bytes, 6) + 10;
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  let pos = 10;
+
+  // Skip the extended header
+  if (flags & 0x40 && version > 2) {
+    pos += version === 4 ? syncsafe(bytes, 10) : uint32(bytes, 10) + 4;
+  }
+
+  while (pos + headerLength <= end) {
+    const id = ascii(bytes, pos, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    let size;
+    if (version === 2) size = (bytes[pos + 3] << 16) | (bytes[pos + 4] << 8) | bytes[pos + 5];
+    else if (version === 4) size = syncsafe(bytes, pos + 4);
+    else size = uint32(bytes, pos + 4);
+
+    const body = bytes.subarray(pos + headerLength, pos + headerLength + size);
+    pos += headerLength + size;
+
+    if (ID3_FRAMES[id]) {
+      tags[ID3_FRAMES[id]] = decodeText(body.subarray(1), body[0]);
+    } else if ((id === 'APIC' || id === 'PIC') && !tags.artwork) {
+      tags.artwork = readID3Picture(body, version);
+    }
+  }
+}
+
+function readID3Picture(body, version) {
+  const encoding = body[0];
+  let pos = 1;
+  let mime;
+  if (version === 2) {
+    // 3-char image format instead of a MIME string
+    mime = 'image/' + ascii(body, 1, 3).toLowerCase().replace('jpg', 'jpeg');
+    pos = 4;
+  } else {
+    const mimeEnd = body.indexOf(0, pos);
+    mime = ascii(body, pos, mimeEnd - pos) || 'image/jpeg';
+    pos = mimeEnd + 1;
+  }
+  pos += 1; // picture type
+  pos = skipTerminatedText(body, pos, encoding); // description
+  return blobUrl(body.subarray(pos), mime);
+}
+
+function readID3v1(tail, tags) {
+  if (ascii(tail, 0, 3) !== 'TAG') return;
+  const field = (start, length) => {
+    const text = new TextDecoder('latin1').decode(tail.subarray(start, start + length));
+    return text.replace(/\0.*$/s, '').trim() || null;
+  };
+  tags.title = tags.title || field(3, 30);
+  tags.artist = tags.artist || field(33, 30);
+  tags.album = tags.album || field(63, 30);
+}
+
+// =========================================================================
+//  VORBIS COMMENTS (FLAC / OGG)
+// =========================================================================
+
+function readFlac(bytes, tags) {
+  let pos = 4;
+  while (pos + 4 <= bytes.length) {
+    const last = bytes[pos] & 0x80;
+    const type = bytes[pos] & 0x7f;
+    const size = (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3];
+    const body = bytes.subarray(pos + 4, pos + 4 + size);
+    if (type === 4) readVorbisComments(body, tags);
+    else if (type === 6 && !tags.artwork && body.length === size) tags.artwork = readFlacPicture(body);
+    if (last) break;
+    pos += 4 + size;
+  }
+}
+
+function readOgg(bytes, tags) {
+  // Reassemble the second logical packet (the comment header) across pages
+  const packets = [];
+  let current = [];
+  let pos = 0;
+  while (pos + 27 <= bytes.length && packets.length < 2 && ascii(bytes, pos, 4) === 'OggS') {
+    const segments = bytes[pos + 26];
+    let data = pos + 27 + segments;
+    for (let i = 0; i < segments; i++) {
+      const lacing = bytes[pos + 27 + i];
+      current.push(bytes.subarray(data, data + lacing));
+      data += lacing;
+      if (lacing < 255) {
+        packets.push(concat(current));
+        current = [];
+        if (packets.length === 2) break;
+      }
+    }
+    pos = data;
+  }
+  const comment = packets[1];
+  if (!comment) return;
+
+  if (ascii(comment, 0, 7) === '\x03vorbis') readVorbisComments(comment.subarray(7), tags);
+  else if (ascii(comment, 0, 8) === 'OpusTags') readVorbisComments(comment.subarray(8), tags);
+}
+
+function readVorbisComments(body, tags) {
+  const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+  const utf8 = new TextDecoder('utf-8');
+  let pos = 4 + view.getUint32(0, true); // skip vendor string
+  const count = view.getUint32(pos, true);
+  pos += 4;
+
+  for (let i = 0; i < count && pos + 4 <= body.length; i++) {
+    const length = view.getUint32(pos, true);
+    const entry = body.subarray(pos + 4, pos + 4 + length);
+    pos += 4 + length;
+
+    const eq = entry.indexOf(0x3d); // '='
+    if (eq < 0) continue;
+    const key = ascii(entry, 0, eq).toUpperCase();
+    if (key === 'METADATA_BLOCK_PICTURE') {
+      if (!tags.artwork) {
+        const raw = Uint8Array.from(atob(ascii(entry, eq + 1, entry.length - eq - 1)), c => c.charCodeAt(0));
+        tags.artwork = readFlacPicture(raw);
+      }
+      continue;
+    }
+    const value = utf8.decode(entry.subarray(eq + 1));
+    if (key === 'TITLE') tags.title = value;
+    else if (key === 'ARTIST') tags.artist = value;
+    else if (key === 'ALBUM') tags.album = value;
+  }
+}
+
+function readFlacPicture(body) {
+  let pos = 4; // picture type
+  const mimeLength = uint32(body, pos);
+  const mime = ascii(body, pos + 4, mimeLength) || 'image/jpeg';
+  pos += 4 + mimeLength;
+  pos += 4 + uint32(body, pos); // description
+  pos += 16;                    // width, height, depth, colors
+  const length = uint32(body, pos);
+  return blobUrl(body.subarray(pos + 4, pos + 4 + length), mime);
+}
+
+// =========================================================================
+//  HELPERS
+// =========================================================================
+
+function ascii(bytes, start, length) {
+  let s = '';
+  for (let i = start; i < start + length && i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+  return s;
+}
+
+function syncsafe(bytes, pos) {
+  return (bytes[pos] << 21) | (bytes[pos + 1] << 14) | (bytes[pos + 2] << 7) | bytes[pos + 3];
+}
+
+function uint32(bytes, pos) {
+  return ((bytes[pos] << 24) >>> 0) + ((bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]);
+}
+
+/**
+ * Decode an ID3 text field. Encodings: 0 latin1, 1 UTF-16 + BOM, 2 UTF-16BE, 3 UTF-8.
+ */
+function decodeText(bytes, encoding) {
+  let label = 'latin1';
+  if (encoding === 1) label = bytes[0] === 0xfe ? 'utf-16be' : 'utf-16le';
+  else if (encoding === 2) label = 'utf-16be';
+  else if (encoding === 3) label = 'utf-8';
+  const text = new TextDecoder(label).decode(bytes).replace(/^\uFEFF/, '');
+  // Multiple values are NUL separated; keep the first
+  return text.split('\0')[0].trim() || null;
+}
+
+/**
+ * Skip a NUL-terminated string (double NUL for UTF-16 encodings).
+ */
+function skipTerminatedText(bytes, pos, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  while (pos < bytes.length) {
+    if (wide) {
+      if (bytes[pos] === 0 && bytes[pos + 1] === 0) return pos + 2;
+      pos += 2;
+    } else {
+      if (bytes[pos] === 0) return pos + 1;
+      pos++;
+    }
+  }
+  return pos;
+}
+
+function concat(chunks) {
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let pos = 0;
+  for (const c of chunks) {
+    out.set(c, pos);
+    pos += c.length;
+  }
+  return out;
+}
+
+function blobUrl(bytes, mime) {
+  if (!bytes.length) return null;
+  return URL.createObjectURL(new Blob([bytes], { type: mime }));
+}
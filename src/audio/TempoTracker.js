@@ -0,0 +1,261 @@
+/**
+ * TempoTracker - Phase-locked tempo tracking
+ *
+ * Live mode: the per-frame onset strength (spectral flux) is resampled onto a
+ * fixed ENVELOPE_RATE grid. Once a second the last few seconds of that
+ * envelope are autocorrelated to estimate the tempo, and a comb over the same
+ * window estimates where the last beat fell. Between estimates a phase-locked
+ * loop nudges the beat clock's speed toward incoming onsets, so the phase
+ * never jumps and beatIndex only ever counts up.
+ *
+ * Grid mode: when the offline TrackAnalyzer beat grid is available, beat and
+ * bar phase are read straight from it at the playback position.
+ */
+
+const ENVELOPE_RATE = 50;      // onset samples per second
+const WINDOW_SECONDS = 6;      // onset history used for tempo estimation
+const ESTIMATE_INTERVAL = 1.0; // seconds between tempo estimates
+const MIN_BPM = 80;
+const MAX_BPM = 170;
+const PREFERRED_BPM = 125;     // tempo prior against half/double-time picks
+const MIN_CONFIDENCE = 0.15;   // normalized autocorrelation peak needed to lock
+const PLL_GAIN = 0.35;         // how hard onsets pull the beat clock
+const BEATS_PER_BAR = 4;
+
+export class TempoTracker {
+  constructor() {
+    this.envelope = new Float32Array(ENVELOPE_RATE * WINDOW_SECONDS);
+    this.reset();
+  }
+
+  /**
+   * Forget tempo and phase — call when a new track starts.
+   */
+  reset() {
+    this.envelope.fill(0);
+    this._writeIndex = 0;
+    this._filled = 0;
+    this._sampleClock = 0;     // seconds accumulated toward the next envelope sample
+    this._pendingOnset = 0;    // strongest onset since the last envelope sample
+    this._sinceEstimate = 0;
+    this._candidateBpm = 0;    // tempo jump waiting for a second opinion
+    this._correction = 0;      // PLL rate correction (fraction of a beat per beat)
+    this._prevOnset = 0;
+    this._onsetMean = 0;
+    this._grid = null;         // beat grid syncToGrid last followed
+
+    this.bpm = 0;
+    this.confidence = 0;
+    this.beatPhase = 0;        // 0-1 within the current beat (0 = on the beat)
+    this.barPhase = 0;         // 0-1 within the current bar
+    this.beatIndex = -1;       // index of the current beat; -1 before the first
+    this.isBeat = false;       // true on the update a new beat starts
+    this.locked = false;       // true when phase is trustworthy (confident tempo or grid)
+  }
+
+  /**
+   * Live update from the analyser.
+   * @param {number} onset - onset strength for this frame (spectral flux)
+   * @param {number} dt    - seconds since the previous call
+   */
+  update(onset, dt) {
+    this.isBeat = false;
+    if (dt <= 0) return;
+
+    this._pushOnset(onset, dt);
+
+    this._sinceEstimate += dt;
+    if (this._sinceEstimate >= ESTIMATE_INTERVAL && this._filled >= this.envelope.length / 2) {
+      this._sinceEstimate = 0;
+      this._estimateTempo();
+    }
+
+    if (!this.bpm) {
+      this.locked = false;
+      return;
+    }
+
+    // Onset peaks pull the beat clock: an onset just after our beat means the
+    // clock runs early (slow down), just before means it runs late (speed up)
+    const isPeak = onset > this._onsetMean * 2 && onset > this._prevOnset;
+    this._onsetMean += (onset - this._onsetMean) * Math.min(1, dt * 2);
+    this._prevOnset = onset;
+    if (isPeak) {
+      const error = this.beatPhase < 0.5 ? this.beatPhase : this.beatPhase - 1;
+      if (Math.abs(error) < 0.25) this._correction += (error - this._correction) * PLL_GAIN;
+    }
+    this._correction *= Math.pow(0.5, dt); // relax toward the estimated tempo
+
+    const rate = Math.max(0.5, 1 - this._correction);
+    this._advance(dt * this.bpm / 60 * rate);
+    this.locked = this.confidence >= MIN_CONFIDENCE;
+  }
+
+  /**
+   * Read beat/bar phase from an offline beat grid instead of estimating it.
+   * @param {{ bpm: number, beats: number[], downbeats: number[] }} analysis
+   * @param {number} time - playback position in seconds
+   */
+  syncToGrid(analysis, time) {
+    const beats = analysis.beats;
+    const i = findIndex(beats, time);
+    // Another grid (a new track, or its analysis just arrived) counts afresh
+    const prevIndex = analysis === this._grid ? this.beatIndex : -1;
+    this._grid = analysis;
+
+    this.bpm = analysis.bpm;
+    this.confidence = 1;
+    this.locked = true;
+
+    if (i < 0) {
+      // Before the first beat
+      this.beatIndex = -1;
+      this.beatPhase = 0;
+      this.barPhase = 0;
+      this.isBeat = false;
+      return;
+    }
+
+    const period = i + 1 < beats.length ? beats[i + 1] - beats[i] : 60 / this.bpm;
+    this.beatIndex = i;
+    this.beatPhase = Math.min(0.999, (time - beats[i]) / period);
+    this.isBeat = i !== prevIndex;
+
+    // Position in the bar relative to the first downbeat
+    const first = analysis.downbeats.length ? beats.indexOf(analysis.downbeats[0]) : 0;
+    const beatInBar = ((i - Math.max(0, first)) % BEATS_PER_BAR + BEATS_PER_BAR) % BEATS_PER_BAR;
+    this.barPhase = (beatInBar + this.beatPhase) / BEATS_PER_BAR;
+  }
+
+  // =========================================================================
+  //  INTERNALS
+  // =========================================================================
+
+  _pushOnset(onset, dt) {
+    this._pendingOnset = Math.max(this._pendingOnset, onset);
+    this._sampleClock += dt;
+    const step = 1 / ENVELOPE_RATE;
+    while (this._sampleClock >= step) {
+      this.envelope[this._writeIndex] = this._pendingOnset;
+      this._writeIndex = (this._writeIndex + 1) % this.envelope.length;
+      this._filled = Math.min(this._filled + 1, this.envelope.length);
+      this._pendingOnset = 0; // long frames only count their onset once
+      this._sampleClock -= step;
+    }
+  }
+
+  _advance(beats) {
+    this.beatPhase += beats;
+    while (this.beatPhase >= 1) {
+      this.beatPhase -= 1;
+      this.beatIndex++;
+      this.isBeat = this.confidence >= MIN_CONFIDENCE;
+    }
+    const beatInBar = (this.beatIndex % BEATS_PER_BAR + BEATS_PER_BAR) % BEATS_PER_BAR;
+    this.barPhase = (beatInBar + this.beatPhase) / BEATS_PER_BAR;
+  }
+
+  /**
+   * Autocorrelate the onset window for the tempo, then comb it for the phase.
+   */
+  _estimateTempo() {
+    const n = this.envelope.length;
+    // Unroll the ring buffer oldest-first with the mean removed
+    const env = new Float32Array(n);
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += this.envelope[i];
+    mean /= n;
+    for (let i = 0; i < n; i++) env[i] = this.envelope[(this._writeIndex + i) % n] - mean;
+
+    let zero = 0;
+    for (let i = 0; i < n; i++) zero += env[i] * env[i];
+    if (zero <= 1e-9) {
+      this.confidence = 0;
+      return;
+    }
+
+    const minLag = Math.floor(60 * ENVELOPE_RATE / MAX_BPM);
+    const maxLag = Math.ceil(60 * ENVELOPE_RATE / MIN_BPM);
+    const acf = new Float32Array(maxLag * 2 + 2);
+    for (let lag = minLag - 1; lag < acf.length; lag++) {
+      let sum = 0;
+      for (let i = lag; i < n; i++) sum += env[i] * env[i - lag];
+      acf[lag] = sum / zero;
+    }
+
+    // Harmonic-enhanced ACF with a log-Gaussian tempo prior
+    let bestLag = 0;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = 60 * ENVELOPE_RATE / lag;
+      const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PREFERRED_BPM) / 0.5, 2));
+      const score = (acf[lag] + 0.5 * acf[lag * 2]) * prior;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    this.confidence = Math.max(0, acf[bestLag]);
+    if (this.confidence < MIN_CONFIDENCE) return;
+
+    const l = acf[bestLag - 1], c = acf[bestLag], r = acf[bestLag + 1];
+    const denom = l - 2 * c + r;
+    const lag = bestLag + (denom !== 0 ? 0.5 * (l - r) / denom : 0);
+    const bpm = 60 * ENVELOPE_RATE / lag;
+
+    // Small drifts are followed smoothly; a jump must be seen twice in a row
+    if (!this.bpm || Math.abs(bpm / this.bpm - 1) < 0.04) {
+      this.bpm = this.bpm ? this.bpm + (bpm - this.bpm) * 0.3 : bpm;
+      this._candidateBpm = 0;
+    } else if (this._candidateBpm && Math.abs(bpm / this._candidateBpm - 1) < 0.04) {
+      this.bpm = bpm;
+      this._candidateBpm = 0;
+      this._correction = 0;
+    } else {
+      this._candidateBpm = bpm;
+      return;
+    }
+
+    // Comb over the window: which offset (in samples back from now) has the
+    // strongest onsets repeating every period — that is where the last beat was
+    const period = 60 * ENVELOPE_RATE / this.bpm;
+    let bestOffset = 0;
+    let bestSum = -Infinity;
+    for (let offset = 0; offset < period; offset++) {
+      let sum = 0;
+      for (let p = n - 1 - offset; p >= 0; p -= period) sum += env[Math.round(p)] || 0;
+      if (sum > bestSum) {
+        bestSum = sum;
+        bestOffset = offset;
+      }
+    }
+
+    // Steer the PLL toward the comb's phase instead of jumping to it
+    const combPhase = bestOffset / period;
+    const error = wrapHalf(this.beatPhase - combPhase);
+    this._correction += (error - this._correction) * PLL_GAIN;
+  }
+}
+
+/**
+ * Index of the last grid time <= t, or -1 (binary search).
+ */
+function findIndex(times, t) {
+  let lo = 0, hi = times.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= t) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/** Wrap a phase difference into [-0.5, 0.5). */
+function wrapHalf(x) {
+  return x - Math.floor(x + 0.5);
+}
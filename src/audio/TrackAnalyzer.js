@@ -0,0 +1,709 @@
+import { HopAnalyzer } from './HopAnalyzer.js';
+import { BANDS, TARGET_RMS, loudnessGain, isRising, classifyMood } from './MoodClassifier.js';
+
+/**
+ * TrackAnalyzer - Offline whole-track pre-analysis
+ *
+ * A precomputed sidecar JSON (written by `npm run analyze`, see
+ * scripts/analyze.js) is used when there is one. Otherwise the track is
+ * decoded once through an OfflineAudioContext (which also resamples to
+ * ANALYSIS_RATE), then scanned in JS:
+ *
+ *  - integrated loudness (ITU-R BS.1770, LUFS) over the stereo channels
+ *  - low / mid / high band envelopes (for waveform displays)
+ *  - onset envelope from log-energy rises in the full band and the bass band
+ *  - tempo from autocorrelation of the onset envelope, refined with a comb
+ *  - beat grid by phase-aligning that comb to the onsets
+ *  - downbeats as the beat-of-four carrying the most bass
+ *  - intro / build / drop / breakdown / outro sections from per-bar energy
+ *  - a mood timeline: the live mood classifier (MoodClassifier) run over
+ *    every frame and settled per bar
+ *
+ * The result lets AudioEngine.getMood() and LightingDirector.update() look
+ * ahead in the track instead of only reacting to the live analyser, and
+ * lets AudioEngine trim every track to the same loudness.
+ */
+
+export const ANALYSIS_RATE = 22050; // Hz — plenty for energy/onset work, halves decode cost
+export const ANALYSIS_VERSION = 1;  // bump when the result format changes; older sidecars are ignored
+const HOP = 512;               // samples per envelope frame (~23ms)
+const BASS_CUTOFF = 150;       // Hz — kick/bass band for onsets and downbeats
+const MIN_BPM = 80;
+const MAX_BPM = 170;
+const PREFERRED_BPM = 125;     // tempo prior to break octave ties (half/double time)
+
+// Section thresholds, relative to the track's own loud bars
+const DROP_LEVEL = 0.8;
+const QUIET_LEVEL = 0.55;
+const MIN_SECTION_BARS = 4;
+const BUILD_BARS = 8;          // longest stretch before a drop labelled as a build
+const MIN_MOOD_BARS = 2;       // shorter mood runs join the previous one
+
+// Band envelopes
+const ENVELOPE_RATE = 20;      // frames per second
+const MID_LOW = 150;           // Hz — low band below, mid band above
+const MID_HIGH = 2500;         // Hz — high band above
+
+// BS.1770 gating
+const LOUDNESS_BLOCK = 0.4;    // seconds per gating block
+const LOUDNESS_STEP = 0.1;     // seconds between blocks (75% overlap)
+const ABSOLUTE_GATE = -70;     // LUFS
+const RELATIVE_GATE = -10;     // LU below the absolute-gated loudness
+
+export class TrackAnalyzer {
+  constructor() {
+    // url -> Promise<analysis>; a track is only ever decoded once per session
+    this.cache = new Map();
+  }
+
+  /**
+   * Analyze the track at `url`. Results are cached per URL.
+   * @param {string} url
+   * @param {string|null} [sidecar] - precomputed analysis to try first (see sidecarPath)
+   * @returns {Promise<Object>} see analyzeSamples()
+   */
+  analyze(url, sidecar = null) {
+    if (this.cache.has(url)) return this.cache.get(url);
+
+    const job = this._loadSidecar(sidecar).then(analysis => analysis || this._decode(url)
+      .then(({ mono, channels }) => analyzeSamples(mono, ANALYSIS_RATE, channels)));
+    this.cache.set(url, job);
+    // Don't cache failures — a later retry may succeed
+    job.catch(() => this.cache.delete(url));
+    return job;
+  }
+
+  /**
+   * Precomputed analysis, or null when there is none (or it is out of date)
+   * and the track has to be decoded.
+   */
+  async _loadSidecar(url) {
+    if (!url) return null;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return null;
+      const analysis = await response.json();
+      return analysis.version === ANALYSIS_VERSION ? analysis : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch and decode at ANALYSIS_RATE.
+   * @returns {Promise<{ mono: Float32Array, channels: Float32Array[] }>} up to two channels
+   */
+  async _decode(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url} for analysis (${response.status})`);
+    }
+    const data = await response.arrayBuffer();
+
+    // decodeAudioData resamples to the context rate
+    const decodeCtx = new OfflineAudioContext(1, 1, ANALYSIS_RATE);
+    const buffer = await decodeCtx.decodeAudioData(data);
+
+    // Loudness is measured per channel, so keep stereo; surround folds down to it
+    const channelCount = Math.min(2, buffer.numberOfChannels);
+    const length = Math.max(1, Math.ceil(buffer.duration * ANALYSIS_RATE));
+    const ctx = new OfflineAudioContext(channelCount, length, ANALYSIS_RATE);
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(ctx.destination);
+    source.start();
+    const rendered = await ctx.startRendering();
+
+    const channels = [];
+    for (let c = 0; c < channelCount; c++) channels.push(rendered.getChannelData(c));
+    if (channelCount === 1) return { mono: channels[0], channels };
+
+    const mono = new Float32Array(length);
+    for (let i = 0; i < length; i++) mono[i] = (channels[0][i] + channels[1][i]) / 2;
+    return { mono, channels };
+  }
+}
+
+/**
+ * Where the precomputed analysis of an audio file lives: next to it, with
+ * the extension replaced (Sermon.mp3 -> Sermon.analysis.json). Null for
+ * object URLs, which have no neighbours.
+ * @param {string} url - URL or file path
+ */
+export function sidecarPath(url) {
+  if (url.startsWith('blob:')) return null;
+  return url.replace(/(\.[^./]*)?([?#].*)?$/, '.analysis.json');
+}
+
+/**
+ * Analyze mono samples. Pure function — no Web Audio dependency, so it
+ * also runs under Node (scripts/analyze.js).
+ *
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {Float32Array[]} [channels] - the unmixed channels, for loudness; defaults to the mono mix
+ * @returns {{
+ *   duration: number,
+ *   loudness: number|null,
+ *   bpm: number,
+ *   beats: number[],
+ *   downbeats: number[],
+ *   sections: { type: string, start: number, end: number, energy: number, mood: string|null }[],
+ *   moods: [number, string, number][],  // [start, mood, confidence], MoodTimeline's stored format
+ *   envelopes: { rate: number, low: number[], mid: number[], high: number[] }  // 0-255
+ * }}
+ */
+export function analyzeSamples(samples, sampleRate, channels = [samples]) {
+  const frameRate = sampleRate / HOP;
+  const duration = samples.length / sampleRate;
+  const { rms, low } = computeEnvelopes(samples, sampleRate);
+  const onset = computeOnsetEnvelope(rms, low, frameRate);
+
+  const grid = estimateBeatGrid(onset, frameRate);
+  const beats = [];
+  const downbeats = [];
+  let bpm = 0;
+
+  if (grid) {
+    bpm = 60 * frameRate / grid.period;
+    for (let f = grid.phase; f < onset.length; f += grid.period) {
+      beats.push(round3(f / frameRate));
+    }
+    const first = estimateDownbeat(beats, low, frameRate);
+    for (let i = first; i < beats.length; i += 4) downbeats.push(beats[i]);
+  }
+
+  const sections = detectSections(downbeats, duration, rms, low, frameRate);
+
+  const loudness = integratedLoudness(channels, sampleRate);
+
+  return {
+    duration: round3(duration),
+    loudness: loudness === null ? null : Math.round(loudness * 100) / 100,
+    bpm: Math.round(bpm * 100) / 100,
+    beats,
+    downbeats,
+    sections,
+    moods: computeMoods(samples, sampleRate, loudness, barBounds(downbeats, duration)),
+    envelopes: computeBandEnvelopes(samples, sampleRate),
+  };
+}
+
+// =========================================================================
+//  LOUDNESS
+// =========================================================================
+
+/**
+ * Integrated loudness per ITU-R BS.1770-4: K-weighted mean square in 400ms
+ * blocks, gated at -70 LUFS and then 10 LU below the gated mean. Front
+ * left/right channels weigh 1. At ANALYSIS_RATE nothing above 11kHz is
+ * measured, which reads a fraction of a dB low on bright material.
+ *
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {number|null} LUFS, or null when the track is silent throughout
+ */
+export function integratedLoudness(channels, sampleRate) {
+  const blockSize = Math.round(LOUDNESS_BLOCK * sampleRate);
+  const step = Math.round(LOUDNESS_STEP * sampleRate);
+  const length = channels[0].length;
+  if (length < blockSize) return null;
+
+  // Mean square per 100ms step and channel; a block is four consecutive steps
+  const steps = Math.floor(length / step);
+  const stepPower = channels.map(samples => {
+    const weight = kWeighting(sampleRate);
+    const power = new Float64Array(steps);
+    for (let s = 0; s < steps; s++) {
+      let sum = 0;
+      for (let i = s * step; i < (s + 1) * step; i++) {
+        const y = weight(samples[i]);
+        sum += y * y;
+      }
+      power[s] = sum / step;
+    }
+    return power;
+  });
+
+  const perBlock = Math.round(LOUDNESS_BLOCK / LOUDNESS_STEP);
+  const blocks = [];
+  for (let b = 0; b + perBlock <= steps; b++) {
+    let power = 0;
+    for (const channel of stepPower) {
+      for (let s = b; s < b + perBlock; s++) power += channel[s];
+    }
+    blocks.push(power / perBlock);
+  }
+
+  const toLufs = power => -0.691 + 10 * Math.log10(power);
+  const gatedMean = threshold => {
+    let sum = 0, count = 0;
+    for (const power of blocks) {
+      if (power > 0 && toLufs(power) > threshold) {
+        sum += power;
+        count++;
+      }
+    }
+    return count > 0 ? sum / count : 0;
+  };
+
+  const absolute = gatedMean(ABSOLUTE_GATE);
+  if (absolute === 0) return null;
+  const relative = gatedMean(toLufs(absolute) + RELATIVE_GATE);
+  return toLufs(relative);
+}
+
+/**
+ * K-weighting: the BS.1770 head-effect high shelf then the RLB high-pass.
+ * The spec only tabulates 48kHz coefficients; these are the same analog
+ * prototypes through the bilinear transform at `sampleRate`.
+ * @returns {Function} sample -> weighted sample
+ */
+function kWeighting(sampleRate) {
+  // High shelf, +4dB above ~1.7kHz
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  // High-pass at ~38Hz
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0,
+  };
+
+  const first = biquad(shelf);
+  const second = biquad(highPass);
+  return x => second(first(x));
+}
+
+/**
+ * Stateful direct-form biquad over one stream of samples.
+ * @returns {Function} sample -> filtered sample
+ */
+function biquad({ b0, b1, b2, a1, a2 }) {
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  return x => {
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    return y;
+  };
+}
+
+/**
+ * RBJ cookbook low-pass, high-pass or (constant 0dB peak) band-pass.
+ */
+function rbj(type, frequency, q, sampleRate) {
+  const w0 = 2 * Math.PI * frequency / sampleRate;
+  const alpha = Math.sin(w0) / (2 * q);
+  const cos = Math.cos(w0);
+  const a0 = 1 + alpha;
+  const b = {
+    lowpass: [(1 - cos) / 2, 1 - cos, (1 - cos) / 2],
+    highpass: [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2],
+    bandpass: [alpha, 0, -alpha],
+  }[type];
+  return { b0: b[0] / a0, b1: b[1] / a0, b2: b[2] / a0, a1: -2 * cos / a0, a2: (1 - alpha) / a0 };
+}
+
+// =========================================================================
+//  ENVELOPES
+// =========================================================================
+
+/**
+ * Per-frame RMS of the full signal and of a low-passed bass band.
+ */
+function computeEnvelopes(samples, sampleRate) {
+  const frames = Math.floor(samples.length / HOP);
+  const rms = new Float32Array(frames);
+  const low = new Float32Array(frames);
+
+  // RBJ biquad low-pass (Q = 0.707)
+  const w0 = 2 * Math.PI * BASS_CUTOFF / sampleRate;
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+  const cos = Math.cos(w0);
+  const a0 = 1 + alpha;
+  const b0 = (1 - cos) / 2 / a0;
+  const b1 = (1 - cos) / a0;
+  const b2 = b0;
+  const a1 = -2 * cos / a0;
+  const a2 = (1 - alpha) / a0;
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    let lowSum = 0;
+    const start = f * HOP;
+    for (let i = start; i < start + HOP; i++) {
+      const x = samples[i];
+      const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1; x1 = x;
+      y2 = y1; y1 = y;
+      sum += x * x;
+      lowSum += y * y;
+    }
+    rms[f] = Math.sqrt(sum / HOP);
+    low[f] = Math.sqrt(lowSum / HOP);
+  }
+
+  return { rms, low };
+}
+
+/**
+ * RMS per ENVELOPE_RATE frame of the low, mid and high bands, scaled so the
+ * loudest frame of any band is 255 — what a DJ-style waveform draws.
+ */
+function computeBandEnvelopes(samples, sampleRate) {
+  const frameSize = Math.round(sampleRate / ENVELOPE_RATE);
+  const frames = Math.floor(samples.length / frameSize);
+  const lowFilter = biquad(rbj('lowpass', MID_LOW, Math.SQRT1_2, sampleRate));
+  const midFilter = biquad(rbj('bandpass', Math.sqrt(MID_LOW * MID_HIGH), Math.sqrt(MID_LOW * MID_HIGH) / (MID_HIGH - MID_LOW), sampleRate));
+  const highFilter = biquad(rbj('highpass', MID_HIGH, Math.SQRT1_2, sampleRate));
+
+  const bands = { low: new Float32Array(frames), mid: new Float32Array(frames), high: new Float32Array(frames) };
+  let peak = 0;
+  for (let f = 0; f < frames; f++) {
+    let low = 0, mid = 0, high = 0;
+    for (let i = f * frameSize; i < (f + 1) * frameSize; i++) {
+      const x = samples[i];
+      const l = lowFilter(x);
+      const m = midFilter(x);
+      const h = highFilter(x);
+      low += l * l;
+      mid += m * m;
+      high += h * h;
+    }
+    bands.low[f] = Math.sqrt(low / frameSize);
+    bands.mid[f] = Math.sqrt(mid / frameSize);
+    bands.high[f] = Math.sqrt(high / frameSize);
+    peak = Math.max(peak, bands.low[f], bands.mid[f], bands.high[f]);
+  }
+
+  const scale = peak > 0 ? 255 / peak : 0;
+  const toBytes = values => Array.from(values, v => Math.round(v * scale));
+  return {
+    rate: sampleRate / frameSize,
+    low: toBytes(bands.low),
+    mid: toBytes(bands.mid),
+    high: toBytes(bands.high),
+  };
+}
+
+/**
+ * Onset strength: half-wave rectified log-energy rise, bass weighted,
+ * with the local mean removed so sustained loud passages don't dominate.
+ */
+function computeOnsetEnvelope(rms, low, frameRate) {
+  const n = rms.length;
+  const raw = new Float32Array(n);
+  const eps = 1e-4;
+
+  for (let i = 1; i < n; i++) {
+    const full = Math.log(rms[i] + eps) - Math.log(rms[i - 1] + eps);
+    const bass = Math.log(low[i] + eps) - Math.log(low[i - 1] + eps);
+    raw[i] = Math.max(0, full) + 1.5 * Math.max(0, bass);
+  }
+
+  // Subtract a ~0.5s moving average
+  const half = Math.round(frameRate * 0.25);
+  const onset = new Float32Array(n);
+  let windowSum = 0;
+  let lo = 0, hi = -1;
+  for (let i = 0; i < n; i++) {
+    while (hi < Math.min(n - 1, i + half)) windowSum += raw[++hi];
+    while (lo < i - half) windowSum -= raw[lo++];
+    onset[i] = Math.max(0, raw[i] - windowSum / (hi - lo + 1));
+  }
+  return onset;
+}
+
+// =========================================================================
+//  TEMPO / BEAT GRID
+// =========================================================================
+
+/**
+ * Estimate beat period (in frames, fractional) and phase of the first beat.
+ * Returns null when the track has no usable pulse.
+ */
+function estimateBeatGrid(onset, frameRate) {
+  const minLag = Math.floor(60 * frameRate / MAX_BPM);
+  const maxLag = Math.ceil(60 * frameRate / MIN_BPM);
+  if (onset.length < maxLag * 8) return null;
+
+  // Coarse: autocorrelation weighted by a log-Gaussian tempo prior
+  let bestLag = 0;
+  let bestScore = 0;
+  const acf = new Float32Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < onset.length; i++) sum += onset[i] * onset[i - lag];
+    acf[lag] = sum;
+  }
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = 60 * frameRate / lag;
+    const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PREFERRED_BPM) / 0.5, 2));
+    const score = acf[lag] * prior;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (bestScore <= 0) return null;
+
+  // Parabolic interpolation around the peak for a sub-frame period
+  const l = acf[bestLag - 1], c = acf[bestLag], r = acf[bestLag + 1];
+  const denom = l - 2 * c + r;
+  const coarse = bestLag + (denom !== 0 ? 0.5 * (l - r) / denom : 0);
+
+  // Fine: comb search over period ±0.5 frames and all phases. A 0.01 frame
+  // period error would drift ~6 frames over a 5 minute track, so the comb
+  // has to span the whole track to be accurate.
+  let best = null;
+  for (let period = coarse - 0.5; period <= coarse + 0.5; period += 0.01) {
+    for (let phase = 0; phase < period; phase += 0.5) {
+      let sum = 0;
+      for (let f = phase; f < onset.length; f += period) {
+        sum += onset[Math.round(f)] || 0;
+      }
+      if (!best || sum > best.score) best = { period, phase, score: sum };
+    }
+  }
+  return best;
+}
+
+/**
+ * Index (0-3) of the first downbeat: the beat-of-four with the strongest bass.
+ */
+function estimateDownbeat(beats, low, frameRate) {
+  const scores = [0, 0, 0, 0];
+  for (let i = 0; i < beats.length; i++) {
+    const f = Math.round(beats[i] * frameRate);
+    scores[i % 4] += low[f] || 0;
+  }
+  let best = 0;
+  for (let i = 1; i < 4; i++) if (scores[i] > scores[best]) best = i;
+  return best;
+}
+
+// =========================================================================
+//  SECTIONS
+// =========================================================================
+
+/**
+ * Bar boundaries from 0 to the end: the downbeats, or 2s blocks for tracks
+ * without a pulse.
+ */
+function barBounds(downbeats, duration) {
+  const bounds = downbeats.length >= 2 ? downbeats.slice() : [];
+  if (bounds.length < 2) {
+    for (let t = 0; t < duration; t += 2) bounds.push(t);
+  }
+  if (bounds[0] > 0) bounds.unshift(0);
+  bounds.push(duration);
+  return bounds;
+}
+
+/**
+ * Split the track into intro / build / drop / breakdown / outro sections.
+ * Bars come from the downbeats; tracks without a pulse fall back to 2s blocks.
+ */
+function detectSections(downbeats, duration, rms, low, frameRate) {
+  const bounds = barBounds(downbeats, duration);
+
+  // Per-bar mean energy and bass share
+  const bars = [];
+  for (let b = 0; b < bounds.length - 1; b++) {
+    const f0 = Math.floor(bounds[b] * frameRate);
+    const f1 = Math.max(f0 + 1, Math.floor(bounds[b + 1] * frameRate));
+    let e = 0, lo = 0, n = 0;
+    for (let f = f0; f < f1 && f < rms.length; f++) {
+      e += rms[f];
+      lo += low[f];
+      n++;
+    }
+    bars.push({ start: bounds[b], end: bounds[b + 1], energy: n ? e / n : 0, low: n ? lo / n : 0 });
+  }
+  if (bars.length === 0) return [];
+
+  // Normalize against the loud end of the track (95th percentile bar)
+  const sorted = bars.map(b => b.energy).sort((a, b) => a - b);
+  const ref = sorted[Math.floor((sorted.length - 1) * 0.95)] || 1;
+  for (const bar of bars) bar.level = Math.min(1, bar.energy / ref);
+
+  // Label each bar, then median-filter over 5 bars to remove one-bar blips
+  const raw = bars.map(b => b.level >= DROP_LEVEL ? 2 : b.level >= QUIET_LEVEL ? 1 : 0);
+  const labels = raw.map((_, i) => {
+    const win = raw.slice(Math.max(0, i - 2), i + 3).sort((a, b) => a - b);
+    return win[Math.floor(win.length / 2)];
+  });
+
+  // Merge runs; runs shorter than MIN_SECTION_BARS join the previous run
+  const runs = [];
+  for (let i = 0; i < bars.length; i++) {
+    const last = runs[runs.length - 1];
+    if (last && last.label === labels[i]) last.to = i;
+    else runs.push({ label: labels[i], from: i, to: i });
+  }
+  for (let i = 1; i < runs.length; i++) {
+    if (runs[i].to - runs[i].from + 1 < MIN_SECTION_BARS) {
+      runs[i - 1].to = runs[i].to;
+      runs.splice(i, 1);
+      i--;
+    }
+  }
+  // Neighbours may now share a label after the merge
+  for (let i = 1; i < runs.length; i++) {
+    if (runs[i].label === runs[i - 1].label) {
+      runs[i - 1].to = runs[i].to;
+      runs.splice(i, 1);
+      i--;
+    }
+  }
+
+  // Name the runs
+  const firstDrop = runs.findIndex(r => r.label === 2);
+  const sections = [];
+  runs.forEach((run, i) => {
+    let type;
+    if (run.label === 2) type = 'drop';
+    else if (firstDrop === -1 || i < firstDrop) type = 'intro';
+    else if (i === runs.length - 1) type = 'outro';
+    else type = 'breakdown';
+
+    // The stretch leading into a drop is its build; long ones only the tail
+    if (type !== 'drop' && runs[i + 1] && runs[i + 1].label === 2) {
+      const barsInRun = run.to - run.from + 1;
+      if (barsInRun > BUILD_BARS) {
+        sections.push(makeSection(type, bars, run.from, run.to - BUILD_BARS));
+        sections.push(makeSection('build', bars, run.to - BUILD_BARS + 1, run.to));
+        return;
+      }
+      if (i > 0 || run.label === 1) type = 'build';
+    }
+    sections.push(makeSection(type, bars, run.from, run.to));
+  });
+
+  // Bass-heavy drops read as aggressive, the rest as euphoric
+  const trackLow = bars.reduce((s, b) => s + b.low, 0) / Math.max(1e-6, bars.reduce((s, b) => s + b.energy, 0));
+  for (const section of sections) {
+    if (section.type === 'build') section.mood = 'building';
+    else if (section.type === 'drop') section.mood = section._lowRatio > trackLow * 1.1 ? 'aggressive' : 'euphoric';
+    else section.mood = null;
+    delete section._lowRatio;
+  }
+  return sections;
+}
+
+function makeSection(type, bars, from, to) {
+  let energy = 0, e = 0, lo = 0;
+  for (let i = from; i <= to; i++) {
+    energy += bars[i].level;
+    e += bars[i].energy;
+    lo += bars[i].low;
+  }
+  return {
+    type,
+    start: round3(bars[from].start),
+    end: round3(bars[to].end),
+    energy: Math.round(energy / (to - from + 1) * 100) / 100,
+    mood: null,
+    _lowRatio: e > 0 ? lo / e : 0,
+  };
+}
+
+// =========================================================================
+//  MOODS
+// =========================================================================
+
+/**
+ * Run the live mood classifier over the whole track, as it would hear it
+ * after loudness normalization, and settle each bar on its most common mood.
+ * Only approximates the live result: nothing above ANALYSIS_RATE / 2 is
+ * seen, so the presence and treble bands read low.
+ *
+ * @returns {[number, string, number][]} [start, mood, confidence] per mood change
+ */
+function computeMoods(samples, sampleRate, loudness, bounds) {
+  const analyzer = new HopAnalyzer({ sampleRate, fftSize: 1024, hopSize: HOP, bands: BANDS });
+  const scale = loudnessGain(loudness) / TARGET_RMS;
+  const history = new Float32Array(Math.round(sampleRate / HOP));   // ~1s, like the live classifier
+  let historyIndex = 0;
+  const frames = [];   // [time, mood]
+  analyzer.push(samples, frame => {
+    history[historyIndex] = frame.rms;
+    historyIndex = (historyIndex + 1) % history.length;
+    const mood = classifyMood({
+      energy: frame.rms * scale,
+      bands: frame.bands,
+      flux: frame.flux,
+      building: isRising(history),
+    });
+    frames.push([(frame.index + 1) * HOP / sampleRate, mood]);
+  });
+
+  // Most common mood per bar
+  const bars = [];
+  let f = 0;
+  for (let b = 0; b < bounds.length - 1; b++) {
+    const votes = {};
+    let count = 0;
+    for (; f < frames.length && frames[f][0] < bounds[b + 1]; f++) {
+      votes[frames[f][1]] = (votes[frames[f][1]] || 0) + 1;
+      count++;
+    }
+    if (count === 0) continue;
+    const mood = Object.keys(votes).reduce((a, c) => votes[c] > votes[a] ? c : a);
+    bars.push({ start: bounds[b], mood, votes: votes[mood], count });
+  }
+
+  // Merge runs; runs shorter than MIN_MOOD_BARS join the previous run
+  const runs = [];
+  for (const bar of bars) {
+    const last = runs[runs.length - 1];
+    if (last && last.mood === bar.mood) {
+      last.bars++;
+      last.votes += bar.votes;
+      last.count += bar.count;
+    } else {
+      runs.push({ ...bar, bars: 1 });
+    }
+  }
+  for (let i = 1; i < runs.length; i++) {
+    if (runs[i].bars < MIN_MOOD_BARS) {
+      runs[i - 1].bars += runs[i].bars;
+      runs[i - 1].count += runs[i].count;
+      runs.splice(i, 1);
+      i--;
+    }
+  }
+  for (let i = 1; i < runs.length; i++) {
+    if (runs[i].mood === runs[i - 1].mood) {
+      runs[i - 1].bars += runs[i].bars;
+      runs[i - 1].votes += runs[i].votes;
+      runs[i - 1].count += runs[i].count;
+      runs.splice(i, 1);
+      i--;
+    }
+  }
+
+  return runs.map(run => [round3(run.start), run.mood, Math.round(run.votes / run.count * 100) / 100]);
+}
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000;
+}
@@ -4,6 +4,12 @@
  *          stained glass with tracery, floor detail, pointed arches
  */
 import * as THREE from 'three';
+import { FIFTH } from './lighting/ColorUtils.js';
+
+// Harmonic color: stained glass tinted toward the chord's hue
+const HARMONIC_GLASS_TINT = 0.75;   // 0 = original glass, 1 = pure chord hue
+const HARMONIC_FADE = 1.5;          // seconds to fade the tint in or out
+const _glassHue = new THREE.Color();
 
 export class Cathedral {
   constructor(scene, textures = {}, qualityConfig = {}) {
@@ -25,6 +31,9 @@ export class Cathedral {
     // Stained glass window references for animation
     this.windows = [];
     this.roseWindow = null;
+    this._harmonicMix = 0;     // current tint amount, fades with HARMONIC_FADE
+    this._harmonicHue = 0;
+    this._lastUpdate = null;
   }
 
   build() {
@@ -440,11 +449,15 @@ export class Cathedral {
           this.group.add(light);
         }
 
+        const panels = [panel1, panel2, topGlass, rosette];
         this.windows.push({
           group: windowGroup,
-          panels: [panel1, panel2, topGlass, rosette],
+          panels,
+          baseColors: panels.map(panel => panel.material.color.clone()),
           light,
           color: new THREE.Color(color),
+          // Windows alternate chord root / fifth up / fifth down under harmonic color
+          harmonicOffset: ((this.windows.length % 3) - 1) * FIFTH,
           side,
           z
         });
@@ -1229,8 +1242,18 @@ export class Cathedral {
 
   /**
    * Update animated elements
+   * @param {Object} [harmony] - AudioEngine.harmony when harmonic color is on
    */
-  update(time, energy = 0, sunSide = -1) {
+  update(time, energy = 0, sunSide = -1, harmony = null) {
+    const dt = this._lastUpdate === null ? 0 : Math.max(0, time - this._lastUpdate);
+    this._lastUpdate = time;
+    const harmonic = harmony && harmony.ready;
+    if (harmonic) this._harmonicHue = harmony.hue;
+    const fade = Math.min(1, dt / HARMONIC_FADE);
+    const mix = Math.max(0, Math.min(1, this._harmonicMix + (harmonic ? fade : -fade)));
+    const tinting = mix > 0 || this._harmonicMix > 0;
+    this._harmonicMix = mix;
+
     // Subtle stained glass color cycling + dim with music energy
     // sunSide: -1 = sun on right (left windows lit), +1 = sun on left (right windows lit)
     const audioDim = 1.0 - energy * 0.5;
@@ -1257,6 +1280,14 @@ export class Cathedral {
         panel.material.opacity = intensity;
       }
 
+      if (tinting) {
+        _glassHue.setHSL((this._harmonicHue + 1 + win.harmonicOffset) % 1, 0.9, 0.5);
+        for (let i = 0; i < win.panels.length; i++) {
+          win.panels[i].material.color.copy(win.baseColors[i]).lerp(_glassHue, mix * HARMONIC_GLASS_TINT);
+        }
+        if (win.light) win.light.color.copy(win.color).lerp(_glassHue, mix * HARMONIC_GLASS_TINT);
+      }
+
       // PointLight only active on sun-facing side
       if (win.light) {
         win.light.intensity = (0.06 + shift * 0.015) * audioDim * sunFactor;
@@ -1073,12 +1073,15 @@ export class ClubDecor {
   // ==================================================================
   //  UPDATE — Audio-reactive animations
   // ==================================================================
-  update(time, bandValues, energy, isBeat) {
+  /**
+   * @param {Object} [onsets] - AudioEngine.onsets; hat hits strike the arcs
+   */
+  update(time, bandValues, energy, isBeat, onsets = null) {
     if (!bandValues) bandValues = {};
     if (energy === undefined) energy = 0;
 
     this._updateChandeliers(time, energy, isBeat);
-    this._updateArcs(time, energy, isBeat, bandValues);
+    this._updateArcs(time, energy, isBeat, bandValues, this._newHats(onsets));
     this._updateBarGlow(time, energy);
   }
 
@@ -1106,7 +1109,17 @@ export class ClubDecor {
     });
   }
 
-  _updateArcs(time, energy, isBeat, bandValues) {
+  /**
+   * Hat hits since the last update — counted, because updates are throttled.
+   */
+  _newHats(onsets) {
+    if (!onsets) return 0;
+    const seen = this._hatCount === undefined ? onsets.count.hat : this._hatCount;
+    this._hatCount = onsets.count.hat;
+    return Math.max(0, onsets.count.hat - seen);
+  }
+
+  _updateArcs(time, energy, isBeat, bandValues, hats = 0) {
     const dt = 0.016;
     // Bass-driven: combine subBass and bass for a single "bassLevel" 0-1+
     const subBass = bandValues.subBass || 0;
@@ -1118,7 +1131,12 @@ export class ClubDecor {
     // Quadratic intensity — light bass = barely visible, heavy bass = blazing
     const bassIntensity = bassLevel * bassLevel;
 
-    this.electricArcs.forEach(arc => {
+    // Each hat hit strikes one idle arc, chosen at random
+    let hatStrikes = hats > 0 ? Math.min(hats, 2) : 0;
+    const firstArc = Math.floor(Math.random() * this.electricArcs.length);
+
+    this.electricArcs.forEach((_, n) => {
+      const arc = this.electricArcs[(firstArc + n) % this.electricArcs.length];
       arc.cooldown = Math.max(0, arc.cooldown - dt);
       if (arc.isOn) {
         arc.duration -= dt;
@@ -1169,7 +1187,7 @@ export class ClubDecor {
 
           // Rapid on/off flicker — intensity driven by quadratic bass
           const flicker = Math.random() > 0.25 ? (0.6 + Math.random() * 0.4) : 0;
-          const bassMult = 0.3 + bassIntensity * 2.0;
+          const bassMult = Math.max(0.3 + bassIntensity * 2.0, arc.hatStrike ? 0.9 : 0);
           arc.mainMat.opacity = Math.min(1.0, flicker * bassMult);
           arc.branchMat.opacity = Math.min(1.0, flicker * bassMult * 0.6);
           arc.branch2Mat.opacity = Math.min(1.0, flicker * bassMult * 0.35);
@@ -1181,8 +1199,19 @@ export class ClubDecor {
         const shouldFire = isRestrike
           ? bassActive
           : (bassLevel > 0.2 && Math.random() < bassIntensity * 0.8);
-        if (shouldFire) {
+        const hatFire = !shouldFire && !isRestrike && hatStrikes > 0;
+        if (hatFire) {
+          // Hats crack a single short, bright strike
+          hatStrikes--;
+          arc.isOn = true;
+          arc.hatStrike = true;
+          arc.duration = 0.03;
+          arc.strikeCount = 1;
+          arc.mainLine.geometry.dispose();
+          arc.mainLine.geometry = this._createLightningGeo(arc.from, arc.to, 24, 0.8);
+        } else if (shouldFire) {
           arc.isOn = true;
+          arc.hatStrike = false;
           arc._restrike = false;
           arc.duration = 0.016 + Math.random() * 0.035 + bassIntensity * 0.02;
           if (!isRestrike) {
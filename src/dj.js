@@ -24,6 +24,14 @@ const DARK_ROBES = 0x0c0c16;
 const HEADSET_COLOR = 0xDDDDDD;
 const SACRED_GOLD = 0xFFD700;
 
+// --- Deck screens (rekordbox-style 3-band waveform) ---
+const WAVE_LOW = '#2a6bff';     // low band: blue
+const WAVE_MID = '#ffa024';     // mid band: amber
+const WAVE_HIGH = '#ffffff';    // high band: white
+const SCREEN_BG = '#050510';
+const ZOOM_SECONDS = 8;         // seconds across the scrolling waveform, playhead centered
+const MAX_OVERVIEWS = 6;        // cached overview renders (one per track and size)
+
 export class DJBooth {
   /**
    * @param {THREE.Scene} scene
@@ -40,13 +48,23 @@ export class DJBooth {
     this.headBobPhase = 0;
     this.armPhase = 0;
     this.beatImpact = 0; // decays over time, spikes on beat
+    this.tempo = null;   // beat clock from AudioEngine when locked
 
     // Canvas textures for screens
     this.laptopCanvas = null;
     this.laptopCtx = null;
     this.laptopTexture = null;
+    this._laptopShown = shownState();  // what the laptop screen last drew
+
+    this.cdjCanvases = [];  // { canvas, ctx, texture, shown }
+    this.findTrack = null;  // url -> playlist track, for deck titles
+    this._overviews = new Map();  // `${url}@${w}x${h}` -> whole-track waveform canvas
 
-    this.cdjCanvases = [];  // { canvas, ctx, texture }
+    // Mixer controls that mirror the master bus (see updateMixer)
+    this.eqKnobs = [];        // rows high/mid/low, 4 channel knobs each
+    this.eqPointerMats = {};  // band -> pointer material (turns red on kill)
+    this.filterKnob = null;
+    this.limiterLed = null;
 
     // Avatar part references for animation
     this.avatar = {
@@ -241,13 +259,13 @@ export class DJBooth {
       jog.position.set(0, 0.04, -0.05);
       cdjGroup.add(jog);
 
-      // LED screen (canvas texture)
+      // LED screen (canvas texture), matching the 0.2 x 0.08 screen
       const canvas = document.createElement('canvas');
-      canvas.width = 128;
-      canvas.height = 64;
+      canvas.width = 256;
+      canvas.height = 104;
       const ctx = canvas.getContext('2d');
-      ctx.fillStyle = '#050510';
-      ctx.fillRect(0, 0, 128, 64);
+      ctx.fillStyle = SCREEN_BG;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
 
       const texture = new THREE.CanvasTexture(canvas);
       texture.minFilter = THREE.LinearFilter;
@@ -273,7 +291,7 @@ export class DJBooth {
       cdjGroup.position.set(cx, cy, cz);
       this.group.add(cdjGroup);
 
-      this.cdjCanvases.push({ canvas, ctx, texture });
+      this.cdjCanvases.push({ canvas, ctx, texture, shown: shownState() });
     });
   }
 
@@ -318,22 +336,41 @@ export class DJBooth {
       mixerGroup.add(knob);
     }
 
-    // EQ knobs (small cylinders)
+    // EQ knobs (small cylinders with a pointer) — rows are high, mid, low
     const knobMat = new THREE.MeshStandardMaterial({
       color: 0x444444,
       roughness: 0.3,
       metalness: 0.7,
     });
-    for (let row = 0; row < 3; row++) {
+    const knobGeo = new THREE.CylinderGeometry(0.01, 0.01, 0.012, 8);
+    const pointerGeo = new THREE.BoxGeometry(0.002, 0.002, 0.008);
+    const createKnob = (x, z, pointerMat) => {
+      const knob = new THREE.Group();
+      knob.add(new THREE.Mesh(knobGeo, knobMat));
+      const pointer = new THREE.Mesh(pointerGeo, pointerMat);
+      pointer.position.set(0, 0.007, -0.005);
+      knob.add(pointer);
+      knob.position.set(x, 0.032, z);
+      mixerGroup.add(knob);
+      return knob;
+    };
+    ['high', 'mid', 'low'].forEach((band, row) => {
+      this.eqPointerMats[band] = new THREE.MeshBasicMaterial({ color: 0xffffff });
+      const knobs = [];
       for (let col = 0; col < 4; col++) {
-        const eqKnob = new THREE.Mesh(
-          new THREE.CylinderGeometry(0.01, 0.01, 0.012, 8),
-          knobMat
-        );
-        eqKnob.position.set(-0.06 + col * 0.04, 0.032, -0.12 + row * 0.04);
-        mixerGroup.add(eqKnob);
+        knobs.push(createKnob(-0.06 + col * 0.04, -0.12 + row * 0.04, this.eqPointerMats[band]));
       }
-    }
+      this.eqKnobs.push({ band, knobs });
+    });
+
+    // Master filter knob and limiter LED, right of the EQ section
+    this.filterKnob = createKnob(0.11, -0.12, new THREE.MeshBasicMaterial({ color: 0x00ffff }));
+    this.limiterLed = new THREE.Mesh(
+      new THREE.BoxGeometry(0.008, 0.004, 0.008),
+      new THREE.MeshBasicMaterial({ color: 0x220000 })
+    );
+    this.limiterLed.position.set(0.11, 0.028, -0.08);
+    mixerGroup.add(this.limiterLed);
 
     // Cross fader
     const crossFaderGeo = new THREE.BoxGeometry(0.12, 0.01, 0.015);
@@ -362,13 +399,22 @@ export class DJBooth {
     const base = new THREE.Mesh(baseGeo, bodyMat);
     laptopGroup.add(base);
 
-    // Screen (canvas texture)
+    // Screen (canvas texture), matching the 0.33 x 0.2 panel
     this.laptopCanvas = document.createElement('canvas');
-    this.laptopCanvas.width = 256;
-    this.laptopCanvas.height = 128;
+    this.laptopCanvas.width = 384;
+    this.laptopCanvas.height = 232;
     this.laptopCtx = this.laptopCanvas.getContext('2d');
-    this.laptopCtx.fillStyle = '#050510';
-    this.laptopCtx.fillRect(0, 0, 256, 128);
+    this.laptopCtx.fillStyle = SCREEN_BG;
+    this.laptopCtx.fillRect(0, 0, 384, 232);
+
+    // Scrolling spectrogram, kept offscreen so the rest of the screen can redraw
+    this.spectrogramCanvas = document.createElement('canvas');
+    this.spectrogramCanvas.width = 368;
+    this.spectrogramCanvas.height = 56;
+    this.spectrogramCtx = this.spectrogramCanvas.getContext('2d');
+    this.spectrogramCtx.fillStyle = SCREEN_BG;
+    this.spectrogramCtx.fillRect(0, 0, 368, 56);
+    this.spectrogramColumn = this.spectrogramCtx.createImageData(1, 56);
 
     this.laptopTexture = new THREE.CanvasTexture(this.laptopCanvas);
     this.laptopTexture.minFilter = THREE.LinearFilter;
@@ -630,24 +676,49 @@ export class DJBooth {
    * @param {number} time - elapsed time in seconds
    * @param {boolean} isBeat - true on detected beats
    * @param {number} energy - overall audio energy (0-1)
+   * @param {Object} [tempo] - AudioEngine.tempo: { bpm, beatPhase, barPhase, beatIndex, locked }
+   * @param {Object} [mixer] - AudioEngine.master (MasterBus): eq, kills, filter, reduction
+   * @param {Object[]} [decks] - AudioEngine.deckStates, one per CDJ; empty in live input
+   * @param {Uint8Array} [spectrum] - AudioEngine.frequencyData, for the laptop spectrogram
    */
-  update(time, isBeat, energy) {
+  update(time, isBeat, energy, tempo = null, mixer = null, decks = [], spectrum = null) {
     if (energy === undefined) energy = 0;
-
-    // Beat impact decay
-    if (isBeat) {
-      this.beatImpact = 1.0;
+    this.tempo = tempo && tempo.locked ? tempo : null;
+
+    // Beat impact: follows the beat clock when locked, else spikes and decays
+    if (this.tempo) {
+      this.beatImpact = Math.exp(-this.tempo.beatPhase * 5);
+    } else {
+      if (isBeat) {
+        this.beatImpact = 1.0;
+      }
+      this.beatImpact *= 0.9; // fast decay
     }
-    this.beatImpact *= 0.9; // fast decay
 
     this.updateAvatarAnimation(time, energy);
+    if (mixer) this.updateMixer(mixer);
     if (this.Q.djScreenUpdates !== false) {
-      this.updateLaptopScreen(time, energy);
-      this.updateCDJScreens(time, energy);
+      this.updateLaptopScreen(decks, spectrum);
+      this.updateCDJScreens(decks);
       this.updateFacade(time, energy);
     }
   }
 
+  // ------------------------------------------------------------------
+  //  Mixer — knobs follow the master bus (±135° travel, 12 o'clock = flat)
+  // ------------------------------------------------------------------
+  updateMixer(mixer) {
+    const travel = Math.PI * 0.75;
+    for (const { band, knobs } of this.eqKnobs) {
+      const angle = -mixer.eq[band] * travel;
+      for (const knob of knobs) knob.rotation.y = angle;
+      this.eqPointerMats[band].color.setHex(mixer.kills[band] ? 0xff0000 : 0xffffff);
+    }
+    this.filterKnob.rotation.y = -mixer.filter * travel;
+    // Lit while the limiter is pulling more than 1 dB
+    this.limiterLed.material.color.setHex(mixer.reduction < -1 ? 0xff0000 : 0x220000);
+  }
+
   // ------------------------------------------------------------------
   //  Avatar animation
   // ------------------------------------------------------------------
@@ -656,7 +727,12 @@ export class DJBooth {
     // Faster bob rate when energy is high, bigger amplitude on beat
     const bobRate = 2.0 + energy * 4.0;
     const bobAmp = 0.02 + this.beatImpact * 0.06 + energy * 0.03;
-    this.headBobPhase += bobRate * 0.016; // ~60fps increment
+    if (this.tempo) {
+      // One nod per beat, bottoming out on the beat
+      this.headBobPhase = (this.tempo.beatPhase - 0.25) * Math.PI * 2;
+    } else {
+      this.headBobPhase += bobRate * 0.016; // ~60fps increment
+    }
     const headBob = Math.sin(this.headBobPhase) * bobAmp;
 
     if (this.avatar.head) {
@@ -672,7 +748,12 @@ export class DJBooth {
     }
 
     // --- Arm movement ---
-    this.armPhase += (1.5 + energy * 2.0) * 0.016;
+    if (this.tempo) {
+      // Mixing gestures cycle once per bar
+      this.armPhase = this.tempo.barPhase * Math.PI * 2 / 0.7;
+    } else {
+      this.armPhase += (1.5 + energy * 2.0) * 0.016;
+    }
 
     if (this.avatar.leftUpperArm) {
       // Left arm: subtle reaching/pulling motion (mixing)
@@ -704,118 +785,269 @@ export class DJBooth {
   }
 
   // ------------------------------------------------------------------
-  //  Laptop waveform screen
+  //  Laptop screen — playing deck: title, zoomed + overview waveform, spectrogram
   // ------------------------------------------------------------------
-  updateLaptopScreen(time, energy) {
+  updateLaptopScreen(decks, spectrum) {
     if (!this.laptopCtx) return;
     const ctx = this.laptopCtx;
     const w = this.laptopCanvas.width;
     const h = this.laptopCanvas.height;
+    // Like the CDJs, a deck without a track counts as empty; no decks at all is live input
+    const active = decks.find(d => d.active);
+    const deck = active && active.url ? active : null;
+    const message = deck ? null : decks.length === 0 ? 'LIVE INPUT' : 'NO TRACK';
+
+    // Redraw only for a new picture or while the spectrogram scrolls
+    const scrolling = spectrum && (!deck || deck.playing);
+    if (!this._screenChanged(this._laptopShown, deck, w - 16, message) && !scrolling) return;
 
-    // Fade previous frame (trail effect)
-    ctx.fillStyle = 'rgba(5, 5, 16, 0.3)';
+    ctx.fillStyle = SCREEN_BG;
     ctx.fillRect(0, 0, w, h);
 
-    // Draw a scrolling waveform
-    const centerY = h / 2;
-    const amplitude = 20 + energy * 30;
-
-    ctx.strokeStyle = `hsl(${(time * 40) % 360}, 100%, ${50 + energy * 30}%)`;
-    ctx.lineWidth = 1.5;
-    ctx.beginPath();
-
-    for (let x = 0; x < w; x++) {
-      const t = x / w;
-      const wave1 = Math.sin((t * 8 + time * 3) * Math.PI) * amplitude * 0.6;
-      const wave2 = Math.sin((t * 15 + time * 5) * Math.PI) * amplitude * 0.3;
-      const wave3 = Math.sin((t * 3 + time * 1.5) * Math.PI) * amplitude * 0.2;
-      const y = centerY + wave1 + wave2 + wave3;
-      if (x === 0) ctx.moveTo(x, y);
-      else ctx.lineTo(x, y);
-    }
-    ctx.stroke();
-
-    // Secondary waveform (mirrored, different color)
-    ctx.strokeStyle = `hsla(${(time * 40 + 180) % 360}, 80%, 40%, 0.5)`;
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    for (let x = 0; x < w; x++) {
-      const t = x / w;
-      const wave = Math.sin((t * 12 + time * 4) * Math.PI) * amplitude * 0.4;
-      const y = centerY - wave;
-      if (x === 0) ctx.moveTo(x, y);
-      else ctx.lineTo(x, y);
-    }
-    ctx.stroke();
-
-    // Playhead line
-    const playheadX = ((time * 0.1) % 1) * w;
-    ctx.strokeStyle = 'rgba(255, 215, 0, 0.8)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(playheadX, 0);
-    ctx.lineTo(playheadX, h);
-    ctx.stroke();
-
-    // BPM display (top-left corner)
-    ctx.fillStyle = '#FFD700';
-    ctx.font = '10px monospace';
-    ctx.fillText('128.0 BPM', 4, 12);
+    this._drawHeader(ctx, deck, 8, 6, w - 16, 14, message, this._laptopShown);
+    this._drawZoom(ctx, deck, 8, 26, w - 16, 84);
+    this._drawOverview(ctx, deck, 8, 116, w - 16, 28);
 
-    // Time display (top-right)
-    const mins = Math.floor(time / 60);
-    const secs = Math.floor(time % 60);
-    ctx.fillText(`${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`, w - 50, 12);
+    // Spectrogram scrolls while there is analysis to show
+    if (scrolling) this._scrollSpectrogram(spectrum);
+    ctx.drawImage(this.spectrogramCanvas, 8, 150);
 
+    this._drawTimes(ctx, deck, 8, h - 8, w - 16, '12px monospace');
     this.laptopTexture.needsUpdate = true;
   }
 
+  /**
+   * Shift the spectrogram one pixel left and add the newest spectrum as a
+   * column, low frequencies at the bottom on a log scale.
+   */
+  _scrollSpectrogram(spectrum) {
+    const ctx = this.spectrogramCtx;
+    const { width, height } = this.spectrogramCanvas;
+    ctx.drawImage(this.spectrogramCanvas, -1, 0);
+
+    const column = this.spectrogramColumn.data;
+    const bins = spectrum.length;
+    for (let row = 0; row < height; row++) {
+      const bin = Math.min(bins - 1, Math.floor(Math.pow(bins, 1 - row / height)));
+      const v = spectrum[bin] / 255;
+      // Heat ramp: navy -> magenta -> amber -> white
+      const i = row * 4;
+      column[i] = Math.min(255, v * 2 * 255);
+      column[i + 1] = Math.max(0, v * 2 - 1) * 230;
+      column[i + 2] = 40 + Math.min(1, v * 3) * 120 - Math.max(0, v - 0.5) * 160;
+      column[i + 3] = 255;
+    }
+    ctx.putImageData(this.spectrogramColumn, width - 1, 0);
+  }
+
   // ------------------------------------------------------------------
-  //  CDJ screens
+  //  CDJ screens — one deck each
   // ------------------------------------------------------------------
-  updateCDJScreens(time, energy) {
+  updateCDJScreens(decks) {
     this.cdjCanvases.forEach((cdj, idx) => {
-      const { canvas, ctx, texture } = cdj;
+      const { canvas, ctx, texture, shown } = cdj;
       const w = canvas.width;
       const h = canvas.height;
+      const deck = decks[idx] && decks[idx].url ? decks[idx] : null;
+      const beat = deck && deck.active && this.tempo ? Math.floor(this.tempo.barPhase * 4) : -1;
+      if (!this._screenChanged(shown, deck, w - 8, deck ? null : 'NO TRACK', beat)) return;
 
-      // Clear
-      ctx.fillStyle = '#050510';
+      ctx.fillStyle = SCREEN_BG;
       ctx.fillRect(0, 0, w, h);
 
-      // Simple waveform display per CDJ
-      const offset = idx * Math.PI;
-      ctx.strokeStyle = idx === 0 ? '#00FFFF' : '#FF00FF';
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      for (let x = 0; x < w; x++) {
-        const t = x / w;
-        const amp = 10 + energy * 15;
-        const y = h / 2 + Math.sin((t * 10 + time * 2 + offset) * Math.PI) * amp;
-        if (x === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-      }
-      ctx.stroke();
-
-      // Track number
-      ctx.fillStyle = '#FFFFFF';
-      ctx.font = '8px monospace';
-      ctx.fillText(`DECK ${idx + 1}`, 4, 10);
-
-      // Beat grid dots at bottom
-      ctx.fillStyle = '#FFD700';
-      for (let b = 0; b < 16; b++) {
-        const bx = 8 + b * (w - 16) / 15;
-        const active = (Math.floor(time * 4 + idx * 2) % 16) === b;
-        ctx.globalAlpha = active ? 1.0 : 0.3;
-        ctx.fillRect(bx - 1.5, h - 8, 3, 3);
+      this._drawHeader(ctx, deck, 4, 3, w - 8, 12, deck ? null : `DECK ${idx + 1}  NO TRACK`, shown);
+      this._drawZoom(ctx, deck, 4, 19, w - 8, 44);
+      this._drawOverview(ctx, deck, 4, 66, w - 8, 18);
+      this._drawTimes(ctx, deck, 4, h - 5, w - 8, '11px monospace');
+
+      // Beat counter on the playing deck
+      if (beat >= 0) {
+        for (let b = 0; b < 4; b++) {
+          ctx.fillStyle = b === beat ? '#ff3030' : '#3a1010';
+          ctx.fillRect(w / 2 - 22 + b * 12, h - 13, 9, 8);
+        }
       }
-      ctx.globalAlpha = 1.0;
 
       texture.needsUpdate = true;
     });
   }
 
+  // ------------------------------------------------------------------
+  //  Deck screen parts
+  // ------------------------------------------------------------------
+
+  /**
+   * Whether a screen would draw differently from last time (`shown`), and
+   * remember what it will draw if so. The playhead counts once it moves a
+   * pixel of the zoomed waveform, `zoomWidth` wide.
+   */
+  _screenChanged(shown, deck, zoomWidth, message, beat = -1) {
+    const url = deck ? deck.url : null;
+    const active = deck ? deck.active : false;
+    const analysis = deck ? deck.analysis : null;
+    const duration = deck ? deck.duration : 0;
+    const step = deck ? Math.floor(deck.time * zoomWidth / ZOOM_SECONDS) : 0;
+    const bpm = deck ? Math.round(this._deckBpm(deck) * 10) : 0;   // as shown, to 0.1
+    if (url === shown.url && active === shown.active && analysis === shown.analysis &&
+        duration === shown.duration && step === shown.step && bpm === shown.bpm &&
+        beat === shown.beat && message === shown.message) {
+      return false;
+    }
+    shown.url = url;
+    shown.active = active;
+    shown.analysis = analysis;
+    shown.duration = duration;
+    shown.step = step;
+    shown.bpm = bpm;
+    shown.beat = beat;
+    shown.message = message;
+    return true;
+  }
+
+  _deckBpm(deck) {
+    if (deck.active && this.tempo) return this.tempo.bpm;
+    return deck.analysis ? deck.analysis.bpm : 0;
+  }
+
+  /**
+   * Track title (left) and BPM (right); `message` replaces both when set.
+   * The fitted title is kept in `shown` until the track or its room changes.
+   */
+  _drawHeader(ctx, deck, x, y, w, size, message, shown) {
+    ctx.font = `bold ${size}px monospace`;
+    ctx.textBaseline = 'top';
+    if (message) {
+      ctx.fillStyle = '#888899';
+      ctx.fillText(message, x, y);
+      return;
+    }
+
+    const bpm = this._deckBpm(deck);
+    const bpmText = bpm ? `${bpm.toFixed(1)} BPM` : '--.- BPM';
+    const bpmWidth = ctx.measureText(bpmText).width;
+    ctx.fillStyle = '#FFD700';
+    ctx.fillText(bpmText, x + w - bpmWidth, y);
+
+    const width = w - bpmWidth - 8;
+    if (deck.url !== shown.titleUrl || width !== shown.titleWidth) {
+      const track = this.findTrack ? this.findTrack(deck.url) : null;
+      const title = track ? (track.artist ? `${track.artist} - ${track.title}` : track.title) : deck.url;
+      shown.titleUrl = deck.url;
+      shown.titleWidth = width;
+      shown.title = fitText(ctx, title, width);
+    }
+    ctx.fillStyle = deck.active ? '#ffffff' : '#9999aa';
+    ctx.fillText(shown.title, x, y);
+  }
+
+  /**
+   * Scrolling waveform around the playhead, with the beat grid.
+   */
+  _drawZoom(ctx, deck, x, y, w, h) {
+    const center = y + h / 2;
+    ctx.fillStyle = '#0b0b18';
+    ctx.fillRect(x, y, w, h);
+
+    const envelopes = deck && deck.analysis ? deck.analysis.envelopes : null;
+    if (!envelopes) {
+      ctx.fillStyle = '#333344';
+      ctx.fillRect(x, center, w, 1);
+      if (deck) {
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#666677';
+        ctx.fillText('ANALYZING...', x + 4, y + 4);
+      }
+      return;
+    }
+
+    const start = deck.time - ZOOM_SECONDS / 2;
+    const secondsPerPixel = ZOOM_SECONDS / w;
+    for (let px = 0; px < w; px++) {
+      const frame = Math.floor((start + px * secondsPerPixel) * envelopes.rate);
+      if (frame < 0 || frame >= envelopes.low.length) continue;
+      drawBands(ctx, envelopes, frame, x + px, center, h / 2);
+    }
+
+    // Beat grid: bar lines red, beats faint white
+    const { beats, downbeats } = deck.analysis;
+    const end = start + ZOOM_SECONDS;
+    let bar = 0;
+    for (let i = firstAtOrAfter(beats, start); i < beats.length && beats[i] < end; i++) {
+      while (bar < downbeats.length && downbeats[bar] < beats[i]) bar++;
+      const isBar = downbeats[bar] === beats[i];
+      ctx.fillStyle = isBar ? 'rgba(255, 60, 60, 0.9)' : 'rgba(255, 255, 255, 0.3)';
+      ctx.fillRect(x + Math.round((beats[i] - start) / secondsPerPixel), y, 1, isBar ? h : 5);
+    }
+
+    // Playhead
+    ctx.fillStyle = '#ff3030';
+    ctx.fillRect(x + Math.floor(w / 2), y, 2, h);
+  }
+
+  /**
+   * Whole-track waveform, played part dimmed, with the playhead.
+   */
+  _drawOverview(ctx, deck, x, y, w, h) {
+    ctx.fillStyle = '#0b0b18';
+    ctx.fillRect(x, y, w, h);
+    if (!deck || !deck.analysis || !deck.analysis.envelopes || !deck.duration) return;
+
+    ctx.drawImage(this._overview(deck.url, deck.analysis.envelopes, w, h), x, y);
+    const played = Math.round(Math.min(1, deck.time / deck.duration) * w);
+    ctx.fillStyle = 'rgba(5, 5, 16, 0.55)';
+    ctx.fillRect(x, y, played, h);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(x + played, y, 1, h);
+  }
+
+  /**
+   * Cached whole-track render: each pixel column shows its loudest frame.
+   */
+  _overview(url, envelopes, w, h) {
+    const key = `${url}@${w}x${h}`;
+    let canvas = this._overviews.get(key);
+    if (canvas) return canvas;
+
+    canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+    const frames = envelopes.low.length;
+    for (let px = 0; px < w; px++) {
+      const from = Math.floor(px / w * frames);
+      const to = Math.max(from + 1, Math.floor((px + 1) / w * frames));
+      let loudest = from;
+      for (let f = from; f < to && f < frames; f++) {
+        const sum = envelopes.low[f] + envelopes.mid[f] + envelopes.high[f];
+        if (sum > envelopes.low[loudest] + envelopes.mid[loudest] + envelopes.high[loudest]) loudest = f;
+      }
+      if (loudest < frames) drawBands(ctx, envelopes, loudest, px, h / 2, h / 2);
+    }
+
+    this._overviews.set(key, canvas);
+    if (this._overviews.size > MAX_OVERVIEWS) {
+      this._overviews.delete(this._overviews.keys().next().value);
+    }
+    return canvas;
+  }
+
+  /**
+   * Elapsed (left) and remaining (right) time on the text baseline `y`.
+   */
+  _drawTimes(ctx, deck, x, y, w, font) {
+    ctx.font = font;
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#FFD700';
+    if (!deck || !deck.duration) {
+      ctx.fillText('--:--', x, y);
+      return;
+    }
+    ctx.fillText(formatTime(deck.time), x, y);
+    const remaining = `-${formatTime(Math.max(0, deck.duration - deck.time))}`;
+    ctx.fillText(remaining, x + w - ctx.measureText(remaining).width, y);
+  }
+
   /**
    * Dispose of all geometries, materials, and textures
    */
@@ -919,3 +1151,59 @@ export class DJBooth {
     }
   }
 }
+
+/**
+ * One waveform column: low, mid and high band envelopes stacked and
+ * mirrored around `center`, as rekordbox's 3-band view draws them.
+ */
+function drawBands(ctx, envelopes, frame, x, center, halfHeight) {
+  const layers = [
+    [WAVE_LOW, envelopes.low[frame]],
+    [WAVE_MID, envelopes.mid[frame] * 0.8],
+    [WAVE_HIGH, envelopes.high[frame] * 0.6],
+  ];
+  for (const [color, value] of layers) {
+    const a = Math.max(0.5, value / 255 * halfHeight);
+    ctx.fillStyle = color;
+    ctx.fillRect(x, center - a, 1, a * 2);
+  }
+}
+
+/**
+ * Index of the first sorted value >= t (binary search).
+ */
+function firstAtOrAfter(values, t) {
+  let lo = 0, hi = values.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (values[mid] < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+/**
+ * What a deck screen last drew (see DJBooth._screenChanged), plus its fitted title.
+ */
+function shownState() {
+  return {
+    url: undefined, active: false, analysis: null, duration: 0, step: 0, bpm: 0, beat: -1, message: null,
+    titleUrl: null, titleWidth: 0, title: '',
+  };
+}
+
+/**
+ * Truncate `text` with an ellipsis to fit `width` in the current font.
+ */
+function fitText(ctx, text, width) {
+  if (ctx.measureText(text).width <= width) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > width) end--;
+  return `${text.slice(0, end)}…`;
+}
@@ -0,0 +1,90 @@
+/**
+ * BridgeSocket - The WebSocket link to the local DMX bridge (scripts/dmx-bridge.js)
+ *
+ * Binary in both directions: each message is one universe, a little-endian
+ * uint16 universe number followed by its 512 channel values. While open, a
+ * lost bridge is retried every few seconds.
+ */
+
+export const FRAME_BYTES = 2 + 512;   // universe number + channels
+const RETRY_DELAY = 3000;             // ms before reconnecting to the bridge
+
+export class BridgeSocket {
+  constructor() {
+    this.url = null;          // set while open
+    this.status = 'off';      // 'off' | 'connecting' | 'connected' | 'unreachable'
+    this.onStatus = null;     // called with the status when it changes
+    this.onMessage = null;    // called with each binary message (ArrayBuffer)
+    this.socket = null;
+    this._retryTimer = null;
+  }
+
+  get connected() {
+    return this.status === 'connected';
+  }
+
+  /** Bytes queued and not yet sent; 0 without a connection. */
+  get bufferedAmount() {
+    return this.socket ? this.socket.bufferedAmount : 0;
+  }
+
+  /**
+   * Connect, and keep reconnecting until close(). Reopening with another
+   * address drops the current connection.
+   */
+  open(url) {
+    if (url === this.url) return;
+    this._disconnect();
+    this.url = url;
+    this._connect();
+  }
+
+  close() {
+    this.url = null;
+    this._disconnect();
+    this._setStatus('off');
+  }
+
+  send(data) {
+    if (this.connected) this.socket.send(data);
+  }
+
+  _connect() {
+    clearTimeout(this._retryTimer);
+    this._setStatus('connecting');
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (e) {
+      this._setStatus('unreachable');
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    socket.onopen = () => this._setStatus('connected');
+    socket.onmessage = (event) => {
+      if (this.onMessage && event.data instanceof ArrayBuffer) this.onMessage(event.data);
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      if (!this.url) return;
+      this._setStatus('unreachable');
+      this._retryTimer = setTimeout(() => this._connect(), RETRY_DELAY);
+    };
+    this.socket = socket;
+  }
+
+  _disconnect() {
+    clearTimeout(this._retryTimer);
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    socket.close();
+  }
+
+  _setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    if (this.onStatus) this.onStatus(status);
+  }
+}
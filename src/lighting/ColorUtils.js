@@ -0,0 +1,61 @@
+/**
+ * ColorUtils - Shared lighting palette and color helpers
+ *
+ * Used by LightingDirector and the lighting programs (programs/), so a
+ * program registered from outside draws from the same palette.
+ */
+import * as THREE from 'three';
+
+// --- ROYGBIV Color Palette — Full spectrum, maximum saturation ---
+// Each color sits at a pure hue position for vivid, punchy lighting.
+export const COL = {
+  // === ROYGBIV primaries ===
+  red:      new THREE.Color(0xff0000),   // R — pure red
+  orange:   new THREE.Color(0xff5500),   // O — vivid orange (not muddy)
+  yellow:   new THREE.Color(0xffee00),   // Y — electric yellow
+  green:    new THREE.Color(0x00ff00),   // G — pure green
+  blue:     new THREE.Color(0x0055ff),   // B — rich blue (not too dark)
+  indigo:   new THREE.Color(0x4400cc),   // I — deep indigo
+  violet:   new THREE.Color(0x9900ff),   // V — vivid violet
+
+  // === Extended saturated palette ===
+  deepRed:  new THREE.Color(0xcc0000),   // darker red (still saturated)
+  crimson:  new THREE.Color(0xff0044),   // hot pink-red
+  magenta:  new THREE.Color(0xff00cc),   // hot magenta
+  pink:     new THREE.Color(0xff44aa),   // electric pink
+  cyan:     new THREE.Color(0x00ffff),   // pure cyan
+  teal:     new THREE.Color(0x00ddaa),   // vivid teal-green
+  lime:     new THREE.Color(0x88ff00),   // electric lime
+  gold:     new THREE.Color(0xffdd00),   // saturated gold
+  amber:    new THREE.Color(0xffaa00),   // rich amber
+  purple:   new THREE.Color(0xaa00ff),   // vivid purple
+  deepBlue: new THREE.Color(0x0022aa),   // dark but saturated blue
+  iceBlue:  new THREE.Color(0x00aaff),   // vivid sky blue
+
+  // === Utility ===
+  white:    new THREE.Color(0xffffff),
+  black:    new THREE.Color(0x000000),
+  warmWhite:new THREE.Color(0xfff0dd),   // warm white (less yellow than before)
+};
+
+// One step around the circle of fifths, as hue: harmonic color pairs a
+// chord's hue with its neighbours a fifth either side
+export const FIFTH = 1 / 12;
+
+/**
+ * Linear interpolation between two THREE.Color objects, written into `out`.
+ */
+export function lerpColor(out, a, b, t) {
+  out.r = a.r + (b.r - a.r) * t;
+  out.g = a.g + (b.g - a.g) * t;
+  out.b = a.b + (b.b - a.b) * t;
+  return out;
+}
+
+/**
+ * Converts a hue (0-1) to a THREE.Color via HSL with full saturation/lightness.
+ */
+export function hueToColor(out, hue) {
+  out.setHSL(hue % 1.0, 1.0, 0.5);
+  return out;
+}
@@ -0,0 +1,165 @@
+/**
+ * CueList - A designed light show for one track, as timecoded cues
+ *
+ * A manifest track's "cues" is a cue file URL or the cues themselves:
+ *
+ *   { "cues": [
+ *     { "time": 0,        "program": "cathedral-breathe", "palette": ["#ffaa00"], "intensity": 0.6 },
+ *     { "time": "0:31.5", "program": "blood-altar", "fade": 0 },
+ *     { "time": 62,       "effect": "blackout", "duration": 0.5 },
+ *     { "time": 62.5,     "effect": "strobe", "duration": 2, "rate": 12 },
+ *     { "time": 95,       "program": "auto", "palette": null, "intensity": null }
+ *   ] }
+ *
+ * Times are seconds into the track or "m:ss.s". program, palette and
+ * intensity each hold from their cue until a later cue sets them again;
+ * "auto" / null hands that part back to the mood-driven show (mood
+ * programs, the track's own palette, full intensity). Programs go by their
+ * ProgramRegistry name (legacy 1-12 numbers still work) and are looked up as
+ * they play, so a cue can name a program registered later; one that is
+ * missing or disabled leaves the moods in charge. fade is the crossfade
+ * into the cue's program in seconds, timed to land on the cue. Effects are
+ * one-shots over whatever runs: blackout darkens every fixture, strobe fires
+ * a white burst at `rate` flashes per second.
+ *
+ * The show is a pure function of the track time (at()), so seeking, pausing
+ * and replaying need no bookkeeping.
+ */
+import * as THREE from 'three';
+
+export const CUE_EFFECTS = Object.freeze(['blackout', 'strobe']);
+const MAX_INTENSITY = 2;
+const EFFECT_DURATION = { blackout: 0.5, strobe: 1 };   // seconds when a cue gives none
+const STROBE_RATE = 10;   // flashes per second when a cue gives none
+
+/**
+ * Fetch (when given a URL) and parse a cue list.
+ * @param {string|Object|Object[]} source - URL, { cues: [...] } or the cue array
+ * @returns {Promise<CueList>}
+ */
+export async function loadCueList(source) {
+  if (typeof source !== 'string') return new CueList(source);
+  const response = await fetch(source);
+  if (!response.ok) throw new Error(`Failed to load ${source}: ${response.status}`);
+  return new CueList(await response.json());
+}
+
+/**
+ * CSS colors -> [{ h, s }] hues for LightingDirector's palette snapping.
+ * @param {string[]} colors
+ */
+export function paletteHues(colors) {
+  return colors.map(css => {
+    const hsl = new THREE.Color(css).getHSL({ h: 0, s: 0, l: 0 });
+    return { h: hsl.h, s: hsl.s };
+  });
+}
+
+export class CueList {
+  /**
+   * @param {Object|Object[]} data - { cues: [...] } or the cue array
+   */
+  constructor(data) {
+    const cues = Array.isArray(data) ? data : data && data.cues;
+    if (!Array.isArray(cues)) throw new Error('Cue list has no "cues" array');
+    this.cues = cues.map((cue, i) => parseCue(cue, i)).sort((a, b) => a.time - b.time);
+    this.programCues = this.cues.filter(cue => cue.program !== undefined);
+
+    this._state = {
+      program: null,     // cued program, or null for mood-driven
+      fade: null,        // crossfade seconds into it, null for the director's default
+      palette: null,     // [{ h, s }], or null for the track's palette
+      intensity: 1,      // master multiplier
+      blackout: false,
+      strobe: 0,         // flashes per second inside a strobe burst, else 0
+      strobeTime: 0,     // seconds since the burst started
+      next: null,        // the next cue that sets a program, or null
+    };
+  }
+
+  /**
+   * The show at `time` seconds into the track. Returns the same object on
+   * every call, overwritten.
+   */
+  at(time) {
+    const state = this._state;
+    state.program = null;
+    state.fade = null;
+    state.palette = null;
+    state.intensity = 1;
+    state.blackout = false;
+    state.strobe = 0;
+    state.strobeTime = 0;
+    state.next = null;
+
+    for (const cue of this.cues) {
+      if (cue.time > time) break;
+      if (cue.program !== undefined) {
+        state.program = cue.program;
+        state.fade = cue.fade;
+      }
+      if (cue.palette !== undefined) state.palette = cue.palette;
+      if (cue.intensity !== undefined) state.intensity = cue.intensity;
+      if (cue.effect && time < cue.time + cue.duration) {
+        if (cue.effect === 'blackout') state.blackout = true;
+        else {
+          state.strobe = cue.rate;
+          state.strobeTime = time - cue.time;
+        }
+      }
+    }
+    state.next = this.programCues.find(cue => cue.time > time) || null;
+    return state;
+  }
+}
+
+/**
+ * Validate one cue. Missing properties stay undefined ("no change"); "auto"
+ * and null become null ("back to the mood-driven show").
+ */
+function parseCue(cue, index) {
+  const where = `Cue ${index + 1}`;
+  if (!cue || typeof cue !== 'object') throw new Error(`${where}: not an object`);
+  const time = parseTime(cue.time);
+  if (time === null) throw new Error(`${where}: invalid time ${JSON.stringify(cue.time)}`);
+  const parsed = { time };
+
+  if ('program' in cue) {
+    const program = cue.program === 'auto' ? null : cue.program;
+    if (program !== null && !((typeof program === 'string' && program) || (Number.isInteger(program) && program > 0))) {
+      throw new Error(`${where}: program must be a program name or "auto"`);
+    }
+    parsed.program = program;
+    parsed.fade = Number.isFinite(cue.fade) ? Math.max(0, cue.fade) : null;
+  }
+  if ('palette' in cue) {
+    const palette = cue.palette === 'auto' ? null : cue.palette;
+    if (palette !== null && !(Array.isArray(palette) && palette.length > 0)) {
+      throw new Error(`${where}: palette must be a list of colors or "auto"`);
+    }
+    parsed.palette = palette && paletteHues(palette);
+  }
+  if ('intensity' in cue) {
+    const intensity = cue.intensity === 'auto' || cue.intensity === null ? 1 : cue.intensity;
+    if (!Number.isFinite(intensity)) throw new Error(`${where}: intensity must be a number`);
+    parsed.intensity = Math.max(0, Math.min(MAX_INTENSITY, intensity));
+  }
+  if ('effect' in cue) {
+    if (!CUE_EFFECTS.includes(cue.effect)) {
+      throw new Error(`${where}: unknown effect "${cue.effect}" (${CUE_EFFECTS.join(', ')})`);
+    }
+    parsed.effect = cue.effect;
+    parsed.duration = Number.isFinite(cue.duration) && cue.duration > 0 ? cue.duration : EFFECT_DURATION[cue.effect];
+    parsed.rate = Number.isFinite(cue.rate) && cue.rate > 0 ? cue.rate : STROBE_RATE;
+  }
+  return parsed;
+}
+
+/**
+ * Seconds from a number or "m:ss.s" (or "h:mm:ss.s"); null if invalid.
+ */
+function parseTime(value) {
+  if (Number.isFinite(value)) return value >= 0 ? value : null;
+  if (typeof value !== 'string' || !/^(\d+:)*\d+(\.\d+)?$/.test(value.trim())) return null;
+  return value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
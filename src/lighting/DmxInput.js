@@ -0,0 +1,133 @@
+/**
+ * DmxInput - Lets a real lighting desk drive the virtual fixtures
+ *
+ * The previsualizer half of the DMX patch: the local DMX bridge, started
+ * with --receive, forwards the Art-Net or sACN universes a desk sends as
+ * WebSocket messages (BridgeSocket), and while enabled LightingDirector
+ * hands its fixtures to apply() instead of running programs. Each patched
+ * fixture reads its channels back the way DmxOutput writes them: dimmer
+ * against the group's full output (GROUP_MAX), sRGB color, 8- or 16-bit
+ * pan/tilt. Fixtures the patch doesn't cover stay dark; shutter channels are
+ * ignored.
+ */
+import * as THREE from 'three';
+import { GROUP_MAX } from './LightingDirector.js';
+import { FIXTURE_GROUPS } from './ProgramRegistry.js';
+import { patchUniverses, aimSpot } from './DmxPatch.js';
+import { BridgeSocket, FRAME_BYTES } from './BridgeSocket.js';
+
+export class DmxInput {
+  /**
+   * @param {LightingDirector} director
+   * @param {Object} patch - parsed patch (DmxPatch.parsePatch)
+   */
+  constructor(director, patch) {
+    this.director = director;
+    this.enabled = false;
+    this.onStatus = null;     // called with the bridge status when it changes
+    this.bridge = new BridgeSocket();
+    this.bridge.onStatus = (status) => { if (this.onStatus) this.onStatus(status); };
+    this.bridge.onMessage = (data) => this._receive(data);
+    this.setPatch(patch);
+  }
+
+  /** 'off' | 'connecting' | 'connected' | 'unreachable' */
+  get status() {
+    return this.bridge.status;
+  }
+
+  /**
+   * Use another patch; reconnects if the bridge address changed. Channels
+   * received so far are dropped.
+   */
+  setPatch(patch) {
+    this.patch = patch;
+    this._universes = new Map();   // universe -> Uint8Array(512), latest from the desk
+    for (const universe of patchUniverses(patch)) this._universes.set(universe, new Uint8Array(512));
+    if (this.enabled) this.bridge.open(patch.bridge);
+  }
+
+  /**
+   * Take the fixtures from the desk (true) or give them back to the programs.
+   */
+  setEnabled(on) {
+    if (on === this.enabled) return;
+    this.enabled = on;
+    if (on) {
+      for (const channels of this._universes.values()) channels.fill(0);
+      this.bridge.open(this.patch.bridge);
+    } else {
+      this.bridge.close();
+    }
+    this.director.setExternal(on ? this : null);
+  }
+
+  /**
+   * Set every fixture from the latest channels. Called by LightingDirector.update().
+   * @param {LightingDirector} director
+   */
+  apply(director) {
+    for (const group of FIXTURE_GROUPS) {
+      const entry = this.patch.groups[group];
+      const channels = entry && this._universes.get(entry.universe);
+      const fixtures = director[group];
+      for (let i = 0; i < fixtures.length; i++) {
+        if (!entry || i >= entry.count) fixtures[i].intensity = 0;
+        else readFixture(channels, entry.address - 1 + i * entry.footprint, fixtures[i], group, entry);
+      }
+    }
+  }
+
+  _receive(data) {
+    if (data.byteLength !== FRAME_BYTES) return;
+    const channels = this._universes.get(new DataView(data).getUint16(0, true));
+    if (channels) channels.set(new Uint8Array(data, 2));
+  }
+}
+
+/**
+ * One fixture from its channels, starting at index `offset` (address - 1).
+ */
+function readFixture(channels, offset, light, group, entry) {
+  let dimmer = null;
+  let r = 1, g = 1, b = 1;                 // white without color channels
+  let pan = 0.5, tilt = 0.5;
+  let panCoarse = 0, panFine = 0, tiltCoarse = 0, tiltFine = 0;
+
+  for (let c = 0; c < entry.footprint; c++) {
+    const value = channels[offset + c];
+    switch (entry.channels[c]) {
+      case 'dimmer':    dimmer = value / 255; break;
+      case 'red':       r = value / 255; break;
+      case 'green':     g = value / 255; break;
+      case 'blue':      b = value / 255; break;
+      case 'pan':       panCoarse = value; break;
+      case 'pan-fine':  panFine = value; break;
+      case 'tilt':      tiltCoarse = value; break;
+      case 'tilt-fine': tiltFine = value; break;
+    }
+  }
+
+  // Without a dimmer channel the color carries the intensity
+  if (dimmer === null) {
+    dimmer = Math.max(r, g, b);
+    if (dimmer > 0) {
+      r /= dimmer;
+      g /= dimmer;
+      b /= dimmer;
+    }
+  }
+  light.intensity = dimmer * GROUP_MAX[group];
+  light.color.setRGB(r, g, b, THREE.SRGBColorSpace);
+
+  // Spots without pan/tilt channels keep their aim
+  const moves = entry.channels.includes('pan') || entry.channels.includes('tilt');
+  if (!light.target || !moves) return;
+  if (entry.channels.includes('pan')) {
+    pan = entry.channels.includes('pan-fine') ? (panCoarse << 8 | panFine) / 65535 : panCoarse / 255;
+  }
+  if (entry.channels.includes('tilt')) {
+    tilt = entry.channels.includes('tilt-fine') ? (tiltCoarse << 8 | tiltFine) / 65535 : tiltCoarse / 255;
+  }
+  aimSpot(light, entry, pan, tilt);
+}
@@ -0,0 +1,128 @@
+/**
+ * DmxOutput - Mirrors the virtual show onto a real rig over DMX
+ *
+ * Renders every patched fixture's dimmer, color and pan/tilt (DmxPatch) into
+ * DMX universes at the patch's rate and sends them to the local DMX bridge
+ * (scripts/dmx-bridge.js) over a WebSocket (BridgeSocket); the bridge puts
+ * them on the network as Art-Net or sACN.
+ *
+ * The dimmer is the fixture's intensity against its group's full output
+ * (GROUP_MAX), so the rig follows the director after clamping, submasters,
+ * flashes and blackout.
+ */
+import * as THREE from 'three';
+import { GROUP_MAX } from './LightingDirector.js';
+import { patchUniverses, panTiltFor } from './DmxPatch.js';
+import { BridgeSocket, FRAME_BYTES } from './BridgeSocket.js';
+
+const _rgb = { r: 0, g: 0, b: 0 };
+const _aim = { pan: 0.5, tilt: 0.5 };
+
+export class DmxOutput {
+  /**
+   * @param {LightingDirector} director
+   * @param {Object} patch - parsed patch (DmxPatch.parsePatch)
+   */
+  constructor(director, patch) {
+    this.director = director;
+    this.enabled = false;
+    this.onStatus = null;     // called with the bridge status when it changes
+    this.bridge = new BridgeSocket();
+    this.bridge.onStatus = (status) => { if (this.onStatus) this.onStatus(status); };
+    this._lastSend = 0;
+    this.setPatch(patch);
+  }
+
+  /** 'off' | 'connecting' | 'connected' | 'unreachable' */
+  get status() {
+    return this.bridge.status;
+  }
+
+  /**
+   * Use another patch; reconnects if the bridge address changed.
+   */
+  setPatch(patch) {
+    this.patch = patch;
+    this._frames = new Map();   // universe -> Uint8Array(FRAME_BYTES)
+    for (const universe of patchUniverses(patch)) {
+      const frame = new Uint8Array(FRAME_BYTES);
+      new DataView(frame.buffer).setUint16(0, universe, true);
+      this._frames.set(universe, frame);
+    }
+    if (this.enabled) this.bridge.open(patch.bridge);
+  }
+
+  setEnabled(on) {
+    if (on === this.enabled) return;
+    this.enabled = on;
+    if (on) this.bridge.open(this.patch.bridge);
+    else this.bridge.close();
+  }
+
+  /**
+   * Send the current fixture state if a frame is due. Call after
+   * LightingDirector.update().
+   * @param {number} [now] - ms
+   */
+  update(now = performance.now()) {
+    if (!this.bridge.connected || now - this._lastSend < 1000 / this.patch.rate) return;
+    if (this.bridge.bufferedAmount > FRAME_BYTES * this._frames.size) return;   // bridge falling behind
+    this._lastSend = now;
+    this.render();
+    for (const frame of this._frames.values()) this.bridge.send(frame);
+  }
+
+  /**
+   * Write every patched fixture into its universe.
+   * @returns {Map<number, Uint8Array>} universe -> frame (channel n at byte n + 1)
+   */
+  render() {
+    for (const frame of this._frames.values()) frame.fill(0, 2);
+    for (const [group, entry] of Object.entries(this.patch.groups)) {
+      const fixtures = this.director[group];
+      const frame = this._frames.get(entry.universe);
+      const count = Math.min(entry.count, fixtures.length);
+      for (let i = 0; i < count; i++) {
+        writeFixture(frame, 1 + entry.address + i * entry.footprint, fixtures[i], group, entry);
+      }
+    }
+    return this._frames;
+  }
+}
+
+/**
+ * One fixture's channels, starting at byte `offset` of the frame.
+ */
+function writeFixture(frame, offset, light, group, entry) {
+  const dimmer = THREE.MathUtils.clamp(light.intensity / GROUP_MAX[group], 0, 1);
+  light.color.getRGB(_rgb, THREE.SRGBColorSpace);
+  // Without a dimmer channel the intensity rides on the color
+  const colorScale = entry.channels.includes('dimmer') ? 1 : dimmer;
+  if (light.target) panTiltFor(light, entry, _aim);
+  else _aim.pan = _aim.tilt = 0.5;   // point lights patched with pan/tilt channels sit centred
+
+  for (let c = 0; c < entry.footprint; c++) {
+    let value = 0;
+    switch (entry.channels[c]) {
+      case 'dimmer':    value = dimmer * 255; break;
+      case 'red':       value = _rgb.r * colorScale * 255; break;
+      case 'green':     value = _rgb.g * colorScale * 255; break;
+      case 'blue':      value = _rgb.b * colorScale * 255; break;
+      case 'pan':       value = coarse(_aim.pan, entry.channels.includes('pan-fine')); break;
+      case 'pan-fine':  value = fine(_aim.pan); break;
+      case 'tilt':      value = coarse(_aim.tilt, entry.channels.includes('tilt-fine')); break;
+      case 'tilt-fine': value = fine(_aim.tilt); break;
+      case 'shutter':   value = 255; break;
+    }
+    frame[offset + c] = THREE.MathUtils.clamp(Math.round(value), 0, 255);
+  }
+}
+
+/** High byte of a 16-bit value, or the whole 8-bit value without a fine channel. */
+function coarse(v, hasFine) {
+  return hasFine ? Math.floor(v * 65535) >> 8 : v * 255;
+}
+
+function fine(v) {
+  return Math.floor(v * 65535) & 0xff;
+}
@@ -0,0 +1,178 @@
+/**
+ * DmxPatch - Where the virtual fixtures sit in DMX, and how their channels read
+ *
+ * A patch gives each fixture group (LightingDirector FIXTURE_GROUPS) a
+ * universe, a start address, how many fixtures the real rig has there and a
+ * channel layout (mode). The group's fixtures follow each other: fixture i
+ * starts at address + i * footprint. public/dmx-patch.json overrides
+ * DEFAULT_PATCH when present:
+ *
+ *   {
+ *     "bridge": "ws://localhost:6455",
+ *     "rate": 30,
+ *     "groups": {
+ *       "frontTrussSpots": { "universe": 1, "address": 1, "count": 8, "mode": "spot-16bit" },
+ *       "parWashes":       { "universe": 2, "address": 1, "count": 8, "mode": "my-par" }
+ *     },
+ *     "modes": { "my-par": ["dimmer", "red", "green", "blue", "shutter"] }
+ *   }
+ *
+ * Groups left out aren't patched. Spots may set "mount": "floor" (tilt
+ * measured from straight up instead of down), "panRange" and "tiltRange"
+ * (degrees of travel across the full DMX range). The same patch reads both
+ * ways: DmxOutput writes the fixtures into it, DmxInput reads a desk's
+ * channels back out of it.
+ */
+import * as THREE from 'three';
+import { FIXTURE_GROUPS } from './ProgramRegistry.js';
+
+export const PATCH_URL = '/dmx-patch.json';
+export const CHANNEL_TYPES = Object.freeze([
+  'dimmer', 'red', 'green', 'blue', 'pan', 'pan-fine', 'tilt', 'tilt-fine',
+  'shutter',   // always open (255)
+  'none',      // unused, always 0
+]);
+export const FIXTURE_MODES = Object.freeze({
+  'spot-16bit': ['pan', 'pan-fine', 'tilt', 'tilt-fine', 'dimmer', 'red', 'green', 'blue'],
+  'spot-8bit':  ['pan', 'tilt', 'dimmer', 'red', 'green', 'blue'],
+  'drgb':       ['dimmer', 'red', 'green', 'blue'],
+  'rgb':        ['red', 'green', 'blue'],   // intensity folded into the color
+  'dimmer':     ['dimmer'],
+});
+
+export const DEFAULT_PATCH = Object.freeze({
+  bridge: 'ws://localhost:6455',
+  rate: 30,
+  groups: {
+    frontTrussSpots: { universe: 1, address: 1,   count: 8, mode: 'spot-16bit' },
+    sideTrussSpots:  { universe: 1, address: 65,  count: 8, mode: 'spot-16bit' },
+    laserSpots:      { universe: 1, address: 129, count: 4, mode: 'spot-16bit', mount: 'floor' },
+    parWashes:       { universe: 2, address: 1,   count: 8, mode: 'drgb' },
+    strobes:         { universe: 2, address: 33,  count: 6, mode: 'drgb' },
+  },
+});
+
+const MAX_UNIVERSE = 32767;   // Art-Net's 15-bit port address
+const DEFAULT_THROW = 20;     // metres to a spot's target when it has none
+const MAX_RATE = 44;          // DMX refresh ceiling, frames per second
+const PAN_RANGE = 540;        // degrees, typical moving head
+const TILT_RANGE = 270;
+
+/**
+ * Fetch the patch file, or DEFAULT_PATCH when there is none.
+ * @returns {Promise<Object>} parsed patch (see parsePatch)
+ */
+export async function loadDmxPatch(url = PATCH_URL) {
+  const response = await fetch(url);
+  if (response.status === 404) return parsePatch(DEFAULT_PATCH);
+  if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+  return parsePatch(await response.json());
+}
+
+/**
+ * Validate a patch. Returns { bridge, rate, groups: { group: entry } } where
+ * each entry has universe, address, count, channels (channel types),
+ * footprint, mount, panRange and tiltRange. Throws on anything a rig would
+ * choke on: unknown groups or channel types, addresses past 512, overlaps.
+ */
+export function parsePatch(data) {
+  if (!data || typeof data !== 'object' || !data.groups) throw new Error('DMX patch has no "groups"');
+  const modes = { ...FIXTURE_MODES, ...(data.modes || {}) };
+  const groups = {};
+  const used = new Map();   // universe -> [{ from, to, group }]
+
+  for (const [group, raw] of Object.entries(data.groups)) {
+    const where = `DMX patch "${group}"`;
+    if (!FIXTURE_GROUPS.includes(group)) throw new Error(`${where}: unknown fixture group`);
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${where}: must be an object`);
+    const { universe, address, count = 1, mode, panRange = PAN_RANGE, tiltRange = TILT_RANGE } = raw;
+    const channels = modes[mode];
+    if (!Array.isArray(channels) || channels.some(type => !CHANNEL_TYPES.includes(type))) {
+      throw new Error(`${where}: unknown mode "${mode}" (channels: ${CHANNEL_TYPES.join(', ')})`);
+    }
+    if (!(Number.isInteger(universe) && universe >= 0 && universe <= MAX_UNIVERSE)) {
+      throw new Error(`${where}: universe must be 0-${MAX_UNIVERSE}`);
+    }
+    if (!(Number.isInteger(address) && address >= 1 && address <= 512)) throw new Error(`${where}: address must be 1-512`);
+    if (!(Number.isInteger(count) && count >= 0)) throw new Error(`${where}: count must be a whole number`);
+    const last = address + count * channels.length - 1;
+    if (last > 512) throw new Error(`${where}: ${count} fixtures from address ${address} run past 512`);
+    for (const [key, range] of [['panRange', panRange], ['tiltRange', tiltRange]]) {
+      if (!(typeof range === 'number' && Number.isFinite(range) && range > 0)) {
+        throw new Error(`${where}: ${key} must be a positive number of degrees`);
+      }
+    }
+
+    const ranges = used.get(universe) || [];
+    const clash = ranges.find(r => address <= r.to && last >= r.from);
+    if (clash) throw new Error(`${where}: overlaps "${clash.group}" in universe ${universe}`);
+    ranges.push({ from: address, to: last, group });
+    used.set(universe, ranges);
+
+    groups[group] = {
+      universe,
+      address,
+      count,
+      channels,
+      footprint: channels.length,
+      mount: raw.mount === 'floor' ? 'floor' : 'hanging',
+      panRange,
+      tiltRange,
+    };
+  }
+
+  const rate = Number.isFinite(data.rate) ? Math.max(1, Math.min(MAX_RATE, data.rate)) : DEFAULT_PATCH.rate;
+  return { bridge: data.bridge || DEFAULT_PATCH.bridge, rate, groups };
+}
+
+/**
+ * The universes a patch uses, ascending.
+ */
+export function patchUniverses(patch) {
+  return [...new Set(Object.values(patch.groups).map(entry => entry.universe))].sort((a, b) => a - b);
+}
+
+const _dir = new THREE.Vector3();
+
+/**
+ * Pan and tilt (0-1 across the fixture's travel) that aim a spot at its
+ * target. Pan 0.5 faces the audience (-z); tilt 0.5 points straight down
+ * (straight up for floor mounts).
+ * @param {THREE.SpotLight} spot
+ * @param {Object} entry - patch group entry
+ * @param {{ pan: number, tilt: number }} out
+ */
+export function panTiltFor(spot, entry, out) {
+  _dir.subVectors(spot.target.position, spot.position);
+  const length = _dir.length();
+  if (length < 1e-6) {
+    out.pan = 0.5;
+    out.tilt = 0.5;
+    return out;
+  }
+  _dir.divideScalar(length);
+  const pan = Math.atan2(_dir.x, -_dir.z);
+  const tilt = Math.acos(THREE.MathUtils.clamp(entry.mount === 'floor' ? _dir.y : -_dir.y, -1, 1));
+  out.pan = THREE.MathUtils.clamp(0.5 + THREE.MathUtils.radToDeg(pan) / entry.panRange, 0, 1);
+  out.tilt = THREE.MathUtils.clamp(0.5 + THREE.MathUtils.radToDeg(tilt) / entry.tiltRange, 0, 1);
+  return out;
+}
+
+/**
+ * Aim a spot from pan and tilt (0-1, as panTiltFor gives them), keeping its
+ * throw: the target moves around the fixture.
+ * @param {THREE.SpotLight} spot
+ * @param {Object} entry - patch group entry
+ */
+export function aimSpot(spot, entry, pan, tilt) {
+  const p = THREE.MathUtils.degToRad((pan - 0.5) * entry.panRange);
+  const t = THREE.MathUtils.degToRad((tilt - 0.5) * entry.tiltRange);
+  let distance = spot.target.position.distanceTo(spot.position);
+  if (distance < 1e-6) distance = DEFAULT_THROW;
+  _dir.set(
+    Math.sin(t) * Math.sin(p),
+    (entry.mount === 'floor' ? 1 : -1) * Math.cos(t),
+    -Math.sin(t) * Math.cos(p)
+  );
+  spot.target.position.copy(spot.position).addScaledVector(_dir, distance);
+}
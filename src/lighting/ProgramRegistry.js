@@ -0,0 +1,168 @@
+/**
+ * ProgramRegistry - The lighting programs a LightingDirector can run, by name
+ *
+ * A program is a plain object:
+ *
+ *   {
+ *     name: 'blood-altar',                   // unique id used by the mood map, manifests and cues
+ *     label: 'Blood Altar',                  // display name
+ *     moods: ['aggressive'],                 // moods it suits (a fallback when a mood has no program)
+ *     fixtures: ['frontTrussSpots', ...],    // FIXTURE_GROUPS it lights; the others go dark while it runs
+ *     accents: { strobes: true, pars: true },// optional: snares fire strobes, kicks pump PARs
+ *     harmonic: true,                        // optional: takes show.harmonic colors under harmonic color
+ *     number: 1,                             // optional legacy number, so "program": 1 keeps working
+ *     run(show, time, delta, bandValues, energy, isBeat) { ... },
+ *   }
+ *
+ * run() is called every lighting frame with the director as `show`: it sets
+ * intensity, color and spot targets on the show's fixture groups, and can read
+ * show.beats(time), show.tempo, show.harmony and show.harmonic (colors for
+ * harmonic programs, or null). The director crossfades, scales, clamps and
+ * applies palettes and accents around it.
+ *
+ * Programs can be registered, replaced, disabled and removed at runtime; a
+ * disabled program is skipped by mood and cue selection as if missing.
+ * Subscribe with on('change', handler) to hear about it.
+ */
+
+export const FIXTURE_GROUPS = Object.freeze(['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots', 'strobes']);
+
+export class ProgramRegistry {
+  /**
+   * @param {Object[]} [programs] - registered in order
+   */
+  constructor(programs = []) {
+    this._programs = new Map();    // name -> program, in registration order
+    this._disabled = new Set();    // names
+    this._changeHandlers = [];     // called after any register / unregister / enable change
+    for (const program of programs) this.register(program);
+  }
+
+  /**
+   * Add a program. Throws if it is malformed, or if the name is taken and
+   * `replace` isn't set. A replacement keeps its predecessor's enabled state.
+   * @param {Object} program
+   * @param {Object} [options]
+   * @param {boolean} [options.replace]
+   */
+  register(program, { replace = false } = {}) {
+    validateProgram(program);
+    if (this._programs.has(program.name) && !replace) {
+      throw new Error(`Lighting program "${program.name}" is already registered`);
+    }
+    const number = program.number;
+    if (number !== undefined) {
+      for (const other of this._programs.values()) {
+        if (other.number === number && other.name !== program.name) {
+          throw new Error(`Lighting program number ${number} is already used by "${other.name}"`);
+        }
+      }
+    }
+    this._programs.set(program.name, program);
+    this._changed();
+  }
+
+  /**
+   * @returns {boolean} whether a program was removed
+   */
+  unregister(name) {
+    const removed = this._programs.delete(name);
+    this._disabled.delete(name);
+    if (removed) this._changed();
+    return removed;
+  }
+
+  setEnabled(name, enabled) {
+    if (!this._programs.has(name)) throw new Error(`Unknown lighting program "${name}"`);
+    if (enabled === !this._disabled.has(name)) return;
+    if (enabled) this._disabled.delete(name);
+    else this._disabled.add(name);
+    this._changed();
+  }
+
+  isEnabled(name) {
+    return this._programs.has(name) && !this._disabled.has(name);
+  }
+
+  /**
+   * The program registered under `name`, enabled or not.
+   */
+  get(name) {
+    return this._programs.get(name) || null;
+  }
+
+  /**
+   * Every registered program, in registration order.
+   */
+  list() {
+    return [...this._programs.values()];
+  }
+
+  /**
+   * The enabled program a name or legacy number refers to, or null.
+   * @param {string|number} ref
+   */
+  resolve(ref) {
+    let program = null;
+    if (typeof ref === 'string') program = this._programs.get(ref) || null;
+    else if (Number.isInteger(ref)) program = this.list().find(p => p.number === ref) || null;
+    return program && !this._disabled.has(program.name) ? program : null;
+  }
+
+  /**
+   * The first enabled program that lists `mood`, or null.
+   */
+  forMood(mood) {
+    for (const program of this._programs.values()) {
+      if (program.moods.includes(mood) && !this._disabled.has(program.name)) return program;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} type - 'change', the only event
+   * @param {Function} handler - called with the registry
+   * @returns {Function} call to unsubscribe
+   */
+  on(type, handler) {
+    checkEvent(type);
+    this._changeHandlers.push(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    checkEvent(type);
+    const i = this._changeHandlers.indexOf(handler);
+    if (i >= 0) this._changeHandlers.splice(i, 1);
+  }
+
+  _changed() {
+    // Copy: handlers may unsubscribe while we iterate
+    for (const handler of [...this._changeHandlers]) {
+      try {
+        handler(this);
+      } catch (error) {
+        console.error('Error in a lighting program change handler:', error);
+      }
+    }
+  }
+}
+
+function checkEvent(type) {
+  if (type !== 'change') throw new Error(`Unknown program registry event "${type}"`);
+}
+
+function validateProgram(program) {
+  if (!program || typeof program !== 'object') throw new Error('Lighting program must be an object');
+  const { name } = program;
+  if (typeof name !== 'string' || !name) throw new Error('Lighting program needs a "name"');
+  const where = `Lighting program "${name}"`;
+  if (typeof program.run !== 'function') throw new Error(`${where}: "run" must be a function`);
+  if (!Array.isArray(program.moods)) throw new Error(`${where}: "moods" must be a list`);
+  if (!Array.isArray(program.fixtures) || program.fixtures.some(group => !FIXTURE_GROUPS.includes(group))) {
+    throw new Error(`${where}: "fixtures" must list fixture groups (${FIXTURE_GROUPS.join(', ')})`);
+  }
+  if (program.number !== undefined && !(Number.isInteger(program.number) && program.number > 0)) {
+    throw new Error(`${where}: "number" must be a positive integer`);
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * TapTempo - A beat clock set by hand from the lighting console
+ *
+ * Each tap is a beat: the tempo is the average gap over the last few taps,
+ * and the latest tap lands on a whole beat (the count carries on, so
+ * beat-driven motion doesn't jump back to the start). A pause longer than
+ * TAP_TIMEOUT starts a new count; the previous tempo holds until its second
+ * tap. While set, LightingDirector takes its beats from here instead of the
+ * audio's clock. Times are performance.now() seconds.
+ */
+
+const TAP_TIMEOUT = 2.0;   // seconds between taps before a new count starts
+const TAP_WINDOW = 6;      // taps averaged
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+
+export class TapTempo {
+  constructor() {
+    this.bpm = null;        // null until two taps
+    this._taps = [];
+    this._anchor = 0;       // time of the latest tap
+    this._base = 0;         // whole beat count at the latest tap
+    this._lastBeat = -1;    // beat index pollBeat() last reported
+  }
+
+  tap(now = performance.now() / 1000) {
+    const last = this._taps[this._taps.length - 1];
+    if (last !== undefined && now - last > TAP_TIMEOUT) this._taps.length = 0;
+    this._taps.push(now);
+    if (this._taps.length > TAP_WINDOW) this._taps.shift();
+
+    if (this._taps.length >= 2) {
+      const gap = (now - this._taps[0]) / (this._taps.length - 1);
+      this.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, 60 / gap));
+    }
+    this._base = Math.round(this.beats(now));
+    this._anchor = now;
+    this._lastBeat = this._base - 1;
+  }
+
+  /**
+   * Back to the audio's beat clock.
+   */
+  clear() {
+    this.bpm = null;
+    this._taps.length = 0;
+    this._base = 0;
+  }
+
+  /**
+   * Musical time in beats, fractional; 0 while no tempo is set.
+   */
+  beats(now = performance.now() / 1000) {
+    if (!this.bpm) return 0;
+    return this._base + (now - this._anchor) * this.bpm / 60;
+  }
+
+  /**
+   * True once per tapped beat (the first call after each beat starts).
+   */
+  pollBeat(now = performance.now() / 1000) {
+    if (!this.bpm) return false;
+    const beat = Math.floor(this.beats(now));
+    if (beat === this._lastBeat) return false;
+    this._lastBeat = beat;
+    return true;
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Bass Tsunami - Lighting program 8 (bass_heavy)
+ *
+ * Deep blue/teal/green, synchronized wave motion across fixtures,
+ * intensity pumps with bass.
+ */
+import { COL, lerpColor } from '../ColorUtils.js';
+
+export const bassTsunami = {
+  name: 'bass-tsunami',
+  label: 'Bass Tsunami',
+  number: 8,
+  moods: ['bass_heavy'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots', 'strobes'],
+  accents: { strobes: false, pars: true },
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const bass = (bandValues.subBass || 0) + (bandValues.bass || 0);
+    const bassNorm = Math.min(bass / 1.5, 1.0);
+    const waveSpeed = show.beats(time) * 1.25;
+
+    // Front truss: wave motion — beams sweep across nave floor in sequence
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      const wave = Math.sin(waveSpeed - i * 0.6) * 0.5 + 0.5;
+      lerpColor(spot.color, COL.blue, COL.teal, wave);
+      spot.intensity = 0.5 + bassNorm * 3.0 * wave;
+      spot.target.position.set(
+        Math.sin(waveSpeed - i * 0.6) * 8,
+        0,
+        Math.cos(waveSpeed * 0.4 - i * 0.8) * 20
+      );
+    }
+
+    // Side truss: indigo/green wave, cross-beams on floor
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      const isLeft = i < Math.floor(show.sideTrussSpots.length / 2);
+      const wave = Math.sin(waveSpeed - i * 0.8 + Math.PI) * 0.5 + 0.5;
+      lerpColor(spot.color, COL.indigo, COL.green, wave);
+      spot.intensity = 0.5 + bassNorm * 2.5;
+      spot.target.position.set(
+        (isLeft ? 1 : -1) * (1 + Math.sin(waveSpeed * 0.7 + i * 1.3) * 5),
+        0,
+        5 + Math.cos(waveSpeed * 0.4 - i * 0.6) * 16
+      );
+    }
+
+    // PAR washes: teal-green-cyan wave propagation
+    for (let i = 0; i < show.parWashes.length; i++) {
+      const wave = Math.sin(waveSpeed - i * 0.7) * 0.5 + 0.5;
+      lerpColor(show.parWashes[i].color, COL.teal, COL.lime, wave);
+      show.parWashes[i].intensity = 0.3 + bassNorm * 2.5 * wave;
+    }
+
+    // Laser spots: indigo/blue shafts to ceiling, pulse with sub-bass
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      laser.color.copy(i % 2 === 0 ? COL.blue : COL.indigo);
+      laser.intensity = 0.5 + (bandValues.subBass || 0) * 4.0;
+      laser.target.position.set(
+        laser.position.x + Math.sin(time + i) * 1.5,
+        28,
+        laser.position.z + Math.cos(time * 0.8 + i) * 2
+      );
+    }
+
+    // Strobes: subtle blue flash on heavy beats
+    for (const strobe of show.strobes) {
+      strobe.color.copy(COL.cyan);
+      strobe.intensity = isBeat && bassNorm > 0.6 ? 4.0 : 0;
+    }
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * Blackout Pulse - Lighting program 10 (silence)
+ *
+ * All lights off. Single white flash on beats if any. Mostly darkness.
+ */
+import { COL } from '../ColorUtils.js';
+
+export const blackoutPulse = {
+  name: 'blackout-pulse',
+  label: 'Blackout Pulse',
+  number: 10,
+  moods: ['silence'],
+  fixtures: ['frontTrussSpots', 'strobes'],
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    // Everything off
+    for (const spot of show.frontTrussSpots) spot.intensity = 0;
+    for (const spot of show.sideTrussSpots) spot.intensity = 0;
+    for (const par of show.parWashes) par.intensity = 0;
+    for (const laser of show.laserSpots) laser.intensity = 0;
+    for (const strobe of show.strobes) strobe.intensity = 0;
+
+    // On beat: flash center spot down the nave and strobes
+    if (isBeat) {
+      const centerIdx = Math.min(4, show.frontTrussSpots.length - 1);
+      if (centerIdx >= 0) {
+        const center = show.frontTrussSpots[centerIdx];
+        center.color.copy(COL.white);
+        center.intensity = 4.0;
+        center.target.position.set(0, 0, 0);
+      }
+
+      for (let si = 0; si < Math.min(2, show.strobes.length); si++) {
+        const sIdx = Math.min(si + 2, show.strobes.length - 1);
+        if (sIdx >= 0) {
+          show.strobes[sIdx].color.copy(COL.white);
+          show.strobes[sIdx].intensity = 6.0;
+        }
+      }
+    }
+  },
+};
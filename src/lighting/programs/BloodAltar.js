@@ -0,0 +1,77 @@
+/**
+ * Blood Altar - Lighting program 1 (aggressive)
+ *
+ * Deep red, all lights snap to high intensity, rapid color cycling
+ * red/white, strobes at max on beats.
+ */
+import * as THREE from 'three';
+import { COL, lerpColor } from '../ColorUtils.js';
+
+const _tmpColor = new THREE.Color();   // scratch color, avoids per-frame allocations
+
+export const bloodAltar = {
+  name: 'blood-altar',
+  label: 'Blood Altar',
+  number: 1,
+  moods: ['aggressive'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots', 'strobes'],
+  accents: { strobes: true, pars: true },
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const cycle = Math.sin(time * 42) * 0.5 + 0.5;
+    lerpColor(_tmpColor, COL.deepRed, COL.white, cycle * 0.6);
+    const beats = show.beats(time);
+
+    // Front truss: sharp red/white cones sweep the nave floor
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      spot.intensity = 3.0 + energy * 2.0;
+      spot.color.copy(_tmpColor);
+      const phase = beats * 1.25 + i * (Math.PI * 2 / 8);
+      spot.target.position.set(
+        Math.sin(phase) * 8,
+        0,
+        -5 + Math.cos(phase * 0.6) * 20
+      );
+    }
+
+    // Side truss: crimson/orange cross-beams aimed across the nave floor
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      spot.intensity = 2.0 + Math.sin(time * 15 + i) * 1.0;
+      const altColor = i % 3 === 0 ? COL.orange : i % 3 === 1 ? COL.crimson : COL.red;
+      lerpColor(spot.color, altColor, COL.red, Math.sin(time * 30 + i * 2) * 0.5 + 0.5);
+      const isLeft = i < Math.floor(show.sideTrussSpots.length / 2);
+      const phase = time * 1.8 + i * 1.2;
+      spot.target.position.set(
+        (isLeft ? 1 : -1) * (2 + Math.sin(phase) * 5),
+        0,
+        -5 + Math.cos(phase * 0.5) * 20
+      );
+    }
+
+    // PAR washes: blood red, high
+    for (const par of show.parWashes) {
+      par.color.copy(COL.deepRed);
+      par.intensity = 2.5 + energy * 1.5;
+    }
+
+    // Laser spots: bright red aimed at ceiling
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      laser.color.copy(COL.red);
+      laser.intensity = 3.0;
+      laser.target.position.set(
+        laser.position.x + Math.sin(time * 3 + i) * 2,
+        28,
+        laser.position.z + Math.cos(time * 2 + i) * 3
+      );
+    }
+
+    // Strobes: max flash on beat, else off
+    for (const strobe of show.strobes) {
+      strobe.color.copy(COL.white);
+      strobe.intensity = isBeat ? 8.0 : 0;
+    }
+  },
+};
@@ -0,0 +1,74 @@
+/**
+ * Cathedral Breathe - Lighting program 5 (warm_ambient)
+ *
+ * Warm amber/gold, very gentle breathing intensity, candle-like warmth.
+ */
+import { COL, lerpColor } from '../ColorUtils.js';
+
+export const cathedralBreathe = {
+  name: 'cathedral-breathe',
+  label: 'Cathedral Breathe',
+  number: 5,
+  moods: ['warm_ambient'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots'],
+  harmonic: true,
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const breath = Math.sin(time * 1.6) * 0.5 + 0.5;
+    const H = show.harmonic;
+    const amber = H ? H.tonic : COL.amber;
+    const gold = H ? H.dominant : COL.gold;
+
+    // Front truss: warm amber figure-8 sweeps across nave floor
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      const phase = time * 0.4 + i * 0.9;
+      const personalBreath = Math.sin(time * 1.6 + i * 0.5) * 0.5 + 0.5;
+      lerpColor(spot.color, amber, gold, personalBreath);
+      spot.intensity = 0.6 + personalBreath * 0.8 + energy * 0.5;
+      spot.target.position.set(
+        Math.sin(phase) * 7,
+        0,
+        Math.sin(phase * 0.5) * 18
+      );
+    }
+
+    // Side truss: warm cross-beams sweeping nave center
+    const warmSideColors = H
+      ? [H.tonic, H.subdominant, H.dominant, H.tonic]
+      : [COL.amber, COL.orange, COL.gold, COL.yellow];
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      const isLeft = i < Math.floor(show.sideTrussSpots.length / 2);
+      const phase = time * 0.3 + i * 1.2;
+      lerpColor(spot.color, warmSideColors[i % warmSideColors.length], amber, Math.sin(phase) * 0.5 + 0.5);
+      spot.intensity = 0.4 + breath * 0.5;
+      spot.target.position.set(
+        (isLeft ? 1 : -1) * (1 + Math.sin(phase) * 4),
+        0,
+        5 + Math.cos(phase * 0.5) * 16
+      );
+    }
+
+    // PAR washes: candle warmth with individual flicker
+    for (let i = 0; i < show.parWashes.length; i++) {
+      const flicker = (Math.sin(time * 7.3 + i * 3.7) * 0.3 +
+                       Math.sin(time * 11.1 + i * 2.1) * 0.2) * 0.5 + 0.5;
+      lerpColor(show.parWashes[i].color, amber, COL.warmWhite, flicker);
+      show.parWashes[i].intensity = 0.4 + flicker * 0.6 + energy * 0.3;
+    }
+
+    // Laser spots: warm gold aimed at ceiling, breathing
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      laser.color.copy(gold);
+      laser.intensity = 0.3 + breath * 0.4;
+      laser.target.position.set(laser.position.x, 28, laser.position.z);
+    }
+
+    // Strobes: off
+    for (const strobe of show.strobes) {
+      strobe.intensity = 0;
+    }
+  },
+};
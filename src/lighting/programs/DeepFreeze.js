@@ -0,0 +1,77 @@
+/**
+ * Deep Freeze - Lighting program 2 (cold_ambient)
+ *
+ * Ice blue/cyan, slow sweeping spots, gentle fading, no strobes.
+ */
+import { COL, lerpColor } from '../ColorUtils.js';
+
+export const deepFreeze = {
+  name: 'deep-freeze',
+  label: 'Deep Freeze',
+  number: 2,
+  moods: ['cold_ambient'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots'],
+  harmonic: true,
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const slowBreath = Math.sin(time * 0.8) * 0.5 + 0.5;
+    const slowSweep = time * 0.3;
+    const H = show.harmonic;
+    const ice = H ? H.tonic : COL.iceBlue;
+    const cyan = H ? H.dominant : COL.cyan;
+
+    // Front truss: gentle ice blue — slow synchronized fan across nave floor
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      const phase = slowSweep + i * 0.4;
+      spot.intensity = 0.5 + slowBreath * 0.8 + Math.sin(phase) * 0.3;
+      lerpColor(spot.color, ice, cyan, Math.sin(phase) * 0.5 + 0.5);
+      spot.target.position.set(
+        Math.sin(phase) * 7,
+        0,
+        Math.cos(phase * 0.5) * 20
+      );
+    }
+
+    // Side truss: slow cross-nave drift, beams meeting in center aisle
+    const coldSideColors = H
+      ? [H.tonic, H.dominant, H.subdominant, H.tonic]
+      : [COL.iceBlue, COL.cyan, COL.blue, COL.indigo];
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      const isLeft = i < Math.floor(show.sideTrussSpots.length / 2);
+      const localIdx = isLeft ? i : i - 4;
+      const phase = slowSweep + localIdx * 0.7;
+      spot.intensity = 0.4 + Math.sin(time * 0.5 + i * 0.8) * 0.3;
+      lerpColor(spot.color, coldSideColors[i % coldSideColors.length], cyan, Math.sin(phase * 0.5) * 0.5 + 0.5);
+      spot.target.position.set(
+        (isLeft ? 1 : -1) * Math.sin(phase * 0.8) * 4,
+        0,
+        5 + Math.cos(phase * 0.4) * 18
+      );
+    }
+
+    // PAR washes: faint blue glow
+    for (let i = 0; i < show.parWashes.length; i++) {
+      show.parWashes[i].color.copy(ice);
+      show.parWashes[i].intensity = 0.2 + Math.sin(time * 0.6 + i * 0.9) * 0.15;
+    }
+
+    // Laser spots: dim cyan shafts aimed at ceiling
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      laser.color.copy(cyan);
+      laser.intensity = 0.4 + slowBreath * 0.3;
+      laser.target.position.set(
+        laser.position.x + Math.sin(time * 0.5 + i) * 1.5,
+        28,
+        laser.position.z + Math.cos(time * 0.4 + i) * 2
+      );
+    }
+
+    // Strobes: off
+    for (const strobe of show.strobes) {
+      strobe.intensity = 0;
+    }
+  },
+};
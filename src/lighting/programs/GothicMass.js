@@ -0,0 +1,76 @@
+/**
+ * Gothic Mass - Lighting program 11 (ritualistic)
+ *
+ * Gold/purple/red churchlike, slow circular sweep patterns, incense mood.
+ */
+import { COL, lerpColor } from '../ColorUtils.js';
+
+export const gothicMass = {
+  name: 'gothic-mass',
+  label: 'Gothic Mass',
+  number: 11,
+  moods: ['ritualistic'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots', 'strobes'],
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const slowCircle = time * 0.5;
+    const incenseBreath = Math.sin(time * 0.7) * 0.5 + 0.5;
+    const churchColors = [COL.gold, COL.violet, COL.crimson, COL.indigo, COL.amber];
+
+    // Front truss: slow majestic circular sweep on nave floor
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      const cIdx = Math.floor((i + time * 0.2) % churchColors.length);
+      spot.color.copy(churchColors[cIdx]);
+      spot.intensity = 0.8 + incenseBreath * 0.8 + energy * 0.5;
+
+      const angle = slowCircle + (i / 8) * Math.PI * 2;
+      const radius = 6 + Math.sin(time * 0.3) * 2;
+      spot.target.position.set(
+        Math.cos(angle) * radius,
+        0,
+        Math.sin(angle) * 18
+      );
+    }
+
+    // Side truss: violet/gold/indigo alternating cross-beams
+    const gothicSideColors = [COL.violet, COL.gold, COL.indigo, COL.amber];
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      const isLeft = i < Math.floor(show.sideTrussSpots.length / 2);
+      const phase = slowCircle + i * 0.8;
+      spot.color.copy(gothicSideColors[i % gothicSideColors.length]);
+      spot.intensity = 0.6 + incenseBreath * 0.6;
+      spot.target.position.set(
+        (isLeft ? 1 : -1) * (2 + Math.sin(phase) * 4),
+        0,
+        5 + Math.cos(phase * 0.3) * 16
+      );
+    }
+
+    // PAR washes: deep warm gold, breathing
+    for (let i = 0; i < show.parWashes.length; i++) {
+      const t = Math.sin(time * 0.6 + i * 0.9) * 0.5 + 0.5;
+      lerpColor(show.parWashes[i].color, COL.gold, COL.amber, t);
+      show.parWashes[i].intensity = 0.3 + incenseBreath * 0.5;
+    }
+
+    // Laser spots: violet/indigo shafts to ceiling
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      laser.color.copy(i % 2 === 0 ? COL.violet : COL.indigo);
+      laser.intensity = 0.6 + incenseBreath * 0.4;
+      laser.target.position.set(
+        laser.position.x + Math.sin(time * 0.3 + i) * 1,
+        28,
+        laser.position.z + Math.cos(time * 0.2 + i) * 1.5
+      );
+    }
+
+    // Strobes: faint gold on beat (like a distant bell flash)
+    for (const strobe of show.strobes) {
+      strobe.color.copy(COL.gold);
+      strobe.intensity = isBeat ? 2.0 : 0;
+    }
+  },
+};
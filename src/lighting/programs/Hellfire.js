@@ -0,0 +1,82 @@
+/**
+ * Hellfire - Lighting program 6 (chaos)
+ *
+ * Orange/red/magenta rapid cycling, random spot positions every beat,
+ * maximum intensity, all strobes.
+ */
+import { COL } from '../ColorUtils.js';
+
+export const hellfire = {
+  name: 'hellfire',
+  label: 'Hellfire',
+  number: 6,
+  moods: ['chaos'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots', 'strobes'],
+  accents: { strobes: false, pars: true },   // strobes already flat out
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const hellColors = [COL.red, COL.orange, COL.yellow, COL.magenta, COL.crimson];
+    const rapidCycle = time * 25;
+
+    // Front truss: chaotic scatter across nave floor, on-beat snap to random positions
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      const cIdx = Math.floor((rapidCycle + i * 1.7) % hellColors.length);
+      spot.color.copy(hellColors[cIdx]);
+      spot.intensity = 4.0 + energy * 3.0;
+
+      if (isBeat) {
+        spot.target.position.set(
+          (Math.random() - 0.5) * 16,
+          0,
+          -20 + Math.random() * 45
+        );
+      } else {
+        spot.target.position.x += Math.sin(time * 30 + i) * 0.5;
+        spot.target.position.z += Math.cos(time * 25 + i * 2) * 0.3;
+      }
+    }
+
+    // Side truss: magenta/orange/yellow rapid swap, scatter across floor
+    const sideChaos = [COL.magenta, COL.orange, COL.yellow, COL.crimson];
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      const cIdx = Math.floor((rapidCycle * 0.5 + i * 3.1) % sideChaos.length);
+      spot.color.copy(sideChaos[cIdx]);
+      spot.intensity = 3.0 + energy * 2.0;
+      if (isBeat) {
+        spot.target.position.set(
+          (Math.random() - 0.5) * 14,
+          0,
+          -15 + Math.random() * 40
+        );
+      }
+    }
+
+    // PAR washes: maximum intensity, color cycling
+    for (let i = 0; i < show.parWashes.length; i++) {
+      const cIdx = Math.floor((rapidCycle * 0.7 + i * 2.3) % hellColors.length);
+      show.parWashes[i].color.copy(hellColors[cIdx]);
+      show.parWashes[i].intensity = 3.0 + energy * 2.0;
+    }
+
+    // Laser spots: max output, red/orange/yellow shafts to ceiling
+    const laserChaos = [COL.red, COL.orange, COL.yellow, COL.magenta];
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      laser.color.copy(laserChaos[i % laserChaos.length]);
+      laser.intensity = 4.0;
+      laser.target.position.set(
+        laser.position.x + Math.sin(time * 5 + i * 2) * 3,
+        28,
+        laser.position.z + Math.cos(time * 4 + i * 3) * 3
+      );
+    }
+
+    // Strobes: constant rapid flash
+    for (let i = 0; i < show.strobes.length; i++) {
+      show.strobes[i].color.copy(COL.white);
+      show.strobes[i].intensity = Math.sin(time * 60 + i * 11) > 0.3 ? 8.0 : 0;
+    }
+  },
+};
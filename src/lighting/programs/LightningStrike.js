@@ -0,0 +1,71 @@
+/**
+ * Lightning Strike - Lighting program 4 (building)
+ *
+ * Dark during build, all lights snap on at high energy peaks,
+ * white flash then scatter.
+ */
+import { COL, lerpColor } from '../ColorUtils.js';
+
+export const lightningStrike = {
+  name: 'lightning-strike',
+  label: 'Lightning Strike',
+  number: 4,
+  moods: ['building'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots', 'strobes'],
+  accents: { strobes: true, pars: false },
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const baseLevel = energy * 0.15;
+
+    // Front truss: near-dark, flash to white — scatter beams across nave floor
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      if (isBeat) {
+        spot.color.copy(COL.white);
+        spot.intensity = 6.0;
+        spot.target.position.set(
+          (Math.random() - 0.5) * 16,
+          0,
+          -20 + Math.random() * 45
+        );
+      } else {
+        spot.intensity = baseLevel;
+        lerpColor(spot.color, COL.black, COL.iceBlue, energy);
+      }
+    }
+
+    // Side truss: dark charge glow, scatter on beat
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      spot.intensity = isBeat ? 4.0 : baseLevel * 0.5;
+      spot.color.copy(isBeat ? COL.white : COL.indigo);
+      if (isBeat) {
+        spot.target.position.set(
+          (Math.random() - 0.5) * 12,
+          0,
+          -15 + Math.random() * 40
+        );
+      }
+    }
+
+    // PAR washes: faint indigo charge, flash to cyan on beat
+    for (const par of show.parWashes) {
+      par.color.copy(isBeat ? COL.cyan : COL.indigo);
+      par.intensity = isBeat ? 3.0 : baseLevel * 0.3;
+    }
+
+    // Laser spots: dramatic white shafts to ceiling on beat
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      laser.color.copy(COL.white);
+      laser.intensity = isBeat ? 5.0 : 0;
+      laser.target.position.set(laser.position.x, 28, laser.position.z);
+    }
+
+    // Strobes: major flash on beat
+    for (const strobe of show.strobes) {
+      strobe.color.copy(COL.white);
+      strobe.intensity = isBeat ? 10.0 : 0;
+    }
+  },
+};
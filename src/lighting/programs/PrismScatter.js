@@ -0,0 +1,88 @@
+/**
+ * Prism Scatter - Lighting program 9 (euphoric)
+ *
+ * Full rainbow cycling, each fixture different color rotating, celebratory.
+ */
+import { COL, hueToColor } from '../ColorUtils.js';
+
+const PRISM_SPREAD = 0.25;   // hue range cycled through under harmonic color
+
+export const prismScatter = {
+  name: 'prism-scatter',
+  label: 'Prism Scatter',
+  number: 9,
+  moods: ['euphoric'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots', 'strobes'],
+  accents: { strobes: true, pars: true },
+  harmonic: true,   // the rainbow narrows to a band around the chord
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const rotSpeed = time * 0.4;
+
+    // Front truss: each spot a different hue, circular sweep on nave floor
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      const hue = prismHue(show, rotSpeed + i / show.frontTrussSpots.length);
+      hueToColor(spot.color, hue);
+      spot.intensity = 1.5 + energy * 2.0 + (isBeat ? 1.5 : 0);
+
+      const radius = 5 + (isBeat ? 3 : 0);
+      const angle = show.beats(time) + (i / 8) * Math.PI * 2;
+      spot.target.position.set(
+        Math.cos(angle) * radius,
+        0,
+        Math.sin(angle) * 18
+      );
+    }
+
+    // Side truss: rainbow cascade, cross-beams on floor
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      const isLeft = i < Math.floor(show.sideTrussSpots.length / 2);
+      const hue = prismHue(show, rotSpeed + 0.5 + i / show.sideTrussSpots.length);
+      hueToColor(spot.color, hue);
+      spot.intensity = 1.0 + energy * 1.5;
+      spot.target.position.set(
+        (isLeft ? 1 : -1) * (2 + Math.sin(time * 1.5 + i) * 5),
+        0,
+        5 + Math.cos(time * 0.8 + i * 1.3) * 15
+      );
+    }
+
+    // PAR washes: each a unique color, cycling
+    for (let i = 0; i < show.parWashes.length; i++) {
+      const hue = prismHue(show, rotSpeed * 1.3 + i / show.parWashes.length);
+      hueToColor(show.parWashes[i].color, hue);
+      show.parWashes[i].intensity = 0.8 + energy * 1.2;
+    }
+
+    // Laser spots: vivid rainbow shafts to ceiling
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      const hue = prismHue(show, rotSpeed * 2 + i * 0.25);
+      hueToColor(laser.color, hue);
+      laser.intensity = 2.0 + energy * 2.0;
+      laser.target.position.set(
+        laser.position.x + Math.sin(time * 3 + i * 1.5) * 2,
+        28,
+        laser.position.z + Math.cos(time * 2.5 + i) * 3
+      );
+    }
+
+    // Strobes: white flash on beats
+    for (const strobe of show.strobes) {
+      strobe.color.copy(COL.white);
+      strobe.intensity = isBeat ? 5.0 : 0;
+    }
+  },
+};
+
+/**
+ * Hue for a rainbow position: the full wheel, or with harmonic color a
+ * PRISM_SPREAD-wide band centred on the chord's hue.
+ */
+function prismHue(show, cycle) {
+  const position = cycle % 1.0;
+  if (!show.harmonic) return position;
+  return (show.harmony.hue + 1 + (position - 0.5) * PRISM_SPREAD) % 1.0;
+}
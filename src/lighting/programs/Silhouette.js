@@ -0,0 +1,46 @@
+/**
+ * Silhouette - Lighting program 7 (dark minimal, for low energy moments)
+ *
+ * Strong single backlight on DJ, everything else nearly black.
+ */
+import { COL } from '../ColorUtils.js';
+
+export const silhouette = {
+  name: 'silhouette',
+  label: 'Silhouette',
+  number: 7,
+  moods: [],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'laserSpots'],
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    // Almost everything off
+    for (const spot of show.frontTrussSpots) spot.intensity = 0;
+    for (const spot of show.sideTrussSpots) spot.intensity = 0;
+    for (const par of show.parWashes) par.intensity = 0;
+    for (const strobe of show.strobes) strobe.intensity = 0;
+
+    // One strong backlight aimed at DJ (use middle or last available spot)
+    const backlightIdx = Math.min(4, show.frontTrussSpots.length - 1);
+    if (backlightIdx >= 0) {
+      const backlight = show.frontTrussSpots[backlightIdx];
+      backlight.color.copy(COL.white);
+      backlight.intensity = 2.5;
+      backlight.target.position.set(0, 0, 24);
+    }
+
+    // Faint purple rim from one side truss aimed at DJ
+    if (show.sideTrussSpots.length > 0) {
+      show.sideTrussSpots[0].color.copy(COL.purple);
+      show.sideTrussSpots[0].intensity = 0.3;
+      show.sideTrussSpots[0].target.position.set(0, 0, 24);
+    }
+
+    // One faint laser for drama
+    if (show.laserSpots.length > 0) {
+      show.laserSpots[0].color.copy(COL.purple);
+      show.laserSpots[0].intensity = 0.5 + Math.sin(time * 2) * 0.2;
+      show.laserSpots[0].target.position.set(show.laserSpots[0].position.x, 28, show.laserSpots[0].position.z);
+      for (let i = 1; i < show.laserSpots.length; i++) show.laserSpots[i].intensity = 0;
+    }
+  },
+};
@@ -0,0 +1,79 @@
+/**
+ * Static Overload - Lighting program 12 (glitch)
+ *
+ * White/cyan flickering, rapid micro-movements, random blackout frames,
+ * TV static feel.
+ */
+import { COL } from '../ColorUtils.js';
+
+export const staticOverload = {
+  name: 'static-overload',
+  label: 'Static Overload',
+  number: 12,
+  moods: ['glitch'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots', 'strobes'],
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const glitchRand = (seed) => {
+      const x = Math.sin(seed * 12.9898 + time * 78.233) * 43758.5453;
+      return x - Math.floor(x);
+    };
+
+    // Random blackout frames (~15% of the time)
+    if (glitchRand(1) < 0.15) {
+      for (const f of show.allFixtures) f.intensity = 0;
+      return;
+    }
+
+    // Front truss: white/cyan/violet flickering scatter on nave floor
+    const glitchColors = [COL.white, COL.cyan, COL.violet, COL.iceBlue, COL.magenta];
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      const flicker = glitchRand(i * 7.1);
+      const gIdx = Math.floor(glitchRand(i * 4.4) * glitchColors.length);
+      spot.color.copy(glitchColors[gIdx]);
+      spot.intensity = flicker > 0.3 ? (1.0 + energy * 3.0) * flicker : 0;
+      spot.target.position.set(
+        (glitchRand(i * 3.3) - 0.5) * 14,
+        0,
+        -20 + glitchRand(i * 5.7) * 45
+      );
+    }
+
+    // Side truss: rapid on/off flicker across floor
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      const on = glitchRand(i * 13.7) > 0.4;
+      spot.color.copy(on ? COL.white : COL.cyan);
+      spot.intensity = on ? 2.0 + energy * 2.0 : 0;
+      if (on) {
+        spot.target.position.set(
+          (glitchRand(i * 2.2) - 0.5) * 12,
+          0,
+          -15 + glitchRand(i * 6.6) * 40
+        );
+      }
+    }
+
+    // PAR washes: static burst
+    for (let i = 0; i < show.parWashes.length; i++) {
+      const v = glitchRand(i * 17.3);
+      show.parWashes[i].color.copy(v > 0.5 ? COL.white : COL.cyan);
+      show.parWashes[i].intensity = v * 2.5;
+    }
+
+    // Laser spots: random on/off white shafts to ceiling
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      laser.color.copy(COL.white);
+      laser.intensity = glitchRand(i * 23.1) > 0.5 ? 3.0 : 0;
+      laser.target.position.set(laser.position.x, 28, laser.position.z);
+    }
+
+    // Strobes: rapid fire static pattern
+    for (let i = 0; i < show.strobes.length; i++) {
+      show.strobes[i].color.copy(COL.white);
+      show.strobes[i].intensity = glitchRand(i * 31.7) > 0.4 ? 6.0 : 0;
+    }
+  },
+};
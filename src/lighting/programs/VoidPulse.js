@@ -0,0 +1,77 @@
+/**
+ * Void Pulse - Lighting program 3 (balanced_medium)
+ *
+ * Purple/gold/cyan brand colors, rotating spot patterns, gold flash on beats.
+ */
+import { COL, lerpColor } from '../ColorUtils.js';
+
+export const voidPulse = {
+  name: 'void-pulse',
+  label: 'Void Pulse',
+  number: 3,
+  moods: ['balanced_medium'],
+  fixtures: ['frontTrussSpots', 'sideTrussSpots', 'parWashes', 'laserSpots', 'strobes'],
+  accents: { strobes: true, pars: true },
+
+  run(show, time, delta, bandValues, energy, isBeat) {
+    const brandColors = [COL.violet, COL.gold, COL.cyan, COL.magenta, COL.blue];
+    const rotSpeed = show.beats(time) * 0.6;
+
+    // Front truss: rotating ROYGBIV color wheel — circular sweep on nave floor
+    for (let i = 0; i < show.frontTrussSpots.length; i++) {
+      const spot = show.frontTrussSpots[i];
+      const colorIdx = Math.floor((i + time * 0.5) % brandColors.length);
+      spot.color.copy(brandColors[colorIdx]);
+      spot.intensity = 1.2 + energy * 1.5 + (isBeat ? 1.5 : 0);
+
+      const angle = rotSpeed + (i / 8) * Math.PI * 2;
+      spot.target.position.set(
+        Math.cos(angle) * 7,
+        0,
+        Math.sin(angle) * 18
+      );
+    }
+
+    // Side truss: alternating violet/cyan/magenta cross-beams
+    const sideColors = [COL.violet, COL.cyan, COL.magenta, COL.iceBlue];
+    for (let i = 0; i < show.sideTrussSpots.length; i++) {
+      const spot = show.sideTrussSpots[i];
+      const isLeft = i < Math.floor(show.sideTrussSpots.length / 2);
+      const phase = rotSpeed * 0.8 + i * 1.1;
+      spot.color.copy(sideColors[i % sideColors.length]);
+      spot.intensity = 0.8 + energy * 1.5;
+      spot.target.position.set(
+        (isLeft ? 1 : -1) * (2 + Math.sin(phase) * 5),
+        0,
+        5 + Math.cos(phase * 0.5) * 16
+      );
+    }
+
+    // PAR washes: gold-violet-cyan cycle
+    for (let i = 0; i < show.parWashes.length; i++) {
+      const t = Math.sin(time * 1.5 + i * 0.8) * 0.5 + 0.5;
+      const parColors = [COL.violet, COL.gold, COL.cyan, COL.magenta];
+      const idx = Math.floor((time * 0.3 + i * 0.5) % parColors.length);
+      lerpColor(show.parWashes[i].color, parColors[idx], parColors[(idx + 1) % parColors.length], t);
+      show.parWashes[i].intensity = 0.6 + energy * 0.8;
+    }
+
+    // Laser spots: cyan/violet beams to ceiling, pulsing with energy
+    for (let i = 0; i < show.laserSpots.length; i++) {
+      const laser = show.laserSpots[i];
+      laser.color.copy(i % 2 === 0 ? COL.cyan : COL.violet);
+      laser.intensity = 0.8 + energy * 2.0;
+      laser.target.position.set(
+        laser.position.x + Math.sin(time * 2 + i * 1.5) * 2,
+        28,
+        laser.position.z + Math.cos(time * 1.5 + i) * 3
+      );
+    }
+
+    // Strobes: gold flash on beat only
+    for (const strobe of show.strobes) {
+      strobe.color.copy(COL.gold);
+      strobe.intensity = isBeat ? 5.0 : 0;
+    }
+  },
+};
@@ -0,0 +1,33 @@
+/**
+ * programs - The built-in lighting programs, in their legacy 1-12 order
+ *
+ * LightingDirector registers these at startup; see ProgramRegistry for the
+ * program shape and how to add, replace or disable programs at runtime.
+ */
+import { bloodAltar } from './BloodAltar.js';
+import { deepFreeze } from './DeepFreeze.js';
+import { voidPulse } from './VoidPulse.js';
+import { lightningStrike } from './LightningStrike.js';
+import { cathedralBreathe } from './CathedralBreathe.js';
+import { hellfire } from './Hellfire.js';
+import { silhouette } from './Silhouette.js';
+import { bassTsunami } from './BassTsunami.js';
+import { prismScatter } from './PrismScatter.js';
+import { blackoutPulse } from './BlackoutPulse.js';
+import { gothicMass } from './GothicMass.js';
+import { staticOverload } from './StaticOverload.js';
+
+export const BUILTIN_PROGRAMS = Object.freeze([
+  bloodAltar,
+  deepFreeze,
+  voidPulse,
+  lightningStrike,
+  cathedralBreathe,
+  hellfire,
+  silhouette,
+  bassTsunami,
+  prismScatter,
+  blackoutPulse,
+  gothicMass,
+  staticOverload,
+]);
@@ -12,17 +12,25 @@ import { PipeOrgan } from './organ.js';
 import { ConcertStage } from './stage.js';
 import { SoundSystem } from './sound-system.js';
 import { DJBooth } from './dj.js';
-import { AudioEngine } from './audio/AudioEngine.js';
+import { AudioEngine, DEFAULT_VOLUME } from './audio/AudioEngine.js';
 import { PlaylistManager } from './audio/PlaylistManager.js';
+import { MediaSessionBridge } from './audio/MediaSessionBridge.js';
+import { DEFAULT_MANIFEST, requestedManifestId, rememberManifestId, loadManifestIndex } from './audio/PlaylistManifest.js';
 import { LightingDirector } from './lighting/LightingDirector.js';
+import { loadCueList } from './lighting/CueList.js';
+import { loadDmxPatch, parsePatch, DEFAULT_PATCH } from './lighting/DmxPatch.js';
+import { DmxOutput } from './lighting/DmxOutput.js';
+import { DmxInput } from './lighting/DmxInput.js';
 import { Controls } from './utils/Controls.js';
 import { XRManager } from './utils/XRManager.js';
 import { FogSystem } from './vfx/FogSystem.js';
 import { GodRays } from './vfx/GodRays.js';
 import { PostProcessing } from './vfx/PostProcessing.js';
 import { PlayerUI } from './ui/PlayerUI.js';
-import { SettingsPanel } from './ui/SettingsPanel.js';
+import { SettingsPanel, DEFAULTS as DEFAULT_SETTINGS } from './ui/SettingsPanel.js';
+import { LightingConsole } from './ui/LightingConsole.js';
 import { TextureGenerator } from './utils/TextureGenerator.js';
+import { loadSession, saveSession, clearSession } from './utils/SessionStore.js';
 import { ClubDecor } from './club-decor.js';
 
 const Q = quality.config; // shorthand for quality config
@@ -30,24 +38,19 @@ const Q = quality.config; // shorthand for quality config
 // --- Globals ---
 let renderer, scene, camera, clock;
 let cathedral, organ, stage, soundSystem, djBooth, clubDecor;
-let audioEngine, playlist, lightingDirector;
+let audioEngine, playlist, lightingDirector, dmxOutput, dmxInput;
 let controls, xrManager;
 let fogSystem, godRays, postProcessing;
-let playerUI, settingsPanel;
+let playerUI, settingsPanel, lightingConsole;
 let isInitialized = false;
 let elapsedTime = 0;
 let frameCount = 0; // for throttled updates
 
 // Settings state
-let settings = {
-  fogDensity: 0.4,
-  lightIntensity: 0.7,
-  cameraFov: 70,
-  godRays: true,
-  stageFog: true,
-  showFps: false,
-  showMood: true,
-};
+let settings = { ...DEFAULT_SETTINGS };
+let liveInputQueue = Promise.resolve(); // serializes live input start/stop
+let resumeAfterLive = false;            // whether the playlist was playing when live input took over
+let playlistRequest = 0;                // ticket of the newest playlist switch
 
 // --- Loading ---
 const loadingBar = document.getElementById('loading-bar');
@@ -157,6 +160,23 @@ async function init() {
   // Connect stage fixtures to lighting engine for visual sync
   stage.setLightingDirector(lightingDirector);
 
+  // Public hook for show designers' scripts: the program registry, announced
+  // with a 'staticchapel:ready' event for scripts that load before it exists
+  window.staticChapel = Object.freeze({ programs: lightingDirector.programs });
+  window.dispatchEvent(new CustomEvent('staticchapel:ready', { detail: window.staticChapel }));
+
+  // DMX through the local bridge (off until chosen in settings): the show out
+  // to a real rig, or a real desk in driving the fixtures
+  let dmxPatch;
+  try {
+    dmxPatch = await loadDmxPatch();
+  } catch (e) {
+    console.warn('Could not load the DMX patch, using the default:', e);
+    dmxPatch = parsePatch(DEFAULT_PATCH);
+  }
+  dmxOutput = new DmxOutput(lightingDirector, dmxPatch);
+  dmxInput = new DmxInput(lightingDirector, dmxPatch);
+
   updateLoading(65, 'Generating fog...');
   fogSystem = new FogSystem(scene, { count: Q.fogParticles });
 
@@ -167,7 +187,25 @@ async function init() {
 
   // Audio
   audioEngine = new AudioEngine();
+  audioEngine.setSpace({
+    speakers: soundSystem.getSpeakers(),
+    room: { length: cathedral.naveLength, width: cathedral.naveWidth, height: cathedral.naveHeight },
+  });
   playlist = new PlaylistManager(audioEngine);
+  new MediaSessionBridge(playlist);
+  djBooth.findTrack = (url) => playlist.trackByUrl(url);
+  audioEngine.events.on('trackchange', applyTrackHints);
+  audioEngine.events.on('error', ({ message, error }) => console.warn(`${message}:`, error));
+
+  updateLoading(80, 'Loading playlist...');
+  const manifestId = requestedManifestId();
+  try {
+    await playlist.loadManifest(manifestId);
+  } catch (e) {
+    if (manifestId === DEFAULT_MANIFEST) throw e;
+    console.warn(`Could not load playlist "${manifestId}", using the album:`, e);
+    await playlist.loadManifest(DEFAULT_MANIFEST);
+  }
 
   updateLoading(82, 'Setting up post-processing...');
 
@@ -182,6 +220,10 @@ async function init() {
   // UI
   playerUI = new PlayerUI(playlist);
   settingsPanel = new SettingsPanel();
+  lightingConsole = new LightingConsole(lightingDirector);
+  loadManifestIndex()
+    .then(list => settingsPanel.setPlaylists(list, playlist.manifest.id))
+    .catch(e => console.warn('Could not load playlist index:', e));
 
   // Settings change handler
   settingsPanel.onChange = (newSettings) => {
@@ -191,7 +233,29 @@ async function init() {
     if (audioEngine) {
       audioEngine.setForcedMood(settings.forcedMood);
     }
+    if (settings.playlist && settings.playlist !== playlist.manifest.id) {
+      switchPlaylist(settings.playlist);
+    }
+    liveInputQueue = liveInputQueue.then(applyLiveInput);
   };
+  settingsPanel.onReset = resetSession;
+  dmxOutput.onStatus = (status) => settingsPanel.setDmxStatus(status);
+  dmxInput.onStatus = (status) => settingsPanel.setDmxStatus(status);
+
+  refreshInputDevices();
+  if (navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener('devicechange', refreshInputDevices);
+  }
+
+  // Keep what was learned about the playing track's moods, and where the
+  // session stands. Mobile browsers may discard a hidden tab without pagehide.
+  window.addEventListener('pagehide', () => {
+    audioEngine.moodTimeline.save();
+    saveSessionState();
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveSessionState();
+  });
 
   updateLoading(90, 'Checking VR support...');
 
@@ -242,6 +306,11 @@ function applySettings() {
   camera.fov = settings.cameraFov;
   camera.updateProjectionMatrix();
 
+  // Track transitions: 0 = gapless, otherwise equal-power crossfade seconds
+  audioEngine.crossfadeDuration = settings.crossfade;
+
+  audioEngine.setInputGain(settings.inputGain);
+
   // FPS counter visibility
   const fpsEl = document.getElementById('fps-counter');
   if (fpsEl) fpsEl.style.display = settings.showFps ? 'block' : 'none';
@@ -249,6 +318,130 @@ function applySettings() {
   // Mood indicator visibility
   const moodEl = document.getElementById('mood-indicator');
   if (moodEl) moodEl.style.display = settings.showMood ? 'block' : 'none';
+
+  // DMX out to a rig or in from a desk; the fixture screens show patched addresses while either is on
+  // (off before on, so the status note ends up showing the one in use)
+  if (settings.dmxMode !== 'output') dmxOutput.setEnabled(false);
+  if (settings.dmxMode !== 'visualizer') dmxInput.setEnabled(false);
+  dmxOutput.setEnabled(settings.dmxMode === 'output');
+  dmxInput.setEnabled(settings.dmxMode === 'visualizer');
+  stage.setDmxPatch(settings.dmxMode ? dmxOutput.patch : null);
+}
+
+/**
+ * Swap to another manifest from the settings panel and remember the choice.
+ */
+async function switchPlaylist(id) {
+  // A newer pick wins: an older one finishing (or failing) later changes nothing
+  const request = ++playlistRequest;
+  try {
+    if (!await playlist.loadManifest(id) || request !== playlistRequest) return;
+    rememberManifestId(id);
+    if (audioEngine.ctx) await playlist.play(0);
+  } catch (e) {
+    if (request !== playlistRequest) return;
+    console.warn(`Could not load playlist "${id}":`, e);
+    settingsPanel.selectPlaylist(playlist.manifest.id);
+  }
+}
+
+/**
+ * Start, stop or switch the live input device to match the settings.
+ */
+async function applyLiveInput() {
+  if (!audioEngine.ctx) return; // audio starts on "Enter"
+
+  if (!settings.liveInput) {
+    if (!audioEngine.isLive) return;
+    audioEngine.stopLiveInput();
+    playerUI.setLiveInput(false);
+    if (resumeAfterLive) await playlist.play();
+    return;
+  }
+  if (audioEngine.isLive && audioEngine.inputDeviceId === settings.inputDevice) return;
+
+  // Remember this only when taking over from the playlist, not on a device switch
+  // (a track still loading was about to play)
+  if (!audioEngine.isLive) resumeAfterLive = playlist.state === 'playing' || playlist.state === 'loading';
+  try {
+    await audioEngine.startLiveInput(settings.inputDevice);
+    playerUI.setLiveInput(true);
+    // Device labels are only readable once input permission is granted
+    refreshInputDevices();
+  } catch (e) {
+    console.warn('Could not open live input:', e);
+    settingsPanel.setLiveInput(false);
+  }
+}
+
+function refreshInputDevices() {
+  AudioEngine.listInputDevices()
+    .then(devices => settingsPanel.setInputDevices(devices))
+    .catch(e => console.warn('Could not list input devices:', e));
+}
+
+/**
+ * Remember the session (SessionStore). Only once the experience has been
+ * entered — before that nothing has changed worth keeping.
+ */
+function saveSessionState() {
+  if (!audioEngine.ctx) return;
+  // In VR the desktop camera sits at the rig origin: keep the last desktop pose
+  const previous = loadSession();
+  saveSession({
+    playlist: playlist.saveState(),
+    volume: audioEngine.volume,
+    settings: settingsPanel.values,
+    camera: xrManager.isPresenting ? previous && previous.camera : controls.getPose(),
+  });
+}
+
+/**
+ * Put back settings, volume and camera from the saved session. The
+ * playlist part is restored in enterExperience().
+ */
+function restoreSession(session) {
+  if (session.settings) settingsPanel.setValues(session.settings);
+  settings = settingsPanel.values;
+  audioEngine.setForcedMood(settings.forcedMood);
+  if (Number.isFinite(session.volume)) audioEngine.setVolume(session.volume);
+  if (session.camera) controls.setPose(session.camera);
+}
+
+/**
+ * "Reset to defaults": the panel already shows the defaults; put volume,
+ * shuffle, repeat, queue and camera back too, and forget the saved session.
+ */
+function resetSession(values) {
+  settings = values;
+  applySettings();
+  audioEngine.setForcedMood(settings.forcedMood);
+  audioEngine.setVolume(DEFAULT_VOLUME);
+  if (playlist.shuffle) playlist.toggleShuffle();
+  playlist.setRepeat('all');
+  playlist.clearQueue();
+  controls.reset();
+  playerUI.refreshControls();
+  clearSession();
+  liveInputQueue = liveInputQueue.then(applyLiveInput);
+}
+
+/**
+ * Push the current track's manifest hints (palette, programs, LED content)
+ * to the show when the track changes.
+ */
+function applyTrackHints({ track, url }) {
+  lightingDirector.setTrackHints(track);
+  stage.setLEDContent(track && track.led);
+
+  // A designed light show, if the track has one; moods drive the lights until it arrives
+  lightingDirector.setCueList(null);
+  if (!track || !track.cues) return;
+  loadCueList(track.cues)
+    .then(cues => {
+      if (playlist.currentTrack === track) lightingDirector.setCueList(cues);
+    })
+    .catch(error => audioEngine.events.emit('error', { message: `Could not load the light cues for ${track.title}`, error, url }));
 }
 
 // --- Enter Experience ---
@@ -258,12 +451,17 @@ window.enterExperience = async function () {
   // Initialize audio context (requires user gesture)
   await audioEngine.init();
 
-  // Load first track
+  // Pick up where the last visit left off, else at the first track
+  const session = loadSession();
+  if (session) restoreSession(session);
   try {
-    await playlist.loadTrack(0);
+    if (!(session && session.playlist && await playlist.restoreState(session.playlist))) {
+      await playlist.loadTrack(0);
+    }
   } catch (e) {
     console.warn('Could not load first track:', e);
   }
+  playerUI.refreshControls();
 
   // Hide loading screen
   loadingScreen.classList.add('hidden');
@@ -275,9 +473,9 @@ window.enterExperience = async function () {
   // Apply initial settings
   applySettings();
 
-  // Start first track
-  audioEngine.play();
-  playerUI.updatePlayButton();
+  // Start first track (the playlist handles autoplay blocks and unreadable files)
+  if (playlist.state !== 'error') playlist.play();
+  if (settings.liveInput) liveInputQueue = liveInputQueue.then(applyLiveInput);
 
   // Start render loop
   renderer.setAnimationLoop(animate);
@@ -297,21 +495,24 @@ function animate() {
     controls.update(delta);
   }
 
-  // Update audio analysis
+  // Update audio analysis; the listener follows the head in VR, else the camera
+  audioEngine.updateListener(inVR ? renderer.xr.getCamera() : camera);
   audioEngine.update();
 
   const bandValues = audioEngine.bandValues;
   const energy = audioEngine.energy;
   const isBeat = audioEngine.isBeat;
-  const mood = audioEngine.getMood();
+  const tempo = audioEngine.tempo;
+  const mood = audioEngine.mood;
+  const harmony = settings.harmonicColor ? audioEngine.harmony : null;
 
   // Update cathedral animations (stained glass) — pass sunSide so only sun-facing windows glow
   const sunSide = godRays ? godRays.sunSide || -1 : -1;
-  cathedral.update(elapsedTime, energy, sunSide);
+  cathedral.update(elapsedTime, energy, sunSide, harmony);
 
   // Update pipe organ (audio-reactive glow) — throttled on low/medium
   if (frameCount % Q.organUpdateEvery === 0) {
-    organ.update(bandValues);
+    organ.update(bandValues, harmony);
   }
 
   // Update concert stage (LED panels, truss lights)
@@ -324,15 +525,17 @@ function animate() {
 
   // Update club decor (chandeliers, furniture, static arcs) — throttled
   if (frameCount % Q.clubDecorUpdateEvery === 0) {
-    clubDecor.update(elapsedTime, bandValues, energy, isBeat);
+    clubDecor.update(elapsedTime, bandValues, energy, isBeat, audioEngine.onsets);
   }
 
-  // Update DJ booth (head bobbing, animations)
-  djBooth.update(elapsedTime, isBeat, energy);
+  // Update DJ booth (head bobbing, animations, deck screens)
+  djBooth.update(elapsedTime, isBeat, energy, tempo, audioEngine.master, audioEngine.deckStates, audioEngine.frequencyData);
 
   // Update lighting director (selects program, animates fixtures) — throttled on low tier
   if (frameCount % (Q.lightingUpdateEvery || 1) === 0) {
-    lightingDirector.update(elapsedTime, delta, mood, bandValues, energy, isBeat);
+    const trackTime = audioEngine.isLive ? null : audioEngine.currentTime;
+    lightingDirector.update(elapsedTime, delta, mood, bandValues, energy, isBeat, audioEngine.getTimeline(), tempo, audioEngine.onsets, harmony, trackTime);
+    dmxOutput.update();
   }
 
   // Update VFX
@@ -346,19 +549,14 @@ function animate() {
 
   // Update player UI
   playerUI.update();
-  playerUI.updateMood(mood);
-
-  // Check for track end
-  if (audioEngine.ended) {
-    playlist.next();
-  }
+  lightingConsole.update();
 
   // Render main scene
   renderer.render(scene, camera);
 
   // Post-processing (vignette overlay) — skip in VR (separate render pass breaks XR)
   if (!inVR) {
-    postProcessing.update(elapsedTime, energy, isBeat);
+    postProcessing.update(elapsedTime, energy, isBeat, tempo);
   }
 }
 
@@ -23,6 +23,13 @@ const BAND_COLORS = {
   treble:  new THREE.Color(0xD0D0DD),   // bright silver / platinum
 };
 
+// --- Harmonic color: band glows tinted toward the chord's hue ---
+const HARMONIC_TINT = 0.7;   // 0 = metallic band colors, 1 = pure chord hue
+const _harmonicHue = new THREE.Color();
+const HARMONIC_BAND_COLORS = Object.fromEntries(
+  Object.keys(BAND_COLORS).map(band => [band, new THREE.Color()])
+);
+
 /**
  * Map a pipe index (0 = leftmost, count-1 = rightmost) to a frequency band.
  * Bass pipes are on the flanks, treble pipes in the center.
@@ -363,10 +370,20 @@ export class PipeOrgan {
   /**
    * @param {Object} bandValues - { subBass: 0-1, bass: 0-1, lowMid: 0-1, mid: 0-1, highMid: 0-1, presence: 0-1, treble: 0-1 }
    *   "presence" maps to the treble band visually (6-20kHz combined).
+   * @param {Object} [harmony] - AudioEngine.harmony when harmonic color is on
    */
-  update(bandValues) {
+  update(bandValues, harmony = null) {
     if (!bandValues) return;
 
+    let bandColors = BAND_COLORS;
+    if (harmony && harmony.ready) {
+      _harmonicHue.setHSL(harmony.hue, 0.9, 0.5);
+      for (const band of Object.keys(BAND_COLORS)) {
+        HARMONIC_BAND_COLORS[band].copy(BAND_COLORS[band]).lerp(_harmonicHue, HARMONIC_TINT);
+      }
+      bandColors = HARMONIC_BAND_COLORS;
+    }
+
     // Normalize presence + treble into the visual treble band
     const effectiveBands = {
       subBass: bandValues.subBass || 0,
@@ -384,7 +401,7 @@ export class PipeOrgan {
 
       // Smoothed energy for emissive intensity
       const intensity = energy * energy * 2.5; // quadratic for more dramatic response
-      const bandColor = BAND_COLORS[pipe.band];
+      const bandColor = bandColors[pipe.band];
 
       // Pipe body glow
       pipe.bodyMat.emissive.copy(bandColor);
@@ -1,7 +1,8 @@
 /**
  * SoundSystem - Void Reality professional PA rig
  * Floor-stacked subwoofer bins + flown line array speakers + rigging hardware
- * Static display only — no audio-reactive effects
+ * Static display only — no audio-reactive effects. getSpeakers() tells
+ * SpatialAudio where the sound comes from.
  *
  * Reference: Void Acoustics touring rig style — dark charcoal cabinets,
  * large sub stacks 3-high flanking stage, line arrays flown close to stage
@@ -68,6 +69,32 @@ export class SoundSystem {
     this.createRigging();
   }
 
+  /**
+   * Acoustic centres of the PA in world space: one sub stack pair and one
+   * line array per side, all facing the audience (-z).
+   * @returns {{ type: 'array'|'sub', side: number, position: THREE.Vector3, facing: THREE.Vector3 }[]}
+   */
+  getSpeakers() {
+    this.group.updateMatrixWorld(true);
+    const facing = new THREE.Vector3(0, 0, -1);
+    const speakers = [];
+    [-1, 1].forEach(side => {
+      speakers.push({
+        type: 'sub',
+        side,
+        position: this.group.localToWorld(new THREE.Vector3(side * SUB_X, SUBS_PER_STACK * SUB_H / 2, SUB_Z)),
+        facing: facing.clone(),
+      });
+      speakers.push({
+        type: 'array',
+        side,
+        position: this.group.localToWorld(new THREE.Vector3(side * ARRAY_X, ARRAY_TOP_Y - BOXES_PER_ARRAY * BOX_H / 2, ARRAY_Z)),
+        facing: facing.clone(),
+      });
+    });
+    return speakers;
+  }
+
   // ==================================================================
   //  SUBWOOFER STACKS — 3-high, Void Acoustics industrial style
   // ==================================================================
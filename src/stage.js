@@ -6,6 +6,7 @@
  * This module adds production elements ON and AROUND the stage.
  */
 import * as THREE from 'three';
+import { GROUP_MAX } from './lighting/LightingDirector.js';
 
 // --- Layout constants ---
 const STAGE_Z = 24;
@@ -20,6 +21,10 @@ const TRUSS_COLOR = 0x222222;
 const FIXTURE_BODY_COLOR = 0x111111;
 const FOG_MACHINE_COLOR = 0x1a1a1a;
 
+// --- LED wall content ---
+const DEFAULT_LED_VIDEO = 'assets/video/energy-sphere.mp4';
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif)$/i;
+
 export class ConcertStage {
   /**
    * @param {THREE.Scene} scene
@@ -46,6 +51,7 @@ export class ConcertStage {
 
     // Reference to LightingDirector for syncing visual beams
     this.lightingDirector = null;
+    this.dmxPatch = null;     // parsed DmxPatch: fixture screens show real addresses
 
     this.build();
     this.scene.add(this.group);
@@ -58,6 +64,28 @@ export class ConcertStage {
     this.lightingDirector = ld;
   }
 
+  /**
+   * Show each fixture's patched DMX address and dimmer value on its screen.
+   */
+  setDmxPatch(patch) {
+    this.dmxPatch = patch;
+  }
+
+  /**
+   * The LightingDirector spot a truss fixture mirrors, as { group, index }, or null.
+   */
+  _directorSlot(fixture) {
+    const ld = this.lightingDirector;
+    if (!ld) return null;
+    const half = Math.floor(ld.sideTrussSpots.length / 2);
+    if (fixture.side === 'front' && fixture.index < ld.frontTrussSpots.length) {
+      return { group: 'frontTrussSpots', index: fixture.index };
+    }
+    if (fixture.side === 'left' && fixture.index < half) return { group: 'sideTrussSpots', index: fixture.index };
+    if (fixture.side === 'right' && fixture.index < half) return { group: 'sideTrussSpots', index: fixture.index + half };
+    return null;
+  }
+
   // ==================================================================
   //  BUILD
   // ==================================================================
@@ -177,7 +205,7 @@ export class ConcertStage {
 
     // --- VIDEO ELEMENT — energy sphere plays on all LED panels ---
     this._ledVideo = document.createElement('video');
-    this._ledVideo.src = 'assets/video/energy-sphere.mp4';
+    this._ledVideo.src = DEFAULT_LED_VIDEO;
     this._ledVideo.loop = true;
     this._ledVideo.muted = true;
     this._ledVideo.playsInline = true;
@@ -185,6 +213,7 @@ export class ConcertStage {
     this._ledVideo.setAttribute('webkit-playsinline', '');
     this._ledVideo.preload = 'auto';
     this._ledVideoReady = false;
+    this._ledImage = null;    // still image shown instead of the video (setLEDContent)
 
     // Track readiness — video needs at least one frame decoded
     this._ledVideo.addEventListener('canplay', () => {
@@ -214,6 +243,26 @@ export class ConcertStage {
     document.addEventListener('pointerdown', gesturePlay);
   }
 
+  /**
+   * Show a track's LED wall content: a video or image URL, or null for the
+   * default energy sphere. The DJ booth screens share the video element.
+   */
+  setLEDContent(src) {
+    const content = src || DEFAULT_LED_VIDEO;
+    if (IMAGE_EXTENSIONS.test(content)) {
+      if (!this._ledImage || this._ledImage.getAttribute('src') !== content) {
+        this._ledImage = new Image();
+        this._ledImage.src = content;
+      }
+      return;
+    }
+    this._ledImage = null;
+    if (this._ledVideo.getAttribute('src') === content) return;
+    this._ledVideoReady = false;
+    this._ledVideo.src = content;
+    this._ledVideo.play().catch(() => {});
+  }
+
   // ==================================================================
   //  TRUSSES  (front + left + right)
   // ==================================================================
@@ -651,7 +700,7 @@ export class ConcertStage {
   }
 
   // ------------------------------------------------------------------
-  //  LED Panel — plays energy sphere video on all panels
+  //  LED Panel — plays the LED video (or still image) on all panels
   // ------------------------------------------------------------------
   updateLEDPanels(time, bandValues, energy) {
     this._ledFrame = (this._ledFrame || 0) + 1;
@@ -666,6 +715,9 @@ export class ConcertStage {
                        this._ledVideo &&
                        !this._ledVideo.paused &&
                        this._ledVideo.readyState >= 2; // HAVE_CURRENT_DATA
+    const image = this._ledImage && this._ledImage.complete && this._ledImage.naturalWidth
+      ? this._ledImage
+      : null;
 
     for (let i = 0; i < this.ledPanels.length; i++) {
       const panel = this.ledPanels[i];
@@ -673,7 +725,9 @@ export class ConcertStage {
       const w = canvas.width;
       const h = canvas.height;
 
-      if (videoReady) {
+      if (image) {
+        ctx.drawImage(image, 0, 0, w, h);
+      } else if (videoReady) {
         ctx.drawImage(this._ledVideo, 0, 0, w, h);
       } else {
         // Simple dark fallback until video loads
@@ -711,21 +765,12 @@ export class ConcertStage {
       let targetPos = null;
 
       // Sync with LightingDirector's actual light data
-      if (ld) {
-        let spot = null;
-        if (fixture.side === 'front' && fixture.index < ld.frontTrussSpots.length) {
-          spot = ld.frontTrussSpots[fixture.index];
-        } else if (fixture.side === 'left' && fixture.index < Math.floor(ld.sideTrussSpots.length / 2)) {
-          spot = ld.sideTrussSpots[fixture.index];
-        } else if (fixture.side === 'right' && fixture.index < Math.floor(ld.sideTrussSpots.length / 2)) {
-          spot = ld.sideTrussSpots[fixture.index + Math.floor(ld.sideTrussSpots.length / 2)];
-        }
-
-        if (spot) {
-          lightColor = spot.color;
-          lightIntensity = spot.intensity;
-          targetPos = spot.target.position;
-        }
+      const slot = this._directorSlot(fixture);
+      if (slot) {
+        const spot = ld[slot.group][slot.index];
+        lightColor = spot.color;
+        lightIntensity = spot.intensity;
+        targetPos = spot.target.position;
       }
 
       // Fixture world position (fixtureGroup position within the concertStage group)
@@ -822,14 +867,25 @@ export class ConcertStage {
       ctx.fillStyle = '#030308';
       ctx.fillRect(0, 0, w, h);
 
-      // Channel number
+      // Patched DMX address (universe.address), else the channel number
+      const fixture = this.fixtures[i];
+      const slot = fixture ? this._directorSlot(fixture) : null;
+      const entry = slot && this.dmxPatch ? this.dmxPatch.groups[slot.group] : null;
+      const patched = entry && slot.index < entry.count;
       ctx.fillStyle = '#00cc44';
       ctx.font = '8px monospace';
-      ctx.fillText(`CH${String(i + 1).padStart(2, '0')}`, 2, 9);
-
-      // Intensity bar
-      const fixture = this.fixtures[i];
-      const intensity = fixture ? Math.min(1, (fixture.beamMat.opacity - 0.04) / 0.22) : 0;
+      ctx.fillText(patched
+        ? `${entry.universe}.${String(entry.address + slot.index * entry.footprint).padStart(3, '0')}`
+        : `CH${String(i + 1).padStart(2, '0')}`, 2, 9);
+
+      // Intensity bar: a patched fixture's dimmer level, else the beam's glow
+      let intensity = 0;
+      if (patched) {
+        const spot = this.lightingDirector[slot.group][slot.index];
+        intensity = Math.max(0, Math.min(1, spot.intensity / GROUP_MAX[slot.group]));
+      } else if (fixture) {
+        intensity = Math.min(1, (fixture.beamMat.opacity - 0.04) / 0.22);
+      }
       const barW = Math.floor(intensity * (w - 8));
       const hue = (time * 60 + i * 30) % 360;
       ctx.fillStyle = `hsl(${hue}, 100%, 50%)`;
@@ -0,0 +1,172 @@
+/**
+ * LightingConsole - Busk the light show by hand
+ *
+ * An overlay over LightingDirector's console controls: a button per
+ * registered program (pressing one crossfades to it and locks it in), a
+ * submaster fader and flash button per fixture group, blackout, tap tempo
+ * and the crossfade time. LOCK stops the moods (and section look-ahead and
+ * cue lists) from switching programs; unlocking hands the show back.
+ * The program buttons follow the director's ProgramRegistry. While a desk
+ * drives the fixtures (LightingDirector.external) the console has no effect
+ * and says so.
+ */
+
+// Fixture groups (LightingDirector FIXTURE_GROUPS) as labelled on the faders
+const GROUP_LABELS = {
+  frontTrussSpots: 'Front',
+  sideTrussSpots: 'Side',
+  parWashes: 'PARs',
+  laserSpots: 'Lasers',
+  strobes: 'Strobes',
+};
+const MAX_FADE = 10;   // seconds at the top of the crossfade slider
+
+export class LightingConsole {
+  /**
+   * @param {LightingDirector} director
+   */
+  constructor(director) {
+    this.director = director;
+    this.panel = document.getElementById('lighting-console');
+    this.consoleBtn = document.getElementById('console-btn');
+    this.status = document.getElementById('console-status');
+    this.programList = document.getElementById('console-programs');
+    this.groupList = document.getElementById('console-groups');
+    this.lockBtn = document.getElementById('console-lock');
+    this.blackoutBtn = document.getElementById('console-blackout');
+    this.tapBtn = document.getElementById('console-tap');
+    this.bpmBtn = document.getElementById('console-bpm');
+    this.fadeSlider = document.getElementById('console-fade');
+    this.fadeValue = document.getElementById('console-fade-val');
+
+    this._programButtons = new Map();   // program name -> button
+    this._shown = '';                   // state update() last drew
+
+    this.setup();
+    this.buildPrograms();
+    this.buildGroups();
+    this.director.programs.on('change', () => this.buildPrograms());
+  }
+
+  setup() {
+    this.consoleBtn.addEventListener('click', () => {
+      this.panel.classList.toggle('open');
+      this.consoleBtn.classList.toggle('active', this.isOpen);
+    });
+
+    this.lockBtn.addEventListener('click', () => this.director.setLocked(!this.director.locked));
+
+    this.blackoutBtn.addEventListener('click', () => {
+      this.director.setBlackout(!this.director.blackout);
+      this.blackoutBtn.classList.toggle('active', this.director.blackout);
+    });
+
+    this.tapBtn.addEventListener('pointerdown', () => this.director.tap());
+    this.bpmBtn.addEventListener('click', () => this.director.clearTap());
+
+    this.fadeSlider.max = MAX_FADE * 10;   // tenths of a second
+    this.fadeSlider.value = this.director.crossfadeDuration * 10;
+    this._showFade();
+    this.fadeSlider.addEventListener('input', () => {
+      this.director.crossfadeDuration = this.fadeSlider.value / 10;
+      this._showFade();
+    });
+  }
+
+  get isOpen() {
+    return this.panel.classList.contains('open');
+  }
+
+  /**
+   * One button per registered program; disabled programs are shown greyed out.
+   */
+  buildPrograms() {
+    this.programList.innerHTML = '';
+    this._programButtons.clear();
+    for (const program of this.director.programs.list()) {
+      const enabled = this.director.programs.isEnabled(program.name);
+      const btn = document.createElement('button');
+      btn.className = 'console-btn console-program';
+      btn.textContent = program.label || program.name;
+      btn.title = !enabled ? 'Disabled'
+        : program.moods.length ? program.moods.join(', ').replace(/_/g, ' ') : program.name;
+      btn.disabled = !enabled;
+      btn.addEventListener('click', () => this.director.selectProgram(program.name));
+      this.programList.appendChild(btn);
+      this._programButtons.set(program.name, btn);
+    }
+    this._shown = '';
+  }
+
+  /**
+   * A strip per fixture group: submaster fader, level and flash button.
+   */
+  buildGroups() {
+    this.groupList.innerHTML = '';
+    for (const [group, label] of Object.entries(GROUP_LABELS)) {
+      const strip = document.createElement('div');
+      strip.className = 'console-strip';
+      strip.innerHTML = `
+        <span class="console-level">100</span>
+        <input type="range" class="console-fader" min="0" max="100" value="100" title="${label} submaster">
+        <button class="console-btn console-flash">FLASH</button>
+        <label>${label}</label>
+      `;
+      const fader = strip.querySelector('.console-fader');
+      const level = strip.querySelector('.console-level');
+      fader.value = this.director.submasters[group] * 100;
+      level.textContent = fader.value;
+      fader.addEventListener('input', () => {
+        this.director.setSubmaster(group, fader.value / 100);
+        level.textContent = fader.value;
+      });
+
+      // Flash holds while pressed, even if the pointer slides off
+      const flash = strip.querySelector('.console-flash');
+      flash.addEventListener('pointerdown', (e) => {
+        flash.setPointerCapture(e.pointerId);
+        flash.classList.add('active');
+        this.director.setFlash(group, true);
+      });
+      flash.addEventListener('lostpointercapture', () => {
+        flash.classList.remove('active');
+        this.director.setFlash(group, false);
+      });
+      this.groupList.appendChild(strip);
+    }
+  }
+
+  /**
+   * Follow the director: running and incoming program, lock, tapped tempo.
+   * Called every frame; touches the DOM only while open and when something changed.
+   */
+  update() {
+    if (!this.isOpen) return;
+    const d = this.director;
+    const bpm = d.tapTempo.bpm ? Math.round(d.tapTempo.bpm) : null;
+    const shown = `${d.currentProgram}|${d.crossfading ? d.targetProgram : ''}|${d.locked}|${bpm}|${!!d.external}`;
+    if (shown === this._shown) return;
+    this._shown = shown;
+
+    for (const [name, btn] of this._programButtons) {
+      btn.classList.toggle('active', name === d.currentProgram);
+      btn.classList.toggle('next', d.crossfading && name === d.targetProgram);
+    }
+    const label = (name) => {
+      const program = d.programs.get(name);
+      return program ? program.label || program.name : name;
+    };
+    const running = d.crossfading
+      ? `${label(d.currentProgram)} → ${label(d.targetProgram)}`
+      : label(d.currentProgram);
+    this.status.textContent = d.external ? 'DMX IN · the desk has the lights'
+      : `${d.locked ? 'LOCKED' : 'AUTO'} · ${running}`;
+    this.lockBtn.classList.toggle('active', d.locked);
+    this.bpmBtn.textContent = bpm ? `${bpm} BPM` : 'AUTO';
+    this.bpmBtn.classList.toggle('active', !!bpm);
+  }
+
+  _showFade() {
+    this.fadeValue.textContent = `${(this.fadeSlider.value / 10).toFixed(1)}s`;
+  }
+}
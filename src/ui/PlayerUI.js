@@ -1,6 +1,20 @@
 /**
  * PlayerUI - Music player HUD controls with volume and crosshair
+ *
+ * The transport buttons follow the playlist's playback state (statechange):
+ * play is disabled while a track loads, and errors show as a short notice.
+ * The track list panel also holds the up-next queue (queuechange); every
+ * track can be queued from the list.
  */
+import { collectDroppedFiles, tracksFromFiles } from '../audio/LocalLibrary.js';
+
+// Repeat button face per REPEAT_MODES entry
+const REPEAT_BUTTON = {
+  all: { icon: '&#128257;', title: 'Repeat all', active: true },
+  one: { icon: '&#128258;', title: 'Repeat one', active: true },
+  off: { icon: '&#128257;', title: 'Repeat off', active: false },
+};
+
 export class PlayerUI {
   constructor(playlist) {
     this.playlist = playlist;
@@ -15,15 +29,26 @@ export class PlayerUI {
     this.prevBtn = document.getElementById('prev-btn');
     this.nextBtn = document.getElementById('next-btn');
     this.shuffleBtn = document.getElementById('shuffle-btn');
+    this.repeatBtn = document.getElementById('repeat-btn');
     this.listBtn = document.getElementById('list-btn');
     this.tracklistPanel = document.getElementById('tracklist-panel');
     this.tracklist = document.getElementById('tracklist');
+    this.queueSection = document.getElementById('queue-section');
+    this.queueList = document.getElementById('queue-list');
     this.volumeSlider = document.getElementById('volume-slider');
     this.crosshair = document.getElementById('crosshair');
     this.controlsHint = document.getElementById('controls-hint');
     this.moodIndicator = document.getElementById('mood-indicator');
     this.fpsCounter = document.getElementById('fps-counter');
     this.hudInfo = document.getElementById('hud-info');
+    this.fileInput = document.getElementById('file-input');
+    this.folderInput = document.getElementById('folder-input');
+    this.libraryMode = document.getElementById('library-mode');
+    this.restorePlaylistBtn = document.getElementById('restore-playlist-btn');
+    this.tracklistTitle = document.getElementById('tracklist-title');
+    this.dropOverlay = document.getElementById('drop-overlay');
+    this.notice = document.getElementById('player-notice');
+    this._noticeTimer = null;
 
     // FPS tracking
     this.frames = 0;
@@ -31,10 +56,18 @@ export class PlayerUI {
     this.currentFps = 0;
 
     this.setupControls();
-    this.buildTracklist();
+    this.setupLibrary();
+    this.onTracksChange();
+    this.updateRepeatButton(this.playlist.repeat);
 
-    // Track change callback
-    this.playlist.onTrackChange = (track, displayIdx) => this.onTrackChange(track, displayIdx);
+    // Playback events
+    const events = this.audio.events;
+    events.on('trackchange', ({ track, index }) => this.onTrackChange(track, index));
+    events.on('statechange', () => this.updatePlayButton());
+    events.on('queuechange', () => this.buildQueue());
+    events.on('error', ({ message }) => this.showNotice(message));
+    events.on('moodchange', (change) => this.updateMood(change.to, change.confidence));
+    this.playlist.onTracksChange = () => this.onTracksChange();
 
     // Pointer lock state
     document.addEventListener('pointerlockchange', () => {
@@ -51,10 +84,7 @@ export class PlayerUI {
   }
 
   setupControls() {
-    this.playBtn.addEventListener('click', () => {
-      this.audio.togglePlay();
-      this.updatePlayButton();
-    });
+    this.playBtn.addEventListener('click', () => this.playlist.togglePlay());
 
     this.prevBtn.addEventListener('click', () => this.playlist.prev());
     this.nextBtn.addEventListener('click', () => this.playlist.next());
@@ -64,6 +94,12 @@ export class PlayerUI {
       this.shuffleBtn.classList.toggle('active', isShuffled);
     });
 
+    this.repeatBtn.addEventListener('click', () => {
+      this.updateRepeatButton(this.playlist.cycleRepeat());
+    });
+
+    document.getElementById('clear-queue-btn').addEventListener('click', () => this.playlist.clearQueue());
+
     this.listBtn.addEventListener('click', () => {
       this.tracklistPanel.classList.toggle('open');
     });
@@ -86,8 +122,7 @@ export class PlayerUI {
     document.addEventListener('keydown', (e) => {
       if (e.code === 'Space' && document.pointerLockElement) {
         e.preventDefault();
-        this.audio.togglePlay();
-        this.updatePlayButton();
+        this.playlist.togglePlay();
       }
       // N for next, B for previous while in pointer lock
       if (document.pointerLockElement) {
@@ -97,6 +132,55 @@ export class PlayerUI {
     });
   }
 
+  // =========================================================================
+  //  LOCAL FILES
+  // =========================================================================
+
+  setupLibrary() {
+    document.getElementById('add-files-btn').addEventListener('click', () => this.fileInput.click());
+    document.getElementById('add-folder-btn').addEventListener('click', () => this.folderInput.click());
+    this.restorePlaylistBtn.addEventListener('click', () => this.playlist.restoreManifest());
+
+    for (const input of [this.fileInput, this.folderInput]) {
+      input.addEventListener('change', async () => {
+        const files = Array.from(input.files);
+        input.value = ''; // allow picking the same files again
+        await this.addFiles(files);
+      });
+    }
+
+    // Drag-and-drop anywhere on the page. dragenter/leave fire for every
+    // child element, so count them to know when the drag really left.
+    let dragDepth = 0;
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    document.addEventListener('dragenter', (e) => {
+      if (!hasFiles(e)) return;
+      dragDepth++;
+      this.dropOverlay.classList.add('visible');
+    });
+    document.addEventListener('dragleave', (e) => {
+      if (!hasFiles(e)) return;
+      dragDepth = Math.max(0, dragDepth - 1);
+      if (dragDepth === 0) this.dropOverlay.classList.remove('visible');
+    });
+    document.addEventListener('dragover', (e) => {
+      if (hasFiles(e)) e.preventDefault();
+    });
+    document.addEventListener('drop', async (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dragDepth = 0;
+      this.dropOverlay.classList.remove('visible');
+      await this.addFiles(await collectDroppedFiles(e.dataTransfer));
+    });
+  }
+
+  async addFiles(files) {
+    const tracks = await tracksFromFiles(files);
+    if (tracks.length === 0) return;
+    await this.playlist.addTracks(tracks, { replace: this.libraryMode.value === 'replace' });
+  }
+
   buildTracklist() {
     this.tracklist.innerHTML = '';
     this.playlist.tracks.forEach((track, idx) => {
@@ -104,23 +188,133 @@ export class PlayerUI {
       item.className = 'track-item';
       item.innerHTML = `
         <span class="num">${String(idx + 1).padStart(2, '0')}</span>
-        <span>${track.title}</span>
+        <span class="meta"><span class="title"></span><span class="artist"></span></span>
       `;
+      // Local tags are untrusted text, so never interpolate them as HTML
+      item.querySelector('.title').textContent = track.title;
+      item.querySelector('.artist').textContent = track.artist || '';
+      if (track.artwork) {
+        const art = document.createElement('img');
+        art.className = 'art';
+        art.src = track.artwork;
+        art.alt = '';
+        item.insertBefore(art, item.querySelector('.meta'));
+      }
+      item.appendChild(this.trackActions([
+        ['&#10548;', 'Play next', () => this.playlist.playNext(idx)],
+        ['+', 'Add to queue', () => this.playlist.addToQueue(idx)],
+      ]));
       item.addEventListener('click', () => {
         this.playlist.play(idx);
-        this.updatePlayButton();
       });
       this.tracklist.appendChild(item);
     });
   }
 
+  /**
+   * The up-next list: reorder with the arrows, drop with the cross.
+   */
+  buildQueue() {
+    const queue = this.playlist.queuedTracks;
+    this.queueSection.style.display = queue.length > 0 ? '' : 'none';
+    this.queueList.innerHTML = '';
+    queue.forEach((track, pos) => {
+      const item = document.createElement('div');
+      item.className = 'track-item';
+      item.innerHTML = `
+        <span class="num">${String(pos + 1).padStart(2, '0')}</span>
+        <span class="meta"><span class="title"></span><span class="artist"></span></span>
+      `;
+      item.querySelector('.title').textContent = track.title;
+      item.querySelector('.artist').textContent = track.artist || '';
+      const actions = this.trackActions([
+        ['&#9650;', 'Move up', () => this.playlist.moveInQueue(pos, pos - 1)],
+        ['&#9660;', 'Move down', () => this.playlist.moveInQueue(pos, pos + 1)],
+        ['&#10005;', 'Remove', () => this.playlist.removeFromQueue(pos)],
+      ]);
+      actions.children[0].disabled = pos === 0;
+      actions.children[1].disabled = pos === queue.length - 1;
+      item.appendChild(actions);
+      this.queueList.appendChild(item);
+    });
+  }
+
+  /**
+   * A row of small buttons for a track item; clicking one doesn't play the track.
+   * @param {Array<[string, string, Function]>} buttons - [icon HTML, title, handler]
+   */
+  trackActions(buttons) {
+    const actions = document.createElement('span');
+    actions.className = 'track-actions';
+    for (const [icon, title, handler] of buttons) {
+      const button = document.createElement('button');
+      button.className = 'track-action';
+      button.innerHTML = icon;
+      button.title = title;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler();
+      });
+      actions.appendChild(button);
+    }
+    return actions;
+  }
+
+  /**
+   * Match shuffle, repeat and volume to the playlist and engine after they
+   * were changed from outside (session restore, reset to defaults).
+   */
+  refreshControls() {
+    this.shuffleBtn.classList.toggle('active', this.playlist.shuffle);
+    this.updateRepeatButton(this.playlist.repeat);
+    if (this.volumeSlider) this.volumeSlider.value = Math.round(this.audio.volume * 100);
+  }
+
+  /**
+   * @param {string} mode - one of REPEAT_MODES
+   */
+  updateRepeatButton(mode) {
+    const face = REPEAT_BUTTON[mode];
+    this.repeatBtn.innerHTML = face.icon;
+    this.repeatBtn.title = face.title;
+    this.repeatBtn.classList.toggle('active', face.active);
+  }
+
+  onTracksChange() {
+    this.buildTracklist();
+    this.buildQueue();
+    this.restorePlaylistBtn.style.display = this.playlist.isManifest ? 'none' : '';
+    if (this.playlist.manifest) this.tracklistTitle.textContent = this.playlist.manifest.name.toUpperCase();
+  }
+
   onTrackChange(track, displayIdx) {
+    if (this.audio.isLive) {
+      // Keep the live banner; the list still shows what plays next
+      this.highlightTrack(displayIdx);
+      return;
+    }
     this.trackNumber.textContent = String(displayIdx + 1).padStart(2, '0');
-    this.trackTitle.textContent = track.title;
+    this.trackTitle.textContent = track.artist ? `${track.title} — ${track.artist}` : track.title;
     this.updatePlayButton();
     this.highlightTrack(displayIdx);
   }
 
+  /**
+   * Swap the track readout for a live input banner, or back.
+   */
+  setLiveInput(on) {
+    if (!on) {
+      const track = this.playlist.currentTrack;
+      if (track) this.onTrackChange(track, this.playlist.getDisplayIndex());
+      return;
+    }
+    this.trackNumber.textContent = '--';
+    this.trackTitle.textContent = 'Live Input';
+    this.trackTime.textContent = 'LIVE';
+    this.progressBar.style.width = '0%';
+    this.updatePlayButton();
+  }
+
   highlightTrack(index) {
     const items = this.tracklist.querySelectorAll('.track-item');
     items.forEach((item, i) => {
@@ -129,12 +323,41 @@ export class PlayerUI {
   }
 
   updatePlayButton() {
-    this.playBtn.innerHTML = this.audio.isPlaying ? '&#10074;&#10074;' : '&#9654;';
+    const state = this.audio.isLive ? 'playing' : this.playlist.state;
+    this.container.dataset.state = state;
+    this.playBtn.disabled = state === 'loading';
+    if (state === 'loading') {
+      this.playBtn.innerHTML = '&#8987;';
+      this.playBtn.title = 'Loading…';
+    } else if (state === 'error') {
+      this.playBtn.innerHTML = '&#9888;';
+      this.playBtn.title = 'No track could be played — click to retry';
+    } else {
+      const playing = state === 'playing';
+      this.playBtn.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;';
+      this.playBtn.title = playing ? 'Pause' : 'Play';
+    }
+  }
+
+  /**
+   * Show a message above the player for a few seconds.
+   */
+  showNotice(message) {
+    if (!this.notice) return;
+    this.notice.textContent = message;
+    this.notice.classList.add('visible');
+    clearTimeout(this._noticeTimer);
+    this._noticeTimer = setTimeout(() => this.notice.classList.remove('visible'), 5000);
   }
 
-  updateMood(mood) {
+  /**
+   * @param {string} mood
+   * @param {number} [confidence] - 0-1, shown as a tooltip
+   */
+  updateMood(mood, confidence = null) {
     if (this.moodIndicator) {
       this.moodIndicator.textContent = mood ? mood.replace(/_/g, ' ') : '';
+      this.moodIndicator.title = confidence !== null ? `${Math.round(confidence * 100)}% confidence` : '';
     }
   }
 
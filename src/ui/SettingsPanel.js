@@ -1,23 +1,53 @@
 /**
  * SettingsPanel - Quality and effect settings
+ *
+ * setValues() puts saved values (SessionStore) back into the controls;
+ * "Reset to defaults" puts DEFAULTS back and reports it through onReset.
  */
+import { quality, QUALITY_TIERS } from '../utils/QualityManager.js';
+
+export const DEFAULTS = Object.freeze({
+  fogDensity: 0.4,
+  lightIntensity: 0.7,
+  cameraFov: 70,
+  crossfade: 0,
+  godRays: true,
+  stageFog: true,
+  showFps: false,
+  showMood: true,
+  harmonicColor: false,  // chord-following colors in lights, organ and glass
+  forcedMood: null,
+  playlist: null,
+  liveInput: false,
+  inputDevice: null,   // null = default input
+  inputGain: 1,
+  qualityTier: null,   // null = detected; applies on the next load
+  dmxMode: null,       // null = off, 'output' (lights to the rig) or 'visualizer' (a desk drives the lights)
+});
+
+// DMX bridge connection (DmxOutput / DmxInput status) as shown under the dropdown
+const DMX_STATUS = {
+  output: {
+    connecting: 'Connecting to the DMX bridge...',
+    connected: 'Sending to the DMX bridge',
+    unreachable: 'DMX bridge not running (npm run dmx-bridge), retrying',
+  },
+  visualizer: {
+    connecting: 'Connecting to the DMX bridge...',
+    connected: 'Following the desk through the DMX bridge',
+    unreachable: 'DMX bridge not running (npm run dmx-bridge -- --receive), retrying',
+  },
+};
+
 export class SettingsPanel {
   constructor() {
     this.panel = document.getElementById('settings-panel');
     this.settingsBtn = document.getElementById('settings-btn');
 
-    this.values = {
-      fogDensity: 0.4,
-      lightIntensity: 0.7,
-      cameraFov: 70,
-      godRays: true,
-      stageFog: true,
-      showFps: false,
-      showMood: true,
-      forcedMood: null,
-    };
+    this.values = { ...DEFAULTS, qualityTier: quality.override };
 
     this.onChange = null;
+    this.onReset = null;   // called with the default values after "Reset to defaults"
     this.setup();
   }
 
@@ -31,21 +61,177 @@ export class SettingsPanel {
     this._slider('fog-density', (v) => { this.values.fogDensity = v / 100; });
     this._slider('light-intensity', (v) => { this.values.lightIntensity = v / 100; });
     this._slider('camera-fov', (v) => { this.values.cameraFov = v; }, false);
+    this._slider('crossfade', (v) => { this.values.crossfade = v; }, false);
+    this._slider('input-gain', (v) => { this.values.inputGain = v / 100; });
 
     // Toggles
     this._toggle('toggle-godrays', (v) => { this.values.godRays = v; });
     this._toggle('toggle-stagefog', (v) => { this.values.stageFog = v; });
     this._toggle('toggle-fps', (v) => { this.values.showFps = v; });
     this._toggle('toggle-mood', (v) => { this.values.showMood = v; });
+    this._toggle('toggle-harmony', (v) => { this.values.harmonicColor = v; });
+    this._toggle('toggle-live', (v) => { this.values.liveInput = v; });
+
+    // Live input device dropdown (options arrive via setInputDevices)
+    this.inputDeviceSelect = document.getElementById('input-device');
+    if (this.inputDeviceSelect) {
+      this.inputDeviceSelect.addEventListener('change', () => {
+        this.values.inputDevice = this.inputDeviceSelect.value || null;
+        if (this.onChange) this.onChange(this.values);
+      });
+    }
+
+    // Playlist manifest dropdown (options arrive via setPlaylists)
+    this.playlistSelect = document.getElementById('playlist-select');
+    if (this.playlistSelect) {
+      this.playlistSelect.addEventListener('change', () => {
+        this.values.playlist = this.playlistSelect.value;
+        if (this.onChange) this.onChange(this.values);
+      });
+    }
 
     // Mood override dropdown
-    const moodSelect = document.getElementById('mood-select');
-    if (moodSelect) {
-      moodSelect.addEventListener('change', () => {
-        this.values.forcedMood = moodSelect.value || null;
+    this.moodSelect = document.getElementById('mood-select');
+    if (this.moodSelect) {
+      this.moodSelect.addEventListener('change', () => {
+        this.values.forcedMood = this.moodSelect.value || null;
+        if (this.onChange) this.onChange(this.values);
+      });
+    }
+
+    // DMX: off, output to a rig, or a desk driving the lights
+    this.dmxSelect = document.getElementById('dmx-select');
+    if (this.dmxSelect) {
+      this.dmxSelect.addEventListener('change', () => {
+        this.values.dmxMode = this.dmxSelect.value || null;
+        if (this.onChange) this.onChange(this.values);
+      });
+    }
+
+    // Quality tier override: "Auto" names the detected tier
+    this.qualitySelect = document.getElementById('quality-select');
+    if (this.qualitySelect) {
+      this.qualitySelect.innerHTML = `<option value="">Auto (${quality.detectedTier})</option>`;
+      for (const tier of QUALITY_TIERS) {
+        const option = document.createElement('option');
+        option.value = tier;
+        option.textContent = tier[0].toUpperCase() + tier.slice(1);
+        this.qualitySelect.appendChild(option);
+      }
+      this.qualitySelect.value = this.values.qualityTier || '';
+      this.qualitySelect.addEventListener('change', () => {
+        this.values.qualityTier = this.qualitySelect.value || null;
+        this._updateQualityNote();
         if (this.onChange) this.onChange(this.values);
       });
     }
+
+    const resetBtn = document.getElementById('reset-settings-btn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        this.setValues({ ...DEFAULTS, playlist: this.values.playlist });
+        if (this.onReset) this.onReset(this.values);
+      });
+    }
+  }
+
+  /**
+   * Show `values` in the controls without firing onChange. The playlist is
+   * left alone: it follows the loaded manifest.
+   * @param {Object} values - some or all of DEFAULTS' keys
+   */
+  setValues(values) {
+    for (const key of Object.keys(DEFAULTS)) {
+      if (key !== 'playlist' && key in values) this.values[key] = values[key];
+    }
+    const v = this.values;
+    this._setSlider('fog-density', v.fogDensity * 100);
+    this._setSlider('light-intensity', v.lightIntensity * 100);
+    this._setSlider('camera-fov', v.cameraFov, false);
+    this._setSlider('crossfade', v.crossfade, false);
+    this._setSlider('input-gain', v.inputGain * 100);
+    this._setToggle('toggle-godrays', v.godRays);
+    this._setToggle('toggle-stagefog', v.stageFog);
+    this._setToggle('toggle-fps', v.showFps);
+    this._setToggle('toggle-mood', v.showMood);
+    this._setToggle('toggle-harmony', v.harmonicColor);
+    this._setToggle('toggle-live', v.liveInput);
+    if (this.moodSelect) this.moodSelect.value = v.forcedMood || '';
+    if (this.inputDeviceSelect) this.inputDeviceSelect.value = v.inputDevice || '';
+    if (this.dmxSelect) this.dmxSelect.value = v.dmxMode || '';
+    if (this.qualitySelect) this.qualitySelect.value = v.qualityTier || '';
+    this._updateQualityNote();
+  }
+
+  /** Point out that a tier change waits for a reload. */
+  _updateQualityNote() {
+    const note = document.getElementById('quality-note');
+    if (note) note.style.display = (this.values.qualityTier || null) !== quality.override ? '' : 'none';
+  }
+
+  /**
+   * Fill the playlist dropdown from the manifest index.
+   * @param {{ id: string, name: string }[]} playlists
+   * @param {string} selected - id of the loaded manifest
+   */
+  setPlaylists(playlists, selected) {
+    if (this.playlistSelect) {
+      this.playlistSelect.innerHTML = '';
+      for (const { id, name } of playlists) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        this.playlistSelect.appendChild(option);
+      }
+    }
+    this.selectPlaylist(selected);
+  }
+
+  /**
+   * Show `id` as the selected playlist without firing onChange.
+   */
+  selectPlaylist(id) {
+    this.values.playlist = id;
+    if (this.playlistSelect) this.playlistSelect.value = id;
+  }
+
+  /**
+   * Fill the input device dropdown. Keeps the current pick if it still exists.
+   * @param {{ deviceId: string, label: string }[]} devices
+   */
+  setInputDevices(devices) {
+    if (!this.inputDeviceSelect) return;
+    this.inputDeviceSelect.innerHTML = '<option value="">Default</option>';
+    for (const { deviceId, label } of devices) {
+      if (!deviceId || deviceId === 'default') continue;
+      const option = document.createElement('option');
+      option.value = deviceId;
+      option.textContent = label;
+      this.inputDeviceSelect.appendChild(option);
+    }
+    const present = devices.some(d => d.deviceId === this.values.inputDevice);
+    if (!present) this.values.inputDevice = null;
+    this.inputDeviceSelect.value = this.values.inputDevice || '';
+  }
+
+  /**
+   * Reflect the live input state without firing onChange (e.g. permission denied).
+   */
+  setLiveInput(on) {
+    this.values.liveInput = on;
+    this._setToggle('toggle-live', on);
+  }
+
+  /**
+   * Show the DMX bridge connection under the DMX dropdown.
+   * @param {string} status - DmxOutput / DmxInput status
+   */
+  setDmxStatus(status) {
+    const note = document.getElementById('dmx-status');
+    if (!note) return;
+    const messages = DMX_STATUS[this.values.dmxMode];
+    note.textContent = (messages && messages[status]) || '';
+    note.style.display = note.textContent ? '' : 'none';
   }
 
   _slider(id, callback, isPercent = true) {
@@ -63,6 +249,18 @@ export class SettingsPanel {
     });
   }
 
+  _setSlider(id, value, isPercent = true) {
+    const slider = document.getElementById(id);
+    const valDisplay = document.getElementById(id + '-val');
+    if (slider) slider.value = value;
+    if (valDisplay) valDisplay.textContent = isPercent ? `${Math.round(value)}%` : `${Math.round(value)}`;
+  }
+
+  _setToggle(id, on) {
+    const toggle = document.getElementById(id);
+    if (toggle) toggle.classList.toggle('on', !!on);
+  }
+
   _toggle(id, callback) {
     const toggle = document.getElementById(id);
     if (!toggle) return;
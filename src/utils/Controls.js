@@ -64,6 +64,7 @@ export class Controls {
     this.yaw = Math.atan2(-dir.x, -dir.z);
     this.pitch = 0; // start level — no upward gaze
     this._applyRotation();
+    this._home = this.getPose(); // where reset() returns to
 
     if (this._isMobile) {
       this._setupTouch();
@@ -73,6 +74,35 @@ export class Controls {
     }
   }
 
+  /**
+   * Where the camera stands and looks, for saving with the session.
+   * @returns {{ x: number, z: number, yaw: number, pitch: number }}
+   */
+  getPose() {
+    const { x, z } = this.camera.position;
+    return { x, z, yaw: this.yaw, pitch: this.pitch };
+  }
+
+  /**
+   * Put the camera back where getPose() found it (kept inside the bounds).
+   */
+  setPose({ x, z, yaw, pitch }) {
+    if (![x, z, yaw, pitch].every(Number.isFinite)) return;
+    this.camera.position.set(
+      Math.max(this.bounds.minX, Math.min(this.bounds.maxX, x)),
+      this.bounds.y,
+      Math.max(this.bounds.minZ, Math.min(this.bounds.maxZ, z)),
+    );
+    this.yaw = yaw;
+    this.pitch = Math.max(-this.maxPitch, Math.min(this.maxPitch, pitch));
+    this._applyRotation();
+  }
+
+  /** Back to the starting spot. */
+  reset() {
+    this.setPose(this._home);
+  }
+
   _applyRotation() {
     const euler = new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ');
     this.camera.quaternion.setFromEuler(euler);
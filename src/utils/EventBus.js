@@ -0,0 +1,91 @@
+/**
+ * EventBus - Typed publish/subscribe for audio and playback events
+ *
+ * The event names are fixed (EVENTS); subscribing to or emitting any other
+ * name throws, so a typo fails loudly instead of never firing. Each event is
+ * emitted once, at the moment the transition happens, by the subsystem that
+ * owns it — subscribers never need to poll for it.
+ *
+ * A handler that throws does not stop the others: the exception is re-emitted
+ * as an 'error' event (or logged, if an 'error' handler threw).
+ */
+
+/**
+ * Event name -> payload:
+ *   trackchange   { track, index, url }        PlaylistManager: a new track is current
+ *   statechange   { state, previous, error }   PlaylistManager: playback state (PLAYBACK_STATES)
+ *   queuechange   { queue }                    PlaylistManager: the up-next queue changed (track indices)
+ *   advance       { url }                      AudioEngine: started the preloaded track by itself
+ *   ended         { url }                      AudioEngine: the track ran out with nothing to start
+ *   play          {}                           AudioEngine: playback (or live input) started
+ *   pause         {}                           AudioEngine: playback stopped
+ *   seek          { time }                     AudioEngine: playback jumped within the track
+ *   beat          { index, bpm, downbeat }     AudioEngine: a beat of the beat clock
+ *   bar           { index }                    AudioEngine: the first beat of a bar
+ *   onset         { band, count }              AudioEngine: a kick / snare / hat hit
+ *   moodchange    { from, to, confidence, time }
+ *   sectionchange { section, previous }        AudioEngine: offline section map boundary
+ *   error         { message, error, url }      anything worth telling the user about
+ */
+export const EVENTS = Object.freeze([
+  'trackchange', 'statechange', 'queuechange', 'advance', 'ended', 'play', 'pause', 'seek',
+  'beat', 'bar', 'onset', 'moodchange', 'sectionchange', 'error',
+]);
+
+const KNOWN = new Set(EVENTS);
+
+export class EventBus {
+  constructor() {
+    this._handlers = new Map(EVENTS.map(type => [type, []]));
+  }
+
+  /**
+   * @param {string} type - one of EVENTS
+   * @param {Function} handler - called with the event's payload
+   * @returns {Function} call to unsubscribe
+   */
+  on(type, handler) {
+    this._check(type);
+    this._handlers.get(type).push(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Subscribe for the next emission only.
+   */
+  once(type, handler) {
+    const off = this.on(type, (payload) => {
+      off();
+      handler(payload);
+    });
+    return off;
+  }
+
+  off(type, handler) {
+    this._check(type);
+    const handlers = this._handlers.get(type);
+    const i = handlers.indexOf(handler);
+    if (i >= 0) handlers.splice(i, 1);
+  }
+
+  /**
+   * @param {string} type - one of EVENTS
+   * @param {Object} [payload]
+   */
+  emit(type, payload = {}) {
+    this._check(type);
+    // Copy: handlers may unsubscribe while we iterate
+    for (const handler of [...this._handlers.get(type)]) {
+      try {
+        handler(payload);
+      } catch (error) {
+        if (type === 'error') console.error('Error in an error handler:', error);
+        else this.emit('error', { message: `Error in a ${type} handler`, error, url: null });
+      }
+    }
+  }
+
+  _check(type) {
+    if (!KNOWN.has(type)) throw new Error(`Unknown event "${type}"`);
+  }
+}
@@ -6,13 +6,30 @@
  *   'low'    — Quest 3 / mobile phones (strict budgets)
  *   'medium' — tablets, low-end laptops
  *   'high'   — desktop with dedicated GPU (current full quality)
+ *
+ * The settings panel can override the detected tier. The override is saved
+ * with the session (SessionStore) and takes effect on the next load, since
+ * the scene is built once for a tier.
  */
+import { loadSession } from './SessionStore.js';
+
+export const QUALITY_TIERS = Object.freeze(['low', 'medium', 'high']);
 
 export class QualityManager {
   constructor() {
-    this.tier = this._detectTier();
+    this.detectedTier = this._detectTier();
+    this.override = this._savedOverride();   // tier picked in settings, or null
+    this.tier = this.override || this.detectedTier;
     this.config = QUALITY_CONFIGS[this.tier];
-    console.log(`[QualityManager] Detected tier: ${this.tier}`);
+    console.log(this.override
+      ? `[QualityManager] Using tier: ${this.tier} (override, detected ${this.detectedTier})`
+      : `[QualityManager] Detected tier: ${this.tier}`);
+  }
+
+  _savedOverride() {
+    const session = loadSession();
+    const tier = session && session.settings ? session.settings.qualityTier : null;
+    return QUALITY_TIERS.includes(tier) ? tier : null;
   }
 
   _detectTier() {
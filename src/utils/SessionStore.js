@@ -0,0 +1,47 @@
+/**
+ * SessionStore - The listening session, remembered across reloads
+ *
+ * One localStorage entry holds what the visitor had when they left: the
+ * playlist position (track, time, shuffle / repeat, up-next queue — see
+ * PlaylistManager.saveState), volume, settings panel values including the
+ * quality tier override, and where the camera stood. main.js saves it when
+ * the page is hidden and restores it in enterExperience(); QualityManager
+ * reads the tier override before the scene is built.
+ *
+ * Learned mood timelines (MoodTimeline) and the chosen playlist
+ * (PlaylistManifest) are stored apart and survive a reset.
+ */
+
+const STORAGE_KEY = 'staticChapel.session';
+const VERSION = 1;   // bump when the shape changes; older sessions are ignored
+
+/**
+ * @returns {Object|null} the saved session, or null if there is none (or it is from another version)
+ */
+export function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return session && session.version === VERSION ? session : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @param {{ playlist: Object, volume: number, settings: Object, camera: Object|null }} session
+ */
+export function saveSession(session) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, ...session }));
+  } catch (e) {
+    // Storage full or disabled — the session only lasts this visit
+  }
+}
+
+export function clearSession() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // Storage disabled — nothing was saved
+  }
+}
@@ -87,15 +87,21 @@ export class PostProcessing {
    * @param {number}  time    - elapsed time in seconds
    * @param {number}  energy  - overall audio energy 0-1
    * @param {boolean} isBeat  - true on the frame a beat is detected
+   * @param {Object}  [tempo] - AudioEngine.tempo beat clock
    */
-  update(time, energy = 0, isBeat = false) {
+  update(time, energy = 0, isBeat = false, tempo = null) {
     // --- Beat spike ---
-    if (isBeat) {
-      this.beatDecay = 0.06; // very subtle beat bump (was 0.35)
+    if (tempo && tempo.locked) {
+      // Shape the bump from the beat phase so it sits exactly on the grid
+      this.beatDecay = 0.06 * Math.exp(-tempo.beatPhase * 6);
+    } else {
+      if (isBeat) {
+        this.beatDecay = 0.06; // very subtle beat bump (was 0.35)
+      }
+
+      // Decay the beat spike
+      this.beatDecay *= 0.9; // exponential decay ~60fps
     }
-
-    // Decay the beat spike
-    this.beatDecay *= 0.9; // exponential decay ~60fps
     if (this.beatDecay < 0.001) this.beatDecay = 0;
 
     // --- Compute target exposure ---